@@ -0,0 +1,175 @@
+import { AuthorizationError } from "./Errors";
+
+// Requisito de acceso: basta con uno de los roles o uno de los permisos.
+// Un arreglo es la forma corta de { roles: [...] }; un arreglo vacío es acceso público.
+export type AccessRule = string[] | { roles?: string[]; permissions?: string[] };
+
+// Sección "access" del config.json de un módulo
+export interface AccessConfig {
+    // Acción para los elementos sin regla (por omisión "allow")
+    default?: "allow" | "deny";
+    // Reglas por "api.method", "api.*", "api" o "*"; gana la más específica
+    rules?: { [key: string]: AccessRule };
+    // Permisos que otorga cada rol
+    roles?: { [role: string]: string[] };
+    // Claves de la sesión (o claims del JWT) con los roles y permisos del usuario
+    roleKey?: string;
+    permissionKey?: string;
+}
+
+// Identidad del usuario que hace la solicitud
+export interface AccessSubject {
+    roles: string[];
+    permissions: string[];
+}
+
+// Elemento de __app_request
+export interface AppRequestElement {
+    api?: string;
+    method?: string;
+    id?: string;
+    do?: string;
+    to?: string;
+    [key: string]: any;
+}
+
+/**
+ * Convierte un valor de la sesión o de un claim en una lista.
+ * Acepta arreglos o cadenas separadas por espacios o comas (claim "scope" de OAuth).
+ */
+function toList(value: any): string[] {
+    if (Array.isArray(value)) {
+        return value.filter((item) => typeof item === "string" && item !== "");
+    }
+    if (typeof value === "string") {
+        return value.split(/[\s,]+/).filter(Boolean);
+    }
+    return [];
+}
+
+/**
+ * Obtiene los roles y permisos del usuario a partir de los datos de la sesión o de los claims del JWT.
+ * @param data - Datos de la sesión o claims.
+ * @param config - Configuración de acceso (nombres de las claves).
+ * @param claims - true si data son los claims de un JWT verificado. Sólo entonces se lee
+ * "scope": en la sesión esa clave puede venir del __app_store que envía el cliente.
+ * @returns Roles y permisos del usuario.
+ */
+export function getSubject(data: { [key: string]: any } | undefined, config: AccessConfig = {}, claims: boolean = false): AccessSubject {
+    const roleKey = config.roleKey ?? "roles";
+    const permissionKey = config.permissionKey ?? "permissions";
+
+    const roles = toList(data?.[roleKey]);
+    const permissions = toList(data?.[permissionKey]);
+
+    // Con un JWT los permisos suelen venir en el claim "scope"
+    if (claims && data?.[permissionKey] === undefined) {
+        permissions.push(...toList(data?.scope));
+    }
+
+    return { roles, permissions };
+}
+
+/**
+ * Busca la regla más específica para un elemento: "api.method", "api.*", "api" y por último "*".
+ */
+function findRule(config: AccessConfig, api: string, method: string): AccessRule | undefined {
+    const rules = config.rules ?? {};
+    const keys = [`${api}.${method}`, `${api}.*`, api, "*"];
+
+    for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(rules, key)) {
+            return rules[key];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Evalúa si un usuario puede ejecutar un api/method.
+ * @param config - Configuración de acceso del módulo.
+ * @param subject - Roles y permisos del usuario.
+ * @param api - Nombre del api.
+ * @param method - Nombre del método.
+ * @returns null si el acceso está permitido o un AuthorizationError con el motivo.
+ */
+export function checkAccess(config: AccessConfig, subject: AccessSubject, api: string, method: string): AuthorizationError | null {
+    const rule = findRule(config, api, method);
+    const target = `${api}.${method}`;
+
+    if (rule === undefined) {
+        return config.default === "deny"
+            ? new AuthorizationError(`Access to "${target}" denied`, "no_rule")
+            : null;
+    }
+
+    const { roles = [], permissions = [] } = Array.isArray(rule) ? { roles: rule } : rule;
+
+    if (roles.length === 0 && permissions.length === 0) {
+        return null;
+    }
+
+    if (roles.some((role) => subject.roles.includes(role))) {
+        return null;
+    }
+
+    // Permisos propios más los que otorgan sus roles; "*" otorga todos
+    const granted = new Set(subject.permissions);
+    for (const role of subject.roles) {
+        for (const permission of config.roles?.[role] ?? []) {
+            granted.add(permission);
+        }
+    }
+
+    if (granted.has("*") || permissions.some((permission) => granted.has(permission))) {
+        return null;
+    }
+
+    return new AuthorizationError(
+        `Access to "${target}" denied`,
+        subject.roles.length || subject.permissions.length ? "insufficient_permissions" : "unauthenticated",
+    );
+}
+
+/**
+ * Separa los elementos de __app_request en permitidos y denegados. Por cada elemento
+ * denegado se genera una respuesta de error, sin detener el resto del lote.
+ * @param config - Configuración de acceso del módulo.
+ * @param subject - Roles y permisos del usuario.
+ * @param elements - Elementos de la solicitud.
+ * @returns Elementos permitidos y respuestas de error de los denegados.
+ */
+export function filterRequest(config: AccessConfig, subject: AccessSubject, elements: AppRequestElement[]): {
+    allowed: AppRequestElement[];
+    denied: { [key: string]: any }[];
+} {
+    const allowed: AppRequestElement[] = [];
+    const denied: { [key: string]: any }[] = [];
+
+    for (const element of elements) {
+        const api = String(element?.api ?? "");
+        const method = String(element?.method ?? "");
+        const error = checkAccess(config, subject, api, method);
+
+        if (!error) {
+            allowed.push(element);
+            continue;
+        }
+
+        denied.push({
+            id: element?.id,
+            api,
+            method,
+            do: "error",
+            to: element?.to,
+            error: {
+                type: error.name,
+                statusCode: 403,
+                message: error.message,
+                reason: error.reason,
+            },
+        });
+    }
+
+    return { allowed, denied };
+}
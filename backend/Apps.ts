@@ -0,0 +1,134 @@
+import { IncomingMessage } from "node:http";
+import { SessionConfig } from "./Manager";
+
+/**
+ * Aplicación (cliente) alojada en el servidor. Lo que no define se toma de ServerOptions.
+ */
+export interface AppConfig {
+    // Valor del encabezado Application-Id que selecciona la aplicación
+    id?: string;
+    // Hosts de la aplicación; "*.cliente.com" acepta cualquier subdominio. Con hosts la
+    // aplicación sólo se selecciona en solicitudes a uno de ellos
+    hosts?: string[];
+    constants?: { [key: string]: any };
+    db?: any[];
+    // Request inicial cuando el cliente no envía __app_request
+    init?: any;
+    // Por omisión la cookie de sesión es "<cookieName>_<nombre de la aplicación>"
+    session?: Partial<SessionConfig>;
+}
+
+// Fuentes para identificar la aplicación, en orden de prioridad
+export type AppSource = "name" | "id" | "host";
+
+export const DEFAULT_APP_SOURCES: AppSource[] = ["name", "id", "host"];
+
+function header(req: IncomingMessage, name: string): string | undefined {
+    const value = req.headers[name];
+    return (Array.isArray(value) ? value[0] : value)?.trim() || undefined;
+}
+
+/**
+ * Obtiene el nombre del host de la solicitud, sin puerto y en minúsculas. Los clientes
+ * HTTP/2 envían el seudoencabezado :authority en lugar de Host.
+ */
+export function hostName(req: IncomingMessage): string | undefined {
+    const host = (header(req, "host") ?? header(req, ":authority"))?.toLowerCase();
+    if (!host) {
+        return undefined;
+    }
+    // [::1]:8080 -> [::1]
+    return host.startsWith("[") ? host.slice(0, host.indexOf("]") + 1) : host.split(":")[0];
+}
+
+/**
+ * Indica si un host coincide con un patrón ("app.com" o "*.app.com").
+ */
+export function matchHost(pattern: string, host: string): boolean {
+    const expected = pattern.toLowerCase();
+    if (expected.startsWith("*.")) {
+        return host.endsWith(expected.slice(1)) && host.length > expected.length - 1;
+    }
+    return host === expected;
+}
+
+/**
+ * Indica si la aplicación puede atender una solicitud al host: las que declaran hosts sólo
+ * atienden los suyos, así otro cliente no puede elegirlas con Application-Name o Application-Id.
+ */
+export function isHostAllowed(app: AppConfig, host: string | undefined): boolean {
+    if (!app.hosts || app.hosts.length === 0) {
+        return true;
+    }
+    return host !== undefined && app.hosts.some((pattern) => matchHost(pattern, host));
+}
+
+/**
+ * Construye la configuración de sesión de una aplicación: su propia cookie, su namespace
+ * de IDs y sus opciones sobre las del servidor. El namespace separa sus sesiones de las de
+ * otras aplicaciones que usan la misma máquina (directorio, archivo o tabla). cookieOptions
+ * se combina por clave para conservar, por ejemplo, el Secure calculado por el servidor.
+ * @param base - Configuración de sesión del servidor.
+ * @param name - Nombre de la aplicación.
+ * @param app - Configuración de la aplicación.
+ */
+export function appSessionConfig(base: SessionConfig, name: string, app?: AppConfig): SessionConfig {
+    return {
+        ...base,
+        cookieName: `${base.cookieName}_${name}`,
+        namespace: name,
+        ...app?.session,
+        cookieOptions: { ...base.cookieOptions, ...app?.session?.cookieOptions },
+    };
+}
+
+/**
+ * Identifica la aplicación de la solicitud:
+ * - "name": encabezado Application-Name igual al nombre de la aplicación.
+ * - "id": encabezado Application-Id igual a AppConfig.id.
+ * - "host": host incluido en AppConfig.hosts o subdominio igual al nombre ("ventas.ejemplo.com").
+ * En todos los casos una aplicación con hosts sólo se elige en uno de ellos (ver isHostAllowed).
+ * @param req - Solicitud HTTP.
+ * @param apps - Aplicaciones por nombre.
+ * @param sources - Fuentes permitidas, en orden de prioridad.
+ * @returns Nombre de la aplicación o undefined si ninguna coincide.
+ */
+export function resolveApp(
+    req: IncomingMessage,
+    apps: { [name: string]: AppConfig },
+    sources: AppSource[] = DEFAULT_APP_SOURCES,
+): string | undefined {
+    const host = hostName(req);
+    const names = Object.keys(apps).filter((name) => isHostAllowed(apps[name], host));
+
+    for (const source of sources) {
+        if (source === "name") {
+            const name = header(req, "application-name");
+            if (name && names.includes(name)) {
+                return name;
+            }
+        } else if (source === "id") {
+            const id = header(req, "application-id");
+            const found = id ? names.find((name) => apps[name].id === id) : undefined;
+            if (found) {
+                return found;
+            }
+        } else if (source === "host") {
+            if (!host) {
+                continue;
+            }
+
+            const byHost = names.find((name) => apps[name].hosts?.some((pattern) => matchHost(pattern, host)));
+            if (byHost) {
+                return byHost;
+            }
+
+            // Subdominio: sólo si el host tiene más de un nivel (ventas.localhost, ventas.ejemplo.com)
+            const labels = host.split(".");
+            if (labels.length > 1 && names.includes(labels[0])) {
+                return labels[0];
+            }
+        }
+    }
+    return undefined;
+}
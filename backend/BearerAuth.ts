@@ -0,0 +1,45 @@
+import { IncomingMessage } from "node:http";
+import { JwtPayload } from "./JWT";
+import { TokenService } from "./TokenService";
+
+// Autenticación: cookie de sesión, token Bearer (JWT) o ambos
+export type AuthMode = "cookie" | "bearer" | "both";
+
+// Cómo se autentica la solicitud; claims sólo con un token Bearer válido
+export interface AuthResult {
+    auth: "cookie" | "bearer";
+    claims?: JwtPayload;
+}
+
+/**
+ * Obtiene el token del encabezado Authorization: Bearer.
+ */
+export function getBearerToken(req: IncomingMessage): string | undefined {
+    const header = req.headers.authorization;
+    const match = header ? /^Bearer\s+(\S+)\s*$/i.exec(header) : null;
+    return match?.[1];
+}
+
+/**
+ * Decide cómo se autentica una solicitud según authMode:
+ * - Con token Bearer (modos "bearer" y "both"): se verifica con TokenService, que sólo
+ *   acepta access tokens (typ "access") no revocados por logout o revokeAll.
+ * - Sin token en modo "bearer": solicitud anónima, sin claims ni cookie.
+ * - En otro caso: sesión por cookie.
+ * @param req - Solicitud HTTP.
+ * @param mode - Modo de autenticación.
+ * @param tokens - Servicio de tokens; requerido en los modos "bearer" y "both".
+ * @throws JwtError si el token no es válido, ClaimMismatchError si no es un access token,
+ * TokenRevokedError si fue revocado.
+ */
+export async function authenticate(req: IncomingMessage, mode: AuthMode, tokens?: TokenService): Promise<AuthResult> {
+    if (mode === "cookie" || !tokens) {
+        return { auth: "cookie" };
+    }
+
+    const token = getBearerToken(req);
+    if (token) {
+        return { auth: "bearer", claims: await tokens.verify(token) };
+    }
+    return { auth: mode === "bearer" ? "bearer" : "cookie" };
+}
@@ -0,0 +1,491 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { once } from "events";
+import { Readable } from "stream";
+import { randomBytes } from "node:crypto";
+import { IncomingMessage } from "node:http";
+import { PayloadTooLargeError, UnsupportedMediaTypeError, UploadError, ValidationError } from "./Errors";
+
+// Tipos de cuerpo que se procesan
+export type BodyType = "json" | "urlencoded" | "text" | "multipart" | "raw" | "none";
+
+// Archivo recibido en un multipart/form-data, guardado en un archivo temporal
+export interface UploadedFile {
+    field: string;
+    filename: string;
+    path: string;
+    size: number;
+    mimetype: string;
+}
+
+// Resultado del procesamiento del cuerpo
+export interface ParsedBody {
+    type: BodyType;
+    // Objeto JSON, campos del formulario o texto según el tipo
+    data: any;
+    files: UploadedFile[];
+    // Bytes leídos, para los cuerpos que se leen completos en memoria (no multipart)
+    raw?: Buffer;
+}
+
+export interface BodyParserOptions {
+    maxSize: number;
+    uploadDir?: string;
+}
+
+// Decodificador de un cuerpo de texto
+export type TextDecode = (raw: Buffer) => string;
+
+const bufferDecode = (encoding: BufferEncoding): TextDecode => (raw) => raw.toString(encoding);
+
+// windows-1252 no equivale a latin1: asigna caracteres imprimibles a 0x80-0x9F.
+// Tabla de WHATWG; TextDecoder("windows-1252") no decodifica bien ese rango en todas las versiones de Node.
+const WINDOWS_1252_C1 =
+    "\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f" +
+    "\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178";
+
+const decodeWindows1252: TextDecode = (raw) =>
+    raw.toString("latin1").replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252_C1[char.charCodeAt(0) - 0x80]);
+
+// Charsets soportados y su decodificador
+const CHARSETS: { [charset: string]: TextDecode } = {
+    "utf-8": bufferDecode("utf8"),
+    "utf8": bufferDecode("utf8"),
+    "us-ascii": bufferDecode("latin1"),
+    "ascii": bufferDecode("latin1"),
+    "iso-8859-1": bufferDecode("latin1"),
+    "latin1": bufferDecode("latin1"),
+    "windows-1252": decodeWindows1252,
+    "utf-16le": bufferDecode("utf16le"),
+    "ucs-2": bufferDecode("utf16le"),
+};
+
+const CRLF = Buffer.from("\r\n");
+const HEADER_END = Buffer.from("\r\n\r\n");
+
+/**
+ * Parsea el encabezado Content-Type.
+ * @param header - Valor del encabezado.
+ * @returns Tipo en minúsculas y sus parámetros (charset, boundary...).
+ */
+export function parseContentType(header?: string): { type: string; params: { [key: string]: string } } {
+    const [type, ...rest] = (header || "").split(";");
+    const params: { [key: string]: string } = {};
+
+    for (const part of rest) {
+        const index = part.indexOf("=");
+        if (index === -1) continue;
+        const key = part.slice(0, index).trim().toLowerCase();
+        const value = part.slice(index + 1).trim().replace(/^"(.*)"$/, "$1");
+        params[key] = value;
+    }
+
+    return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Obtiene el decodificador para el charset de un Content-Type.
+ * @param charset - Parámetro charset; por omisión UTF-8.
+ * @throws UnsupportedMediaTypeError si el charset no se soporta.
+ */
+export function charsetDecoder(charset?: string): TextDecode {
+    const decode = CHARSETS[(charset || "utf-8").toLowerCase()];
+    if (!decode) {
+        throw new UnsupportedMediaTypeError(charset as string);
+    }
+    return decode;
+}
+
+/**
+ * Agrega un valor a un objeto de campos; los nombres repetidos se convierten en arreglos.
+ */
+function addField(fields: { [key: string]: any }, name: string, value: any): void {
+    if (!(name in fields)) {
+        fields[name] = value;
+    } else if (Array.isArray(fields[name])) {
+        fields[name].push(value);
+    } else {
+        fields[name] = [fields[name], value];
+    }
+}
+
+/**
+ * Lee el cuerpo de la solicitud por partes, respetando un tamaño máximo.
+ * Pausa el stream mientras se procesa cada parte.
+ * @param req - Solicitud HTTP.
+ * @param limit - Tamaño máximo en bytes.
+ * @param onChunk - Función que procesa cada parte.
+ * @returns Total de bytes recibidos.
+ * @throws PayloadTooLargeError si se supera el límite.
+ */
+function consume(req: IncomingMessage, limit: number, onChunk: (chunk: Buffer) => void | Promise<void>): Promise<number> {
+    return new Promise((resolve, reject) => {
+        let received = 0;
+        let finished = false;
+        let pending: Promise<void> = Promise.resolve();
+
+        const cleanup = () => {
+            req.off("data", onData);
+            req.off("end", onEnd);
+            req.off("error", fail);
+        };
+
+        function fail(error: Error) {
+            if (finished) return;
+            finished = true;
+            cleanup();
+            req.pause();
+            reject(error);
+        }
+
+        function onData(chunk: Buffer) {
+            received += chunk.length;
+            if (received > limit) {
+                fail(new PayloadTooLargeError(limit));
+                return;
+            }
+
+            req.pause();
+            pending = pending
+                .then(() => onChunk(chunk))
+                .then(() => {
+                    if (!finished) req.resume();
+                }, fail);
+        }
+
+        function onEnd() {
+            pending.then(() => {
+                if (finished) return;
+                finished = true;
+                cleanup();
+                resolve(received);
+            }, fail);
+        }
+
+        req.on("data", onData);
+        req.on("end", onEnd);
+        req.on("error", fail);
+    });
+}
+
+/**
+ * Lee el cuerpo completo en memoria.
+ */
+async function readBuffer(req: IncomingMessage, limit: number): Promise<Buffer> {
+    const chunks: Buffer[] = [];
+    await consume(req, limit, (chunk) => {
+        chunks.push(chunk);
+    });
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Parser incremental de multipart/form-data. Los campos quedan en memoria
+ * y los archivos se escriben en archivos temporales a medida que llegan.
+ */
+export class MultipartParser {
+    private delimiter: Buffer;
+    private buffer: Buffer = Buffer.alloc(0);
+    private state: "preamble" | "headers" | "body" | "end" = "preamble";
+    private uploadDir: string;
+
+    private partName = "";
+    private partFile?: UploadedFile;
+    private partStream?: fs.WriteStream;
+    private partChunks: Buffer[] = [];
+    // Error de escritura del archivo temporal; se informa en la siguiente escritura
+    private streamError?: UploadError;
+
+    public fields: { [key: string]: any } = {};
+    public files: UploadedFile[] = [];
+
+    constructor(boundary: string, uploadDir: string = os.tmpdir()) {
+        if (!boundary) {
+            throw new ValidationError("Missing multipart boundary");
+        }
+        // El primer delimitador no va precedido de CRLF; se agrega al inicio del buffer
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        this.buffer = Buffer.from(CRLF);
+        this.uploadDir = uploadDir;
+    }
+
+    /**
+     * Procesa una parte del cuerpo.
+     * @param chunk - Datos recibidos.
+     */
+    async write(chunk: Buffer): Promise<void> {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.state !== "end") {
+            if (this.state === "preamble") {
+                const index = this.buffer.indexOf(this.delimiter);
+                if (index === -1) {
+                    this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.delimiter.length));
+                    return;
+                }
+                this.buffer = this.buffer.subarray(index + this.delimiter.length);
+                this.state = "headers";
+                continue;
+            }
+
+            if (this.state === "headers") {
+                // "--" tras el delimitador indica el final del cuerpo
+                if (this.buffer.length < 2) return;
+                if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+                    this.state = "end";
+                    this.buffer = Buffer.alloc(0);
+                    return;
+                }
+
+                const index = this.buffer.indexOf(HEADER_END);
+                if (index === -1) return;
+
+                const headers = this.buffer.subarray(0, index).toString("utf8");
+                this.buffer = this.buffer.subarray(index + HEADER_END.length);
+                await this.openPart(headers);
+                this.state = "body";
+                continue;
+            }
+
+            const index = this.buffer.indexOf(this.delimiter);
+            if (index === -1) {
+                // Conservar el final por si contiene parte del delimitador
+                const safe = this.buffer.length - this.delimiter.length;
+                if (safe > 0) {
+                    await this.writePart(this.buffer.subarray(0, safe));
+                    this.buffer = this.buffer.subarray(safe);
+                }
+                return;
+            }
+
+            await this.writePart(this.buffer.subarray(0, index));
+            this.buffer = this.buffer.subarray(index + this.delimiter.length);
+            await this.closePart();
+            this.state = "headers";
+        }
+    }
+
+    /**
+     * Finaliza el procesamiento.
+     * @throws ValidationError si el cuerpo está incompleto.
+     */
+    async end(): Promise<{ fields: { [key: string]: any }; files: UploadedFile[] }> {
+        if (this.state !== "end") {
+            await this.abort();
+            throw new ValidationError("Malformed multipart body");
+        }
+        return { fields: this.fields, files: this.files };
+    }
+
+    /**
+     * Cancela el procesamiento y elimina los archivos temporales.
+     */
+    async abort(): Promise<void> {
+        if (this.partStream) {
+            this.partStream.destroy();
+            this.partStream = undefined;
+        }
+        await removeUploadedFiles(this.partFile ? [...this.files, this.partFile] : this.files);
+        this.files = [];
+        this.partFile = undefined;
+    }
+
+    private async openPart(rawHeaders: string): Promise<void> {
+        const headers: { [key: string]: string } = {};
+        for (const line of rawHeaders.split("\r\n")) {
+            const index = line.indexOf(":");
+            if (index === -1) continue;
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+
+        const disposition = headers["content-disposition"] || "";
+        const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+
+        if (name === undefined) {
+            throw new ValidationError("Multipart part without name");
+        }
+
+        this.partName = name;
+        this.partChunks = [];
+
+        if (filename !== undefined) {
+            const filePath = path.join(this.uploadDir, `whendy-upload-${randomBytes(16).toString("hex")}`);
+            this.partFile = {
+                field: name,
+                filename: path.basename(filename),
+                path: filePath,
+                size: 0,
+                mimetype: headers["content-type"] || "application/octet-stream",
+            };
+            const stream = fs.createWriteStream(filePath, { flags: "wx" });
+            stream.on("error", (error) => {
+                this.streamError ??= new UploadError(error);
+            });
+            this.partStream = stream;
+
+            // Un uploadDir inexistente o sin permisos falla aquí y rechaza el parseo
+            await once(stream, "open").catch((error) => {
+                throw new UploadError(error);
+            });
+        }
+    }
+
+    private async writePart(data: Buffer): Promise<void> {
+        if (this.streamError) {
+            throw this.streamError;
+        }
+        if (data.length === 0) return;
+
+        if (this.partStream && this.partFile) {
+            this.partFile.size += data.length;
+            if (!this.partStream.write(data)) {
+                await once(this.partStream, "drain").catch((error) => {
+                    throw new UploadError(error);
+                });
+            }
+        } else {
+            this.partChunks.push(Buffer.from(data));
+        }
+    }
+
+    private async closePart(): Promise<void> {
+        if (this.partStream && this.partFile) {
+            const stream = this.partStream;
+            this.partStream = undefined;
+            await new Promise<void>((resolve, reject) => {
+                stream.end((error?: Error | null) => (error ? reject(new UploadError(error)) : resolve()));
+            });
+            this.files.push(this.partFile);
+            this.partFile = undefined;
+        } else {
+            addField(this.fields, this.partName, Buffer.concat(this.partChunks).toString("utf8"));
+        }
+        this.partChunks = [];
+    }
+}
+
+/**
+ * Elimina los archivos temporales de una lista de archivos recibidos.
+ * @param files - Archivos a eliminar.
+ */
+export async function removeUploadedFiles(files: UploadedFile[]): Promise<void> {
+    await Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => undefined)));
+}
+
+/**
+ * Indica si la solicitud trae cuerpo.
+ */
+function hasBody(req: IncomingMessage): boolean {
+    return req.headers["transfer-encoding"] !== undefined
+        || (req.headers["content-length"] !== undefined && req.headers["content-length"] !== "0");
+}
+
+/**
+ * Lee y parsea el cuerpo de la solicitud según su Content-Type.
+ * Soporta JSON, application/x-www-form-urlencoded, text/plain y multipart/form-data;
+ * otros tipos se leen sin procesar, también con el límite de tamaño, y quedan en raw.
+ * @param req - Solicitud HTTP.
+ * @param options - Tamaño máximo y directorio para los archivos recibidos.
+ * @returns Cuerpo parseado.
+ * @throws PayloadTooLargeError si el cuerpo supera options.maxSize.
+ * @throws ValidationError si el cuerpo está mal formado.
+ * @throws UploadError si no se puede escribir un archivo en options.uploadDir.
+ */
+export async function parseBody(req: IncomingMessage, options: BodyParserOptions): Promise<ParsedBody> {
+    const empty: ParsedBody = { type: "none", data: null, files: [] };
+
+    if (!hasBody(req)) {
+        return empty;
+    }
+
+    const length = Number(req.headers["content-length"]);
+    if (!Number.isNaN(length) && length > options.maxSize) {
+        throw new PayloadTooLargeError(options.maxSize);
+    }
+
+    const { type, params } = parseContentType(req.headers["content-type"]);
+    // Sólo los tipos que se leen como texto usan el charset
+    const textTypes = ["application/json", "application/x-www-form-urlencoded", "text/plain"];
+    const decode = charsetDecoder(textTypes.includes(type) ? params.charset : undefined);
+
+    switch (type) {
+        case "application/json": {
+            const raw = await readBuffer(req, options.maxSize);
+            const text = decode(raw);
+            if (!text.trim()) {
+                return { type: "json", data: null, files: [], raw };
+            }
+            try {
+                return { type: "json", data: JSON.parse(text), files: [], raw };
+            } catch (error) {
+                throw new ValidationError("Malformed JSON body", { reason: (error as Error).message });
+            }
+        }
+
+        case "application/x-www-form-urlencoded": {
+            const raw = await readBuffer(req, options.maxSize);
+            const fields: { [key: string]: any } = {};
+            for (const [key, value] of new URLSearchParams(decode(raw))) {
+                addField(fields, key, value);
+            }
+            return { type: "urlencoded", data: fields, files: [], raw };
+        }
+
+        case "text/plain": {
+            const raw = await readBuffer(req, options.maxSize);
+            return { type: "text", data: decode(raw), files: [], raw };
+        }
+
+        case "multipart/form-data": {
+            const parser = new MultipartParser(params.boundary, options.uploadDir);
+            try {
+                await consume(req, options.maxSize, (chunk) => parser.write(chunk));
+            } catch (error) {
+                await parser.abort();
+                throw error;
+            }
+            const { fields, files } = await parser.end();
+            return { type: "multipart", data: fields, files };
+        }
+
+        default: {
+            const raw = await readBuffer(req, options.maxSize);
+            return { type: "raw", data: null, files: [], raw };
+        }
+    }
+}
+
+/**
+ * Devuelve una solicitud cuyo cuerpo puede leerse de nuevo después de parseBody,
+ * para el código que lee el stream por su cuenta (Store). Los encabezados, la URL y
+ * el socket son los de la solicitud original.
+ * @param req - Solicitud original.
+ * @param body - Resultado de parseBody.
+ * @returns La solicitud original si el cuerpo no se leyó; si se leyó en memoria, un
+ * stream con esos bytes y los datos de la solicitud; en multipart, una con el cuerpo vacío (los archivos ya
+ * están en disco y los campos en body.data).
+ */
+export function replayRequest(req: IncomingMessage, body: ParsedBody): IncomingMessage {
+    if (body.type === "none" && !req.readableEnded) {
+        return req;
+    }
+
+    const stream = Readable.from(body.raw ? [body.raw] : []);
+    return Object.assign(stream, {
+        headers: req.headers,
+        rawHeaders: req.rawHeaders,
+        trailers: req.trailers,
+        method: req.method,
+        url: req.url,
+        httpVersion: req.httpVersion,
+        httpVersionMajor: req.httpVersionMajor,
+        httpVersionMinor: req.httpVersionMinor,
+        socket: req.socket,
+        connection: req.socket,
+        complete: true,
+        aborted: false,
+        setTimeout: (msecs: number, callback?: () => void) => req.setTimeout(msecs, callback),
+    }) as unknown as IncomingMessage;
+}
@@ -0,0 +1,274 @@
+import * as fs from "fs";
+import * as path from "path";
+import { loadJsonFile, loadJsonFileSync } from "./Tool";
+import { ConfigValidationError, JsonSchema, SchemaType, schemaTypesAt, SchemaViolation, validate } from "./Schema";
+import { SERVER_OPTIONS_SCHEMA } from "./ConfigSchema";
+
+// Variables de entorno (process.env o equivalente)
+export type Env = { [name: string]: string | undefined };
+
+export interface ConfigLoaderOptions {
+    // Archivo base (por omisión "./config.json"); config.<env>.json se busca junto a él
+    file?: string;
+    // Entorno; por omisión NODE_ENV o "development"
+    env?: string;
+    // Archivo .env (por omisión "./.env"); false para no leerlo
+    envFile?: string | false;
+    // Prefijo de las variables que sobrescriben opciones (por omisión "WHENDY_")
+    prefix?: string;
+    // Variables de entorno; el .env se carga en este objeto (por omisión process.env)
+    environment?: Env;
+    // Rutas con punto que deben tener valor ("port", "db.0.pass"...)
+    required?: string[];
+    // Esquema que deben cumplir las opciones combinadas; también decide qué variables
+    // WHENDY_* se convierten a número o booleano (por omisión SERVER_OPTIONS_SCHEMA)
+    schema?: JsonSchema;
+}
+
+export interface LayerOptions {
+    env?: string;
+    environment?: Env;
+    schema?: JsonSchema;
+}
+
+function isPlainObject(value: any): boolean {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function toPointer(segments: (string | number)[]): string {
+    return segments.map((segment) => `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+/**
+ * Combina objetos en profundidad; los arreglos y demás valores se reemplazan.
+ * @returns Un objeto nuevo, sin modificar los originales.
+ */
+export function deepMerge(...sources: any[]): any {
+    const result: { [key: string]: any } = {};
+    for (const source of sources) {
+        if (!isPlainObject(source)) {
+            continue;
+        }
+        for (const [key, value] of Object.entries(source)) {
+            result[key] = isPlainObject(value) && isPlainObject(result[key])
+                ? deepMerge(result[key], value)
+                : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Parsea el contenido de un archivo .env (KEY=valor, comentarios con #, comillas opcionales).
+ */
+export function parseEnv(content: string): { [name: string]: string } {
+    const result: { [name: string]: string } = {};
+
+    for (const line of content.split(/\r?\n/)) {
+        const match = /^\s*(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*(.*?)\s*$/.exec(line);
+        if (!match) {
+            continue;
+        }
+
+        let value = match[2];
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+            value = value.slice(1, -1);
+            if (quote === '"') {
+                value = value.replace(/\\n/g, "\n").replace(/\\"/g, '"');
+            }
+        } else {
+            // Comentario al final de un valor sin comillas
+            value = value.replace(/\s+#.*$/, "");
+        }
+        result[match[1]] = value;
+    }
+    return result;
+}
+
+/**
+ * Carga un archivo .env en las variables de entorno sin reemplazar las ya definidas.
+ * @param file - Ruta del archivo; si no existe no se hace nada.
+ * @param environment - Variables de entorno de destino.
+ */
+export function loadEnvFile(file: string, environment: Env = process.env): void {
+    if (!fs.existsSync(file)) {
+        return;
+    }
+    const values = parseEnv(fs.readFileSync(file, "utf8"));
+    for (const [name, value] of Object.entries(values)) {
+        if (environment[name] === undefined) {
+            environment[name] = value;
+        }
+    }
+}
+
+function camelCase(segment: string): string {
+    return segment.toLowerCase().replace(/_([a-z0-9])/g, (_match, char: string) => char.toUpperCase());
+}
+
+// Sólo se convierten los valores cuyo destino es numérico o booleano según el esquema; el resto
+// queda como texto para no alterar secretos numéricos ni valores como "null"
+function parseValue(value: string, types: SchemaType[]): any {
+    if ((types.includes("number") || types.includes("integer")) && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (types.includes("boolean") && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+    return value;
+}
+
+function setPath(target: any, segments: string[], value: any): any {
+    const [head, ...rest] = segments;
+    const container = Array.isArray(target) ? [...target] : { ...(isPlainObject(target) ? target : {}) };
+    container[head] = rest.length > 0 ? setPath(container[head], rest, value) : value;
+    return container;
+}
+
+/**
+ * Convierte las variables con el prefijo en opciones: "__" separa niveles y cada nivel
+ * pasa a camelCase (WHENDY_MAX_REQUEST_SIZE=1024 -> maxRequestSize: 1024,
+ * WHENDY_SESSION__MACHINE_TYPE=file -> session.machineType: "file"). Los valores se
+ * convierten a número o booleano sólo si el esquema lo indica para esa opción.
+ * @param environment - Variables de entorno.
+ * @param prefix - Prefijo de las variables.
+ * @param schema - Esquema de las opciones (por omisión SERVER_OPTIONS_SCHEMA).
+ */
+export function envToOptions(environment: Env, prefix: string = "WHENDY_", schema: JsonSchema = SERVER_OPTIONS_SCHEMA): { [key: string]: any } {
+    let result: { [key: string]: any } = {};
+
+    for (const name of Object.keys(environment).sort()) {
+        const value = environment[name];
+        if (!name.startsWith(prefix) || value === undefined || name.length === prefix.length) {
+            continue;
+        }
+        const segments = name.slice(prefix.length).split("__").filter(Boolean).map(camelCase);
+        result = setPath(result, segments, parseValue(value, schemaTypesAt(schema, segments)));
+    }
+    return result;
+}
+
+/**
+ * Reemplaza ${VAR} y ${VAR:-valor} en las cadenas de un valor.
+ * @param value - Valor a interpolar (se recorre en profundidad).
+ * @param environment - Variables de entorno.
+ * @param violations - Recibe una violación por cada variable sin valor ni valor por omisión.
+ * @param segments - Ruta del valor, para el JSON Pointer de las violaciones.
+ * @returns Un valor nuevo con las variables reemplazadas.
+ */
+export function interpolate(value: any, environment: Env, violations: SchemaViolation[] = [], segments: (string | number)[] = []): any {
+    if (typeof value === "string") {
+        return value.replace(/\$\{([A-Za-z_]\w*)(?::-([^}]*))?\}/g, (match, name: string, fallback?: string) => {
+            const resolved = environment[name] ?? fallback;
+            if (resolved === undefined) {
+                violations.push({ pointer: toPointer(segments), keyword: "env", message: `environment variable "${name}" is not set` });
+                return match;
+            }
+            return resolved;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolate(item, environment, violations, [...segments, index]));
+    }
+    if (isPlainObject(value)) {
+        const result: { [key: string]: any } = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = interpolate(item, environment, violations, [...segments, key]);
+        }
+        return result;
+    }
+    return value;
+}
+
+// Archivo de sobrescritura del entorno: config.json -> config.production.json
+function envFilePath(file: string, env: string): string {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.${env}${ext}`);
+}
+
+/**
+ * Completa la configuración combinada: interpola ${VAR} en db y en el db de cada
+ * aplicación (apps.*.db), verifica los valores requeridos y valida el esquema.
+ * @throws ConfigValidationError con todas las violaciones.
+ */
+function finish(source: string, config: any, options: LayerOptions & { required?: string[] }): any {
+    const violations: SchemaViolation[] = [];
+    const environment = options.environment ?? process.env;
+
+    // Sólo db: los secretos de conexión quedan fuera de config.json
+    if (config.db !== undefined) {
+        config.db = interpolate(config.db, environment, violations, ["db"]);
+    }
+    if (isPlainObject(config.apps)) {
+        for (const [name, app] of Object.entries<any>(config.apps)) {
+            if (isPlainObject(app) && app.db !== undefined) {
+                app.db = interpolate(app.db, environment, violations, ["apps", name, "db"]);
+            }
+        }
+    }
+
+    for (const required of options.required ?? []) {
+        const segments = required.split(".");
+        const value = segments.reduce((current, key) => (current == null ? undefined : current[key]), config);
+        if (value === undefined || value === null || value === "") {
+            violations.push({ pointer: toPointer(segments), keyword: "required", message: "missing required value" });
+        }
+    }
+
+    if (options.schema) {
+        violations.push(...validate(options.schema, config));
+    }
+
+    if (violations.length > 0) {
+        throw new ConfigValidationError(source, violations);
+    }
+    return config;
+}
+
+/**
+ * Carga un archivo JSON y su sobrescritura del entorno (config.<env>.json), e interpola db.
+ * Se usa para el config.json de los módulos. Las variables WHENDY_* no se aplican: sólo
+ * sobrescriben opciones del servidor; en un módulo los valores del entorno van en
+ * config.<env>.json o como ${VAR} en db.
+ * @param file - Archivo base.
+ * @throws Error si el archivo base no puede leerse.
+ * @throws ConfigValidationError si faltan variables o no cumple el esquema.
+ */
+export async function loadLayers(file: string, options: LayerOptions = {}): Promise<any> {
+    const env = options.env ?? process.env.NODE_ENV ?? "development";
+    const base = await loadJsonFile(file);
+    const overlayFile = envFilePath(file, env);
+    const overlay = fs.existsSync(overlayFile) ? await loadJsonFile(overlayFile) : {};
+
+    return finish(file, deepMerge(base, overlay), options);
+}
+
+/**
+ * Carga las opciones del servidor combinando, de menor a mayor precedencia:
+ * config.json, config.<env>.json, .env y las variables WHENDY_*.
+ * Se llama al iniciar, antes de crear Server; por eso es síncrona.
+ * @throws ConfigValidationError si faltan valores requeridos o variables de db o apps.*.db.
+ */
+export function loadConfig<T = { [key: string]: any }>(options: ConfigLoaderOptions = {}): T {
+    const file = options.file ?? "./config.json";
+    const env = options.env ?? process.env.NODE_ENV ?? "development";
+    const environment = options.environment ?? process.env;
+
+    if (options.envFile !== false) {
+        loadEnvFile(options.envFile ?? "./.env", environment);
+    }
+
+    const layers: any[] = [];
+    for (const layer of [file, envFilePath(file, env)]) {
+        if (fs.existsSync(layer)) {
+            layers.push(loadJsonFileSync(layer));
+        }
+    }
+    layers.push(envToOptions(environment, options.prefix, options.schema));
+
+    const config = deepMerge(...layers);
+    config.env ??= env;
+
+    return finish("configuration", config, { ...options, environment });
+}
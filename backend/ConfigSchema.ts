@@ -0,0 +1,350 @@
+import * as fs from "fs";
+import * as path from "path";
+import { loadJsonFile } from "./Tool";
+import { ConfigValidationError, formatViolations, JsonSchema, SchemaViolation, validate } from "./Schema";
+
+const STRINGS: JsonSchema = { type: "array", items: { type: "string" } };
+
+const RATE_LIMIT_PROPERTIES: { [name: string]: JsonSchema } = {
+    capacity: { type: "number", exclusiveMinimum: 0 },
+    window: { type: "number", exclusiveMinimum: 0 },
+    key: { enum: ["ip", "session", "subject"] },
+    trustProxy: { type: "boolean" },
+};
+
+// Definiciones compartidas por los dos esquemas
+const definitions: { [name: string]: JsonSchema } = {
+    // Conexión de DBAdmin (IConnectInfo). "type" es el nombre alternativo de "driver";
+    // las opciones propias de un driver van en "options"
+    connectInfo: {
+        type: "object",
+        anyOf: [{ required: ["driver"] }, { required: ["type"] }],
+        properties: {
+            name: { type: "string", minLength: 1 },
+            driver: { type: "string", minLength: 1 },
+            type: { type: "string", minLength: 1 },
+            host: { type: "string" },
+            port: { type: "integer", minimum: 0, maximum: 65535 },
+            user: { type: "string" },
+            pass: { type: "string" },
+            dbase: { type: "string" },
+            schema: { type: "string" },
+            charset: { type: "string" },
+            file: { type: "string" },
+            ssl: { type: ["boolean", "object"] },
+            pool: { type: "integer", minimum: 1 },
+            options: { type: "object" },
+        },
+        additionalProperties: false,
+    },
+    access: {
+        type: "object",
+        properties: {
+            default: { enum: ["allow", "deny"] },
+            rules: {
+                type: "object",
+                additionalProperties: {
+                    anyOf: [
+                        STRINGS,
+                        {
+                            type: "object",
+                            properties: { roles: STRINGS, permissions: STRINGS },
+                            additionalProperties: false,
+                        },
+                    ],
+                },
+            },
+            roles: { type: "object", additionalProperties: STRINGS },
+            roleKey: { type: "string" },
+            permissionKey: { type: "string" },
+        },
+        additionalProperties: false,
+    },
+    cors: {
+        type: "object",
+        properties: {
+            // En ServerOptions también admite RegExp y funciones
+            origin: {},
+            credentials: { type: "boolean" },
+            methods: STRINGS,
+            allowedHeaders: STRINGS,
+            exposedHeaders: STRINGS,
+            maxAge: { type: "integer", minimum: 0 },
+        },
+        additionalProperties: false,
+    },
+    // En un módulo el límite requiere capacity; el del servidor se define en SERVER_OPTIONS_SCHEMA
+    rateLimit: {
+        type: "object",
+        required: ["capacity"],
+        properties: RATE_LIMIT_PROPERTIES,
+        additionalProperties: false,
+    },
+    tlsCredentials: {
+        type: "object",
+        required: ["key", "cert"],
+        properties: {
+            key: { type: "string", minLength: 1 },
+            cert: { type: "string", minLength: 1 },
+            ca: { anyOf: [{ type: "string" }, STRINGS] },
+            passphrase: { type: "string" },
+        },
+        additionalProperties: false,
+    },
+    // init: requests iniciales por nombre de aplicación
+    init: {
+        type: "object",
+        additionalProperties: { type: ["array", "object"] },
+    },
+};
+
+/**
+ * Esquema del config.json de un módulo (app/modules/<módulo>/config.json).
+ */
+export const MODULE_CONFIG_SCHEMA: JsonSchema = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "ModuleConfig",
+    type: "object",
+    properties: {
+        $schema: { type: "string" },
+        constants: { type: "object" },
+        db: { type: "array", items: { $ref: "#/definitions/connectInfo" } },
+        init: { $ref: "#/definitions/init" },
+        middleware: STRINGS,
+        cache: { type: "boolean" },
+        access: { $ref: "#/definitions/access" },
+        cors: { $ref: "#/definitions/cors" },
+        rateLimit: { $ref: "#/definitions/rateLimit" },
+    },
+    additionalProperties: false,
+    definitions,
+};
+
+/**
+ * Esquema de las opciones de Server. Los valores que no son JSON (logger, funciones,
+ * RegExp) sólo se validan por nombre.
+ */
+export const SERVER_OPTIONS_SCHEMA: JsonSchema = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    title: "ServerOptions",
+    type: "object",
+    properties: {
+        env: { type: "string", minLength: 1 },
+        port: { type: "integer", minimum: 0, maximum: 65535 },
+        tls: {
+            type: "object",
+            required: ["key", "cert"],
+            properties: {
+                ...definitions.tlsCredentials.properties,
+                sni: { type: "object", additionalProperties: { $ref: "#/definitions/tlsCredentials" } },
+                http2: { type: "boolean" },
+                redirect: {
+                    anyOf: [
+                        { type: "boolean" },
+                        {
+                            type: "object",
+                            properties: { port: { type: "integer", minimum: 0, maximum: 65535 } },
+                            additionalProperties: false,
+                        },
+                    ],
+                },
+                minVersion: { enum: ["TLSv1", "TLSv1.1", "TLSv1.2", "TLSv1.3"] },
+            },
+            additionalProperties: false,
+        },
+        classElement: { type: "array" },
+        constants: { type: "object" },
+        header: { type: "object", additionalProperties: { type: ["string", "number"] } },
+        db: { type: "array", items: { $ref: "#/definitions/connectInfo" } },
+        setApp: { type: ["object", "array"] },
+        apps: {
+            type: "object",
+            additionalProperties: {
+                type: "object",
+                properties: {
+                    id: { type: "string", minLength: 1 },
+                    hosts: STRINGS,
+                    constants: { type: "object" },
+                    db: { type: "array", items: { $ref: "#/definitions/connectInfo" } },
+                    init: { type: ["array", "object"] },
+                    session: { type: "object" },
+                },
+                additionalProperties: false,
+            },
+        },
+        appSources: { type: "array", items: { enum: ["name", "id", "host"] } },
+        useModule: { type: "boolean" },
+        init: { $ref: "#/definitions/init" },
+        cors: { anyOf: [{ type: "boolean" }, { $ref: "#/definitions/cors" }] },
+        maxRequestSize: { type: "integer", minimum: 0 },
+        compression: {
+            anyOf: [
+                { type: "boolean" },
+                {
+                    type: "object",
+                    properties: {
+                        threshold: { type: "integer", minimum: 0 },
+                        encodings: { type: "array", items: { enum: ["br", "gzip", "deflate"] } },
+                        level: { type: "integer", minimum: 0, maximum: 11 },
+                    },
+                    additionalProperties: false,
+                },
+            ],
+        },
+        uploadDir: { type: "string" },
+        static: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["path", "root"],
+                properties: {
+                    path: { type: "string", pattern: "^/" },
+                    root: { type: "string", minLength: 1 },
+                    index: { type: ["string", "boolean"] },
+                    fallback: { type: "string" },
+                    maxAge: { type: "integer", minimum: 0 },
+                    immutable: { type: "boolean" },
+                    precompressed: { type: "boolean" },
+                    mime: { type: "object", additionalProperties: { type: "string" } },
+                },
+                additionalProperties: false,
+            },
+        },
+        timeout: { type: "integer", minimum: 0 },
+        enableLogging: { type: "boolean" },
+        logger: {},
+        routeFallthrough: { type: "boolean" },
+        session: { type: "object" },
+        authMode: { enum: ["cookie", "bearer", "both"] },
+        jwt: { type: "object" },
+        tokens: {},
+        access: { $ref: "#/definitions/access" },
+        monitoring: {
+            anyOf: [
+                { type: "boolean" },
+                {
+                    type: "object",
+                    properties: {
+                        health: { type: "boolean" },
+                        metrics: { type: "boolean" },
+                        paths: {
+                            type: "object",
+                            properties: {
+                                health: { type: "string", pattern: "^/" },
+                                ready: { type: "string", pattern: "^/" },
+                                metrics: { type: "string", pattern: "^/" },
+                            },
+                            additionalProperties: false,
+                        },
+                        checks: { type: "object" },
+                        checkTimeout: { type: "integer", minimum: 0 },
+                    },
+                    additionalProperties: false,
+                },
+            ],
+        },
+        shutdown: {
+            type: "object",
+            properties: {
+                timeout: { type: "integer", minimum: 0 },
+                signals: { anyOf: [{ type: "boolean" }, STRINGS] },
+            },
+            additionalProperties: false,
+        },
+        rateLimit: {
+            type: "object",
+            properties: {
+                ...RATE_LIMIT_PROPERTIES,
+                store: { type: "string" },
+                storeOptions: {},
+            },
+            additionalProperties: false,
+        },
+        moduleReload: { enum: ["watch", "ttl"] },
+    },
+    additionalProperties: false,
+    definitions,
+};
+
+/**
+ * Valida el config.json de un módulo.
+ * @returns Violaciones con su JSON Pointer; vacío si es válido.
+ */
+export function validateModuleConfig(config: any): SchemaViolation[] {
+    return validate(MODULE_CONFIG_SCHEMA, config);
+}
+
+/**
+ * Valida las opciones de Server.
+ * @returns Violaciones con su JSON Pointer; vacío si son válidas.
+ */
+export function validateServerOptions(options: any): SchemaViolation[] {
+    return validate(SERVER_OPTIONS_SCHEMA, options);
+}
+
+// Resultado de validar el config.json de un módulo
+export interface ModuleReport {
+    file: string;
+    violations: SchemaViolation[];
+}
+
+/**
+ * Valida los config.json de todos los módulos de un directorio (app/modules/*\/config.json).
+ * Un archivo que no puede leerse o no es JSON se informa como violación de la raíz.
+ * @param dir - Directorio de los módulos.
+ * @returns Un informe por archivo, en orden alfabético.
+ */
+export async function validateModules(dir: string): Promise<ModuleReport[]> {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const reports: ModuleReport[] = [];
+
+    for (const entry of entries.filter((item) => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const file = path.join(dir, entry.name, "config.json");
+        if (!fs.existsSync(file)) {
+            continue;
+        }
+
+        try {
+            await loadJsonFile(file, MODULE_CONFIG_SCHEMA);
+            reports.push({ file, violations: [] });
+        } catch (error) {
+            const violations = error instanceof ConfigValidationError
+                ? error.violations
+                : [{ pointer: "", keyword: "parse", message: (error as Error).message }];
+            reports.push({ file, violations });
+        }
+    }
+    return reports;
+}
+
+/**
+ * Uso en CI, después de npm run build (dist/ se marca como CommonJS):
+ *   npm run validate:config [-- app/modules]        valida los módulos; sale con 1 si hay errores
+ *   npm run validate:config -- --schema module      imprime el esquema (module o server)
+ */
+async function main(args: string[]): Promise<number> {
+    if (args[0] === "--schema") {
+        const schema = args[1] === "server" ? SERVER_OPTIONS_SCHEMA : MODULE_CONFIG_SCHEMA;
+        process.stdout.write(JSON.stringify(schema, null, 2) + "\n");
+        return 0;
+    }
+
+    const reports = await validateModules(args[0] ?? "./app/modules");
+    const invalid = reports.filter((report) => report.violations.length > 0);
+
+    for (const { file, violations } of invalid) {
+        process.stderr.write(`${file}\n${formatViolations(violations)}\n`);
+    }
+    process.stdout.write(`${reports.length} module config(s) checked, ${invalid.length} invalid\n`);
+    return invalid.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        (code) => process.exit(code),
+        (error) => {
+            process.stderr.write(`${(error as Error).message}\n`);
+            process.exit(2);
+        },
+    );
+}
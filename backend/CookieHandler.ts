@@ -1,4 +1,5 @@
 import { IncomingMessage, ServerResponse } from "node:http";
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, timingSafeEqual } from "node:crypto";
 
 // Tipos para SameSite
 type SameSite = "Strict" | "Lax" | "None";
@@ -14,39 +15,203 @@ interface CookieOptions {
     sameSite?: SameSite;
     priority?: "Low" | "Medium" | "High";
     signed?: boolean;
+    encrypted?: boolean;
     encode?: (value: string) => string;
 }
 
+// Opciones de CookieHandler
+export interface CookieHandlerOptions {
+    // Clave o lista de claves; la primera firma y cifra, todas verifican (rotación)
+    secret?: string | string[];
+}
+
+// Prefijos de los valores firmados y cifrados
+const SIGNED_PREFIX = "s:";
+const ENCRYPTED_PREFIX = "e:";
+
+/**
+ * Firma un valor con HMAC-SHA256. El nombre de la cookie forma parte de la firma
+ * para que un valor firmado no pueda usarse en otra cookie.
+ * @param name - Nombre de la cookie.
+ * @param value - Valor a firmar.
+ * @param secret - Clave de firma.
+ * @returns Valor en formato "s:valor.firma".
+ */
+export function signValue(name: string, value: string, secret: string): string {
+    const signature = createHmac("sha256", secret).update(`${name}=${value}`).digest("base64url");
+    return `${SIGNED_PREFIX}${value}.${signature}`;
+}
+
+/**
+ * Verifica un valor firmado con cualquiera de las claves.
+ * @param name - Nombre de la cookie.
+ * @param signed - Valor en formato "s:valor.firma".
+ * @param secrets - Claves aceptadas.
+ * @returns Valor original, o undefined si la firma no es válida.
+ */
+export function unsignValue(name: string, signed: string, secrets: string[]): string | undefined {
+    if (!signed.startsWith(SIGNED_PREFIX)) {
+        return undefined;
+    }
+
+    const index = signed.lastIndexOf(".");
+    if (index === -1) {
+        return undefined;
+    }
+
+    const value = signed.slice(SIGNED_PREFIX.length, index);
+    const signature = Buffer.from(signed.slice(index + 1), "base64url");
+
+    for (const secret of secrets) {
+        const expected = createHmac("sha256", secret).update(`${name}=${value}`).digest();
+        if (signature.length === expected.length && timingSafeEqual(signature, expected)) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Deriva la clave AES-256 a partir de un secreto.
+ */
+function encryptionKey(secret: string): Buffer {
+    return Buffer.from(hkdfSync("sha256", secret, "", "whendy-cookie-encryption", 32));
+}
+
+/**
+ * Cifra un valor con AES-256-GCM. El nombre de la cookie se autentica como dato adicional.
+ * @param name - Nombre de la cookie.
+ * @param value - Valor a cifrar.
+ * @param secret - Clave de cifrado.
+ * @returns Valor en formato "e:iv.cifrado.tag" (base64url).
+ */
+export function encryptValue(name: string, value: string, secret: string): string {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", encryptionKey(secret), iv);
+    cipher.setAAD(Buffer.from(name));
+    const encrypted = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${ENCRYPTED_PREFIX}${[iv, encrypted, tag].map((part) => part.toString("base64url")).join(".")}`;
+}
+
 /**
- * Parsea una cadena de cookies en un objeto de instancias CookieVar.
+ * Descifra un valor con cualquiera de las claves.
+ * @param name - Nombre de la cookie.
+ * @param encrypted - Valor en formato "e:iv.cifrado.tag".
+ * @param secrets - Claves aceptadas.
+ * @returns Valor original, o undefined si no se puede descifrar.
+ */
+export function decryptValue(name: string, encrypted: string, secrets: string[]): string | undefined {
+    if (!encrypted.startsWith(ENCRYPTED_PREFIX)) {
+        return undefined;
+    }
+
+    const parts = encrypted.slice(ENCRYPTED_PREFIX.length).split(".");
+    if (parts.length !== 3) {
+        return undefined;
+    }
+
+    const [iv, data, tag] = parts.map((part) => Buffer.from(part, "base64url"));
+    if (iv.length !== 12 || tag.length !== 16) {
+        return undefined;
+    }
+
+    for (const secret of secrets) {
+        try {
+            const decipher = createDecipheriv("aes-256-gcm", encryptionKey(secret), iv);
+            decipher.setAAD(Buffer.from(name));
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+        } catch {
+            // Probar con la siguiente clave
+        }
+    }
+    return undefined;
+}
+
+// Nombre de cookie válido (token de RFC 7230)
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Valor de cookie válido (cookie-octet de RFC 6265)
+const COOKIE_VALUE = /^[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*$/;
+
+// Valores de atributos: sin ";" ni caracteres de control
+const ATTRIBUTE_VALUE = /^[^\x00-\x1F\x7F;]*$/;
+
+/**
+ * Decodifica un valor; si no es un URI válido se devuelve tal cual.
+ */
+function safeDecode(value: string): string {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Parsea una cadena de cookies en un objeto de instancias CookieVar, según RFC 6265.
+ * Los pares inválidos se ignoran, los valores entre comillas se desencierran
+ * y ante nombres repetidos se conserva la primera aparición.
  * @param str - Cadena de cookies en formato "name=value; name2=value2".
  * @returns Objeto con nombres de cookies como claves y CookieVar como valores.
- * @throws Error si la cadena tiene un formato inválido.
  */
 export function cookieParse(str: string): { [key: string]: CookieVar } {
-    const cookies: { [key: string]: CookieVar } = {};
+    const cookies: { [key: string]: CookieVar } = Object.create(null);
 
     if (!str || typeof str !== "string") {
         return cookies;
     }
 
-    const lines = str.split(";");
+    for (const pair of str.split(";")) {
+        const index = pair.indexOf("=");
+        if (index === -1) {
+            continue;
+        }
 
-    for (const line of lines) {
-        const [key, ...valueParts] = line.split("=");
-        const trimmedKey = key.trim();
+        const name = pair.slice(0, index).trim();
+        if (!COOKIE_NAME.test(name) || name in cookies) {
+            continue;
+        }
 
-        if (!trimmedKey) {
-            throw new Error(`Invalid cookie format: empty key in "${line}"`);
+        let value = pair.slice(index + 1).trim();
+        if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
         }
 
-        const value = valueParts.length > 0 ? decodeURIComponent(valueParts.join("=").trim()) : trimmedKey;
-        cookies[trimmedKey] = new CookieVar(trimmedKey, value);
+        cookies[name] = new CookieVar(name, safeDecode(value));
     }
 
     return cookies;
 }
 
+/**
+ * Obtiene el nombre, path y dominio de una cadena Set-Cookie.
+ * Dos cookies con la misma identidad se reemplazan en el navegador.
+ */
+function cookieIdentity(setCookie: string): string {
+    const [pair, ...attributes] = setCookie.split(";");
+    const name = pair.slice(0, pair.indexOf("=")).trim();
+    let path = "";
+    let domain = "";
+
+    for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split("=");
+        const value = rest.join("=").trim();
+        switch (key.trim().toLowerCase()) {
+            case "path":
+                path = value;
+                break;
+            case "domain":
+                domain = value.replace(/^\./, "").toLowerCase();
+                break;
+        }
+    }
+
+    return `${name};${path};${domain}`;
+}
+
 /**
  * Clase que representa una cookie con sus atributos.
  */
@@ -62,6 +227,7 @@ export class CookieVar {
     public sameSite?: SameSite;
     public priority?: "Low" | "Medium" | "High";
     public signed: boolean = false;
+    public encrypted: boolean = false;
     public encode: (value: string) => string = encodeURIComponent;
 
     constructor(name: string, value: string, options: CookieOptions = {}) {
@@ -80,15 +246,22 @@ export class CookieVar {
         this.sameSite = options.sameSite;
         this.priority = options.priority;
         this.signed = options.signed ?? false;
+        this.encrypted = options.encrypted ?? false;
         this.encode = options.encode ?? encodeURIComponent;
     }
 
     /**
      * Serializa la cookie en una cadena válida para el encabezado Set-Cookie.
+     * @param value - Valor a usar en lugar del propio (por ejemplo, el valor firmado).
      * @returns Cadena en formato "name=value;attr1=value1;attr2".
+     * @throws Error si el nombre, el valor o los atributos no cumplen RFC 6265
+     * o las reglas de SameSite=None y de los prefijos __Host- y __Secure-.
      */
-    get(): string {
-        const attributes: string[] = [`${this.name}=${this.encode(this.value)}`];
+    get(value: string = this.value): string {
+        const encoded = this.encode(value);
+        this.validate(encoded);
+
+        const attributes: string[] = [`${this.name}=${encoded}`];
 
         if (this.domain) attributes.push(`Domain=${this.domain}`);
         if (this.path) attributes.push(`Path=${this.path}`);
@@ -98,7 +271,6 @@ export class CookieVar {
         if (this.httpOnly) attributes.push("HttpOnly");
         if (this.sameSite) attributes.push(`SameSite=${this.sameSite}`);
         if (this.priority) attributes.push(`Priority=${this.priority}`);
-        if (this.signed) attributes.push("Signed");
 
         return attributes.join("; ");
     }
@@ -110,6 +282,40 @@ export class CookieVar {
     getValue(): string {
         return this.value;
     }
+
+    /**
+     * Valida la cookie antes de serializarla.
+     * @param encoded - Valor ya codificado.
+     */
+    private validate(encoded: string): void {
+        if (!COOKIE_NAME.test(this.name)) {
+            throw new Error(`Invalid cookie name "${this.name}"`);
+        }
+
+        if (!COOKIE_VALUE.test(encoded)) {
+            throw new Error(`Invalid value for cookie "${this.name}"`);
+        }
+
+        if (this.domain && !ATTRIBUTE_VALUE.test(this.domain)) {
+            throw new Error(`Invalid domain for cookie "${this.name}"`);
+        }
+
+        if (this.path && !ATTRIBUTE_VALUE.test(this.path)) {
+            throw new Error(`Invalid path for cookie "${this.name}"`);
+        }
+
+        if (this.sameSite === "None" && !this.secure) {
+            throw new Error(`Cookie "${this.name}" with SameSite=None must be Secure`);
+        }
+
+        if (this.name.startsWith("__Secure-") && !this.secure) {
+            throw new Error(`Cookie "${this.name}" with __Secure- prefix must be Secure`);
+        }
+
+        if (this.name.startsWith("__Host-") && (!this.secure || this.path !== "/" || this.domain)) {
+            throw new Error(`Cookie "${this.name}" with __Host- prefix must be Secure, with Path=/ and no Domain`);
+        }
+    }
 }
 
 /**
@@ -118,12 +324,63 @@ export class CookieVar {
 export class CookieHandler {
     private req: IncomingMessage;
     private res: ServerResponse;
+    private secrets: string[];
     public cookies: { [key: string]: CookieVar } = {};
 
-    constructor(req: IncomingMessage, res: ServerResponse) {
+    constructor(req: IncomingMessage, res: ServerResponse, options: CookieHandlerOptions = {}) {
         this.req = req;
         this.res = res;
+        this.secrets = [options.secret ?? []].flat().filter(Boolean);
         this.cookies = cookieParse(req.headers.cookie || "");
+
+        if (this.secrets.length > 0) {
+            this.verify();
+        }
+    }
+
+    /**
+     * Verifica las cookies firmadas o cifradas y descarta las alteradas.
+     */
+    private verify(): void {
+        for (const [name, cookie] of Object.entries(this.cookies)) {
+            if (cookie.value.startsWith(SIGNED_PREFIX)) {
+                const value = unsignValue(name, cookie.value, this.secrets);
+                if (value === undefined) {
+                    delete this.cookies[name];
+                    continue;
+                }
+                cookie.value = value;
+                cookie.signed = true;
+            } else if (cookie.value.startsWith(ENCRYPTED_PREFIX)) {
+                const value = decryptValue(name, cookie.value, this.secrets);
+                if (value === undefined) {
+                    delete this.cookies[name];
+                    continue;
+                }
+                cookie.value = value;
+                cookie.encrypted = true;
+            }
+        }
+    }
+
+    /**
+     * Serializa una cookie, firmando o cifrando su valor si corresponde.
+     * @param cookie - Instancia de CookieVar.
+     * @throws Error si la cookie es firmada o cifrada y no hay clave.
+     */
+    private serialize(cookie: CookieVar): string {
+        if (!cookie.signed && !cookie.encrypted) {
+            return cookie.get();
+        }
+
+        if (this.secrets.length === 0) {
+            throw new Error(`A secret is required for signed or encrypted cookie "${cookie.name}"`);
+        }
+
+        const value = cookie.encrypted
+            ? encryptValue(cookie.name, cookie.value, this.secrets[0])
+            : signValue(cookie.name, cookie.value, this.secrets[0]);
+        return cookie.get(value);
     }
 
     /**
@@ -160,15 +417,16 @@ export class CookieHandler {
      * @returns Array de cadenas en formato Set-Cookie.
      */
     toArray(): string[] {
-        return Object.values(this.cookies).map((cookie) => cookie.get());
+        return Object.values(this.cookies).map((cookie) => this.serialize(cookie));
     }
 
     /**
-     * Configura una o más cookies en la respuesta HTTP.
+     * Configura una cookie en la respuesta HTTP. Si ya hay un Set-Cookie
+     * con el mismo nombre, path y dominio, se reemplaza.
      * @param cookie - Instancia de CookieVar o cadena válida para Set-Cookie.
      */
     setCookie(cookie: CookieVar | string): void {
-        const cookieString = typeof cookie === "string" ? cookie : cookie.get();
+        const cookieString = typeof cookie === "string" ? cookie : this.serialize(cookie);
         const currentCookies = this.res.getHeader("Set-Cookie");
 
         // Normalizamos currentCookies a un array de strings
@@ -178,8 +436,12 @@ export class CookieHandler {
                 ? [String(currentCookies)] // Convertimos a array si es un string
                 : []; // Array vacío si es undefined
 
-        // Agregamos la nueva cookie al array
-        const newCookies = [...normalizedCookies, cookieString];
+        // Reemplazamos la cookie con la misma identidad y agregamos la nueva
+        const identity = cookieIdentity(cookieString);
+        const newCookies = [
+            ...normalizedCookies.filter((current) => cookieIdentity(current) !== identity),
+            cookieString,
+        ];
 
         // Configuramos el encabezado Set-Cookie
         this.res.setHeader("Set-Cookie", newCookies);
@@ -0,0 +1,158 @@
+import { IncomingMessage } from "node:http";
+
+// Origen permitido: cadena exacta (admite "*" como comodín, p. ej. "https://*.example.com"),
+// expresión regular o función
+export type OriginMatcher = string | RegExp | ((origin: string) => boolean);
+
+export interface CorsOptions {
+    // Orígenes permitidos; true o "*" permiten cualquiera (por omisión "*")
+    origin?: boolean | OriginMatcher | OriginMatcher[];
+    // Permite cookies y encabezado Authorization desde el navegador; requiere una lista
+    // explícita de orígenes
+    credentials?: boolean;
+    methods?: string[];
+    allowedHeaders?: string[];
+    exposedHeaders?: string[];
+    // Duración del preflight en caché, en segundos
+    maxAge?: number;
+}
+
+export const DEFAULT_CORS: Required<Omit<CorsOptions, "exposedHeaders">> & { exposedHeaders: string[] } = {
+    origin: "*",
+    credentials: false,
+    methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Application-Name", "Application-Id", "Application-Mode"],
+    exposedHeaders: [],
+    maxAge: 86400,
+};
+
+/**
+ * Combina la política del servidor con la de un módulo; los valores del módulo tienen prioridad.
+ * @param base - Política del servidor.
+ * @param override - Política del módulo (config.json).
+ */
+export function mergeCors(base: CorsOptions, override?: CorsOptions): CorsOptions {
+    return override ? { ...base, ...override } : base;
+}
+
+// Indica si el matcher acepta cualquier origen
+function isAnyOrigin(matcher: boolean | OriginMatcher): matcher is true | "*" {
+    return matcher === true || matcher === "*";
+}
+
+/**
+ * Verifica la política al configurarla. Con credenciales el navegador expone las respuestas
+ * autenticadas al origen permitido, por lo que "*" o true (incluido el valor por omisión)
+ * permitirían que cualquier sitio las lea.
+ * @throws Error si credentials se combina con cualquier origen.
+ */
+export function validateCors(policy: CorsOptions): void {
+    if (!policy.credentials) {
+        return;
+    }
+    const allowed = policy.origin ?? DEFAULT_CORS.origin;
+    const matchers = Array.isArray(allowed) ? allowed : [allowed];
+    if (matchers.some(isAnyOrigin)) {
+        throw new Error('CORS credentials require an explicit origin list (strings, RegExp or function), not "*" or true');
+    }
+}
+
+function wildcardToRegExp(pattern: string): RegExp {
+    const source = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*");
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Indica si un origen está permitido por la política. Con credenciales "*" y true no
+ * permiten ningún origen (ver validateCors).
+ * @param policy - Política CORS.
+ * @param origin - Valor del encabezado Origin.
+ */
+export function isOriginAllowed(policy: CorsOptions, origin: string): boolean {
+    const allowed = policy.origin ?? DEFAULT_CORS.origin;
+
+    if (allowed === false) return false;
+
+    const matchers = Array.isArray(allowed) ? allowed : [allowed];
+    return matchers.some((matcher) => {
+        if (isAnyOrigin(matcher)) return !policy.credentials;
+        if (typeof matcher === "function") return matcher(origin);
+        if (matcher instanceof RegExp) return matcher.test(origin);
+        return matcher.includes("*") ? wildcardToRegExp(matcher).test(origin) : matcher.toLowerCase() === origin.toLowerCase();
+    });
+}
+
+/**
+ * Indica si la política permite cualquier origen sin necesidad de repetirlo.
+ */
+function isWildcard(policy: CorsOptions): boolean {
+    const allowed = policy.origin ?? DEFAULT_CORS.origin;
+    return !policy.credentials && !Array.isArray(allowed) && isAnyOrigin(allowed);
+}
+
+/**
+ * Encabezados CORS de una respuesta normal.
+ * Con credenciales o con una lista de orígenes se repite el Origin recibido, sólo si está en
+ * la lista, y se agrega Vary: Origin.
+ * @param policy - Política CORS.
+ * @param origin - Valor del encabezado Origin (si lo hay).
+ * @returns Encabezados a agregar; vacío si el origen no está permitido.
+ */
+export function corsHeaders(policy: CorsOptions, origin?: string): { [key: string]: string } {
+    const headers: { [key: string]: string } = {};
+    const exposed = policy.exposedHeaders ?? DEFAULT_CORS.exposedHeaders;
+
+    if (isWildcard(policy)) {
+        headers["Access-Control-Allow-Origin"] = "*";
+    } else {
+        headers["Vary"] = "Origin";
+        if (!origin || !isOriginAllowed(policy, origin)) {
+            return headers;
+        }
+        headers["Access-Control-Allow-Origin"] = origin;
+        if (policy.credentials) {
+            headers["Access-Control-Allow-Credentials"] = "true";
+        }
+    }
+
+    if (exposed.length > 0) {
+        headers["Access-Control-Expose-Headers"] = exposed.join(", ");
+    }
+    return headers;
+}
+
+/**
+ * Evalúa una solicitud preflight (OPTIONS con Access-Control-Request-Method).
+ * @param policy - Política CORS.
+ * @param req - Solicitud HTTP.
+ * @returns Encabezados de la respuesta o null si el preflight se rechaza.
+ */
+export function preflightHeaders(policy: CorsOptions, req: IncomingMessage): { [key: string]: string } | null {
+    const origin = req.headers.origin;
+    const method = String(req.headers["access-control-request-method"] || "").toUpperCase();
+    const methods = (policy.methods ?? DEFAULT_CORS.methods).map((item) => item.toUpperCase());
+    const allowedHeaders = policy.allowedHeaders ?? DEFAULT_CORS.allowedHeaders;
+
+    if (origin && !isOriginAllowed(policy, origin)) {
+        return null;
+    }
+
+    if (method && !methods.includes(method)) {
+        return null;
+    }
+
+    const requested = String(req.headers["access-control-request-headers"] || "")
+        .split(",")
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+    const lowerAllowed = allowedHeaders.map((item) => item.toLowerCase());
+    if (requested.some((header) => !lowerAllowed.includes(header))) {
+        return null;
+    }
+
+    const headers = corsHeaders(policy, origin);
+    headers["Access-Control-Allow-Methods"] = methods.join(", ");
+    headers["Access-Control-Allow-Headers"] = allowedHeaders.join(", ");
+    headers["Access-Control-Max-Age"] = String(policy.maxAge ?? DEFAULT_CORS.maxAge);
+    return headers;
+}
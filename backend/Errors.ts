@@ -0,0 +1,82 @@
+/**
+ * Errores de la solicitud. Server.handleError decide el código HTTP a partir de `name`.
+ */
+
+/**
+ * Datos de la solicitud inválidos (400).
+ */
+export class ValidationError extends Error {
+    public details?: any;
+
+    constructor(message: string, details?: any) {
+        super(message);
+        this.name = "ValidationError";
+        this.details = details;
+    }
+}
+
+/**
+ * El cuerpo de la solicitud supera el tamaño máximo permitido (413).
+ */
+export class PayloadTooLargeError extends Error {
+    public limit: number;
+
+    constructor(limit: number) {
+        super(`Request body exceeds ${limit} bytes`);
+        this.name = "PayloadTooLargeError";
+        this.limit = limit;
+    }
+}
+
+/**
+ * El cuerpo de la solicitud usa un charset que no se soporta (415).
+ */
+export class UnsupportedMediaTypeError extends Error {
+    public charset: string;
+
+    constructor(charset: string) {
+        super(`Unsupported charset "${charset}"`);
+        this.name = "UnsupportedMediaTypeError";
+        this.charset = charset;
+    }
+}
+
+/**
+ * No se pudo escribir un archivo recibido en uploadDir (500). Es un fallo del servidor,
+ * no del cliente, aunque la causa sea ENOENT o EACCES.
+ */
+export class UploadError extends Error {
+    public cause: Error;
+
+    constructor(cause: Error) {
+        super(`Upload failed: ${cause.message}`);
+        this.name = "UploadError";
+        this.cause = cause;
+    }
+}
+
+/**
+ * El usuario no tiene los roles o permisos requeridos (403).
+ */
+export class AuthorizationError extends Error {
+    public reason: string;
+
+    constructor(message: string, reason: string = "forbidden") {
+        super(message);
+        this.name = "AuthorizationError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * El cliente superó el límite de solicitudes (429).
+ */
+export class RateLimitError extends Error {
+    public retryAfter: number;
+
+    constructor(retryAfter: number) {
+        super(`Rate limit exceeded, retry in ${retryAfter}s`);
+        this.name = "RateLimitError";
+        this.retryAfter = retryAfter;
+    }
+}
@@ -0,0 +1,120 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { randomBytes } from 'node:crypto';
+import { IAsyncMachine, ISession, ExpiryPolicy, isExpired } from './Manager';
+import { Session } from './Memory';
+
+export interface FileMachineOptions {
+  // Directorio donde se guardan las sesiones (un archivo JSON por sesión)
+  dir?: string;
+}
+
+// Los IDs se usan como nombre de archivo; sólo se aceptan caracteres base64url,
+// con un namespace opcional ("ventas.<id>")
+const VALID_ID = /^([A-Za-z0-9_-]+\.)?[A-Za-z0-9_-]+$/;
+
+/**
+ * Máquina de almacenamiento de sesiones en archivos JSON.
+ * Varios procesos pueden compartir las sesiones usando el mismo directorio.
+ */
+export class FileMachine implements IAsyncMachine {
+  private dir: string;
+
+  constructor(options: FileMachineOptions = {}) {
+    this.dir = path.resolve(options.dir ?? path.join(os.tmpdir(), 'whendy-sessions'));
+  }
+
+  private file(sessionId: string): string {
+    if (!VALID_ID.test(sessionId)) {
+      throw new Error(`Invalid session ID "${sessionId}"`);
+    }
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  async init(sessionId: string): Promise<ISession> {
+    const session = await this.read(sessionId);
+    if (session) {
+      return session;
+    }
+
+    const created = new Session(sessionId);
+    await this.write(created);
+    return created;
+  }
+
+  async read(sessionId: string): Promise<ISession | undefined> {
+    if (!VALID_ID.test(sessionId)) {
+      return undefined;
+    }
+
+    try {
+      const content = await fs.promises.readFile(this.file(sessionId), 'utf8');
+      return Session.restore(sessionId, JSON.parse(content));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async write(session: ISession): Promise<void> {
+    const file = this.file(session.id);
+    // Escribir en un archivo temporal y renombrar para no dejar archivos a medias
+    const tmp = `${file}.${randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify({
+      id: session.id,
+      data: session.data,
+      createdAt: session.createdAt,
+      lastAccess: session.lastAccess,
+    }));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async destroy(sessionId: string): Promise<void> {
+    if (!VALID_ID.test(sessionId)) {
+      return;
+    }
+    await fs.promises.unlink(this.file(sessionId)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async count(): Promise<number> {
+    try {
+      const files = await fs.promises.readdir(this.dir);
+      return files.filter((file) => file.endsWith('.json')).length;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  async gc(policy: ExpiryPolicy): Promise<number> {
+    let files: string[];
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const now = Date.now();
+    let count = 0;
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const id = file.slice(0, -'.json'.length);
+      // Otro proceso pudo eliminar o reescribir el archivo; se ignoran esos errores
+      const session = await this.read(id).catch(() => undefined);
+      if (session && isExpired(session, policy, now)) {
+        await this.destroy(id);
+        count++;
+      }
+    }
+    return count;
+  }
+}
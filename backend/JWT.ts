@@ -1,26 +1,122 @@
 //import exp from "node:constants";
-import { createHmac, timingSafeEqual } from "node:crypto";
+import {
+    createHmac, createPrivateKey, createPublicKey, createSecretKey,
+    sign, verify, timingSafeEqual, KeyObject,
+} from "node:crypto";
 import { Buffer } from "node:buffer";
+import { loadJsonFileSync } from "./Tool";
+import { Logger, defaultLogger } from "./Logger";
+
+// Algoritmos soportados
+export type JwtAlgorithm = "HS256" | "RS256" | "ES256" | "EdDSA";
+
+const ALGORITHMS: JwtAlgorithm[] = ["HS256", "RS256", "ES256", "EdDSA"];
 
 interface JwtHeader {
     alg: string;
     typ: string;
+    kid?: string; // identificador de la clave
 }
 
 export interface JwtOptions {
-    key?: string;
+    key?: string; // clave HMAC (HS256)
+    privateKey?: string | KeyObject; // clave de firma (RS256, ES256, EdDSA), PEM o KeyObject
+    publicKey?: string | KeyObject; // clave de verificación, PEM o KeyObject
+    keys?: { [kid: string]: KeyObject }; // claves de verificación por "kid"
+    jwks?: string; // ruta de un archivo JWKS con claves públicas
+    algorithms?: JwtAlgorithm[]; // algoritmos aceptados al verificar
     header?: Partial<JwtHeader>;
     expiresIn?: number; // en segundos
     issuer?: string;
-    audience?: string;
+    audience?: string | string[];
+    leeway?: number; // tolerancia de reloj en segundos para exp, nbf e iat
+    requiredClaims?: string[]; // claims que deben estar presentes
+    logger?: Logger; // registra los tokens rechazados por verify()
 }
 
+// Opciones que pueden cambiarse en cada verificación
+export type VerifyOptions = Pick<JwtOptions, "issuer" | "audience" | "leeway" | "requiredClaims">;
+
 export interface JwtPayload {
     [key: string]: any;
     iat?: number; // issued at
+    nbf?: number; // not before
     exp?: number; // expiration time
     iss?: string; // issuer
-    aud?: string; // audience
+    aud?: string | string[]; // audience
+    jti?: string; // JWT ID
+}
+
+/**
+ * Error base de verificación de JWT. `reason` identifica la causa para el cliente.
+ */
+export class JwtError extends Error {
+    public reason: string;
+
+    constructor(message: string, reason: string = "invalid_token") {
+        super(message);
+        this.name = "JwtError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * El token no tiene el formato JWT o su contenido no es JSON válido.
+ */
+export class MalformedTokenError extends JwtError {
+    constructor(message: string = "Token JWT mal formado") {
+        super(message, "malformed_token");
+        this.name = "MalformedTokenError";
+    }
+}
+
+/**
+ * La firma, el algoritmo o la clave del token no son válidos.
+ */
+export class InvalidSignatureError extends JwtError {
+    constructor(message: string = "Firma JWT inválida") {
+        super(message, "invalid_signature");
+        this.name = "InvalidSignatureError";
+    }
+}
+
+/**
+ * El token expiró (claim "exp").
+ */
+export class TokenExpiredError extends JwtError {
+    public expiredAt: Date;
+
+    constructor(exp: number) {
+        super("Token expirado", "token_expired");
+        this.name = "TokenExpiredError";
+        this.expiredAt = new Date(exp * 1000);
+    }
+}
+
+/**
+ * El token todavía no es válido (claim "nbf").
+ */
+export class NotBeforeError extends JwtError {
+    public date: Date;
+
+    constructor(nbf: number) {
+        super("Token todavía no válido", "token_not_active");
+        this.name = "NotBeforeError";
+        this.date = new Date(nbf * 1000);
+    }
+}
+
+/**
+ * Un claim falta, tiene un tipo inválido o no coincide con el esperado.
+ */
+export class ClaimMismatchError extends JwtError {
+    public claim: string;
+
+    constructor(claim: string, message: string) {
+        super(message, "claim_mismatch");
+        this.name = "ClaimMismatchError";
+        this.claim = claim;
+    }
 }
 export class JWT {
     private header: JwtHeader = {
@@ -28,10 +124,17 @@ export class JWT {
         typ: "JWT",
     };
 
-    private key = "your-256-bit-secret";
+    private key?: string;
+    private privateKey?: KeyObject;
+    private publicKey?: KeyObject;
+    private keys: { [kid: string]: KeyObject } = {};
+    private algorithms: JwtAlgorithm[];
     private expiresIn?: number;
     private issuer?: string;
-    private audience?: string;
+    private audience?: string | string[];
+    private leeway = 0;
+    private requiredClaims: string[] = [];
+    private logger: Logger = defaultLogger;
 
     constructor(opt?: JwtOptions) {
         if (opt) {
@@ -40,53 +143,155 @@ export class JWT {
             if (opt.expiresIn !== undefined) this.expiresIn = opt.expiresIn;
             if (opt.issuer !== undefined) this.issuer = opt.issuer;
             if (opt.audience !== undefined) this.audience = opt.audience;
+            if (opt.leeway !== undefined) this.leeway = opt.leeway;
+            if (opt.requiredClaims !== undefined) this.requiredClaims = opt.requiredClaims;
+            if (opt.privateKey !== undefined) this.privateKey = toPrivateKey(opt.privateKey);
+            if (opt.publicKey !== undefined) this.publicKey = toPublicKey(opt.publicKey);
+            if (opt.jwks !== undefined) this.keys = { ...this.keys, ...JWT.loadJwks(opt.jwks) };
+            if (opt.keys !== undefined) this.keys = { ...this.keys, ...opt.keys };
+            if (opt.logger !== undefined) this.logger = opt.logger;
+        }
+
+        if (!ALGORITHMS.includes(this.header.alg as JwtAlgorithm)) {
+            throw new Error(`Algoritmo JWT no soportado: ${this.header.alg}`);
+        }
+
+        this.algorithms = opt?.algorithms ?? [this.header.alg as JwtAlgorithm];
+
+        // La clave pública se deriva de la privada si no se indica
+        if (this.privateKey && !this.publicKey) {
+            this.publicKey = createPublicKey(this.privateKey);
         }
 
-        if (!this.key || this.key.length < 32) {
+        // No hay clave HMAC por omisión: un secreto conocido permitiría falsificar tokens
+        // HS256 aunque la instancia sólo firme con una clave asimétrica
+        const usesHmac = this.header.alg === "HS256" || this.algorithms.includes("HS256");
+        if (usesHmac && (!this.key || this.key.length < 32)) {
             throw new Error("La clave debe tener al menos 32 caracteres.");
         }
     }
+
+    /**
+     * Carga las claves públicas de un archivo JWKS local.
+     * @param filePath Ruta del archivo JWKS ({ "keys": [...] }).
+     * @returns Claves por "kid"; las claves sin "kid" se ignoran.
+     */
+    static loadJwks(filePath: string): { [kid: string]: KeyObject } {
+        const jwks = loadJsonFileSync(filePath);
+        if (!jwks || !Array.isArray(jwks.keys)) {
+            throw new Error(`JWKS inválido: ${filePath}`);
+        }
+
+        const keys: { [kid: string]: KeyObject } = {};
+        for (const jwk of jwks.keys) {
+            if (!jwk.kid) continue;
+            keys[jwk.kid] = createPublicKey({ key: jwk, format: "jwk" });
+        }
+        return keys;
+    }
+
     /**
      * Verifica un token JWT y devuelve su payload si es válido.
      * @param token El token JWT a verificar.
      * @returns El payload del JWT si es válido, o null si no lo es.
      */
     verify(token: string): JwtPayload | null {
-
         try {
-            const parts = token.split(".");
-            if (parts.length !== 3) return null;
+            return this.verifyOrThrow(token);
+        } catch (error) {
+            this.logger.warn("JWT verification failed", {
+                reason: error instanceof JwtError ? error.reason : "invalid_token",
+                detail: (error as Error).message,
+            });
+            return null;
+        }
+    }
 
-            const [headerEncoded, payloadEncoded, signatureEncoded] = parts;
-            const msg = `${headerEncoded}.${payloadEncoded}`;
+    /**
+     * Verifica un token JWT y lanza un error tipado si no es válido.
+     * @param token El token JWT a verificar.
+     * @param options Opciones que reemplazan a las de la instancia en esta verificación.
+     * @returns El payload del JWT.
+     * @throws MalformedTokenError, InvalidSignatureError, TokenExpiredError,
+     * NotBeforeError o ClaimMismatchError.
+     */
+    verifyOrThrow(token: string, options: VerifyOptions = {}): JwtPayload {
+        const parts = typeof token === "string" ? token.split(".") : [];
+        if (parts.length !== 3) {
+            throw new MalformedTokenError();
+        }
 
-            const signature = Buffer.from(signatureEncoded, "base64url");
-            const expected = Buffer.from(this.getSignature(msg), "base64url");
+        const [headerEncoded, payloadEncoded, signatureEncoded] = parts;
+        const msg = `${headerEncoded}.${payloadEncoded}`;
 
-            if (signature.length != expected.length || !timingSafeEqual(signature, expected)) {
-                throw new Error("Firma JWT inválida");
-            }
+        const header = decodeSegment(headerEncoded);
 
-            const payload = JSON.parse(Buffer.from(payloadEncoded, "base64url").toString("utf8"));
-            if (payload.exp && Date.now() >= payload.exp * 1000) {
-                throw new Error("Token expirado");
-            }
-            // Verificar issuer si está configurado
-            if (this.issuer && payload.iss !== this.issuer) {
-                throw new Error("Issuer JWT inválido");
+        // Sólo se aceptan los algoritmos permitidos; nunca "none"
+        if (!this.algorithms.includes(header.alg)) {
+            throw new InvalidSignatureError(`Algoritmo JWT no permitido: ${header.alg}`);
+        }
+
+        const key = this.verificationKey(header);
+        if (!verifySignature(header.alg, msg, Buffer.from(signatureEncoded, "base64url"), key)) {
+            throw new InvalidSignatureError();
+        }
+
+        const payload: JwtPayload = decodeSegment(payloadEncoded);
+        this.validateClaims(payload, options);
+        return payload;
+    }
+
+    /**
+     * Valida los claims registrados y los requeridos.
+     * @param payload Payload del token.
+     * @param options Opciones de la verificación.
+     */
+    private validateClaims(payload: JwtPayload, options: VerifyOptions): void {
+        const leeway = options.leeway ?? this.leeway;
+        const issuer = options.issuer ?? this.issuer;
+        const audience = options.audience ?? this.audience;
+        const now = Date.now() / 1000;
+
+        for (const claim of options.requiredClaims ?? this.requiredClaims) {
+            if (payload[claim] === undefined) {
+                throw new ClaimMismatchError(claim, `Falta el claim JWT "${claim}"`);
             }
+        }
 
-            // Verificar audience si está configurado
-            if (this.audience && payload.aud !== this.audience) {
-                throw new Error("Audience JWT inválido");
+        for (const claim of ["exp", "nbf", "iat"]) {
+            if (payload[claim] !== undefined && typeof payload[claim] !== "number") {
+                throw new ClaimMismatchError(claim, `El claim JWT "${claim}" debe ser numérico`);
             }
+        }
 
-            return payload;
+        if (payload.exp !== undefined && now >= payload.exp + leeway) {
+            throw new TokenExpiredError(payload.exp);
+        }
 
-        } catch (error) {
-            console.error("Error al verificar el token:", error);
-            return null;
+        if (payload.nbf !== undefined && now < payload.nbf - leeway) {
+            throw new NotBeforeError(payload.nbf);
+        }
+
+        if (payload.iat !== undefined && now < payload.iat - leeway) {
+            throw new ClaimMismatchError("iat", "Token emitido en el futuro");
+        }
 
+        if (payload.jti !== undefined && (typeof payload.jti !== "string" || !payload.jti)) {
+            throw new ClaimMismatchError("jti", "JTI JWT inválido");
+        }
+
+        // Verificar issuer si está configurado
+        if (issuer && payload.iss !== issuer) {
+            throw new ClaimMismatchError("iss", "Issuer JWT inválido");
+        }
+
+        // Verificar audience si está configurado; basta con que una coincida
+        if (audience) {
+            const expected = [audience].flat();
+            const received = [payload.aud ?? []].flat();
+            if (!received.some((aud) => expected.includes(aud))) {
+                throw new ClaimMismatchError("aud", "Audience JWT inválido");
+            }
         }
     }
     /**
@@ -133,8 +338,112 @@ export class JWT {
     }
 
     getSignature(msg: string): string {
-        return createHmac("sha256", this.key).update(msg).digest("base64url");
+        const alg = this.header.alg as JwtAlgorithm;
+
+        if (alg === "HS256") {
+            return createHmac("sha256", this.key as string).update(msg).digest("base64url");
+        }
+
+        if (!this.privateKey) {
+            throw new Error(`Se requiere una clave privada para firmar con ${alg}`);
+        }
+        checkKeyType(alg, this.privateKey);
+        return signWith(alg, msg, this.privateKey).toString("base64url");
+    }
+
+    /**
+     * Selecciona la clave de verificación según el "kid" y el algoritmo del token.
+     * @param header Encabezado del token.
+     * @returns Clave de verificación.
+     */
+    private verificationKey(header: JwtHeader): KeyObject {
+        let key: KeyObject | undefined;
 
+        if (header.kid !== undefined) {
+            key = this.keys[header.kid];
+            if (!key) {
+                throw new InvalidSignatureError(`Clave JWT desconocida: ${header.kid}`);
+            }
+        } else if (header.alg === "HS256" && this.key) {
+            key = createSecretKey(Buffer.from(this.key));
+        } else {
+            key = this.publicKey;
+        }
+
+        if (!key) {
+            throw new InvalidSignatureError(`No hay clave para verificar ${header.alg}`);
+        }
+
+        try {
+            checkKeyType(header.alg as JwtAlgorithm, key);
+        } catch (error) {
+            throw new InvalidSignatureError((error as Error).message);
+        }
+        return key;
+    }
+}
+
+function toPrivateKey(key: string | KeyObject): KeyObject {
+    return typeof key === "string" ? createPrivateKey(key) : key;
+}
+
+function toPublicKey(key: string | KeyObject): KeyObject {
+    return typeof key === "string" ? createPublicKey(key) : key;
+}
+
+/**
+ * Comprueba que el tipo de clave corresponda al algoritmo, para evitar
+ * confusiones como verificar HS256 usando una clave pública como secreto.
+ */
+function checkKeyType(alg: JwtAlgorithm, key: KeyObject): void {
+    const valid =
+        alg === "HS256" ? key.type === "secret" :
+        alg === "RS256" ? key.asymmetricKeyType === "rsa" :
+        alg === "ES256" ? key.asymmetricKeyType === "ec" && key.asymmetricKeyDetails?.namedCurve === "prime256v1" :
+        alg === "EdDSA" ? key.asymmetricKeyType === "ed25519" || key.asymmetricKeyType === "ed448" :
+        false;
+
+    if (!valid) {
+        throw new Error(`La clave no corresponde al algoritmo ${alg}`);
+    }
+}
+
+/**
+ * Firma un mensaje con un algoritmo asimétrico.
+ */
+function signWith(alg: JwtAlgorithm, msg: string, key: KeyObject): Buffer {
+    const data = Buffer.from(msg);
+    switch (alg) {
+        case "RS256":
+            return sign("sha256", data, key);
+        case "ES256":
+            // JWS usa la firma ECDSA en formato R || S
+            return sign("sha256", data, { key, dsaEncoding: "ieee-p1363" });
+        case "EdDSA":
+            return sign(null, data, key);
+        default:
+            throw new Error(`Algoritmo JWT no soportado: ${alg}`);
+    }
+}
+
+/**
+ * Verifica la firma de un mensaje.
+ */
+function verifySignature(alg: JwtAlgorithm, msg: string, signature: Buffer, key: KeyObject): boolean {
+    const data = Buffer.from(msg);
+    switch (alg) {
+        case "HS256": {
+            const expected = createHmac("sha256", key).update(data).digest();
+            return signature.length === expected.length && timingSafeEqual(signature, expected);
+        }
+        case "RS256":
+            return verify("sha256", data, key, signature);
+        case "ES256":
+            return verify("sha256", data, { key, dsaEncoding: "ieee-p1363" }, signature);
+        case "EdDSA":
+            return verify(null, data, key, signature);
+        default:
+            return false;
     }
 }
 
@@ -144,6 +453,22 @@ function base64Encode(msg: string): string {
     return Buffer.from(msg).toString("base64url");
 }
 
+/**
+ * Decodifica un segmento base64url con contenido JSON.
+ * @throws MalformedTokenError si el segmento no es un objeto JSON.
+ */
+function decodeSegment(segment: string): any {
+    try {
+        const value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            return value;
+        }
+    } catch {
+        // Se informa abajo
+    }
+    throw new MalformedTokenError();
+}
+
 /*
 const jwt = new JWT({
     key: "una-clave-secreta-muy-larga-y-compleja",
@@ -0,0 +1,234 @@
+import * as fs from "fs";
+import * as path from "path";
+
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+const LEVELS: { [level in LogLevel]: number } = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+};
+
+// Campos adicionales de un registro (requestId, sessionId, status...)
+export type LogFields = { [key: string]: any };
+
+// Registro tal como se escribe, una línea JSON por registro
+export interface LogRecord extends LogFields {
+    time: string;
+    level: Exclude<LogLevel, "silent">;
+    msg: string;
+}
+
+export interface Logger {
+    debug(msg: string, fields?: LogFields): void;
+    info(msg: string, fields?: LogFields): void;
+    warn(msg: string, fields?: LogFields): void;
+    error(msg: string, fields?: LogFields): void;
+    // Logger que agrega los campos indicados a todos sus registros
+    child(fields: LogFields): Logger;
+}
+
+// Destino de los registros
+export interface LogSink {
+    write(line: string, record: LogRecord): void;
+    close?(): void;
+}
+
+export interface LoggerOptions {
+    level?: LogLevel;
+    sinks?: LogSink[];
+    fields?: LogFields;
+}
+
+/**
+ * Escribe en la salida estándar; warn y error van a la salida de errores.
+ */
+export class ConsoleSink implements LogSink {
+    write(line: string, record: LogRecord): void {
+        const stream = LEVELS[record.level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(line + "\n");
+    }
+}
+
+export interface FileSinkOptions {
+    file: string;
+    // Tamaño máximo del archivo antes de rotarlo (por omisión 10 MB)
+    maxSize?: number;
+    // Archivos rotados que se conservan: file.1 (más reciente) ... file.N (por omisión 5)
+    maxFiles?: number;
+}
+
+/**
+ * Escribe en un archivo y lo rota al superar maxSize.
+ * La escritura es síncrona para no perder registros si el proceso termina.
+ */
+export class FileSink implements LogSink {
+    private file: string;
+    private maxSize: number;
+    private maxFiles: number;
+    private fd: number | null = null;
+    private size = 0;
+
+    constructor(options: FileSinkOptions) {
+        this.file = path.resolve(options.file);
+        this.maxSize = options.maxSize ?? 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles ?? 5;
+    }
+
+    private open(): number {
+        if (this.fd === null) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.fd = fs.openSync(this.file, "a");
+            this.size = fs.fstatSync(this.fd).size;
+        }
+        return this.fd;
+    }
+
+    write(line: string): void {
+        const data = Buffer.from(line + "\n");
+        this.open();
+
+        if (this.size > 0 && this.size + data.length > this.maxSize) {
+            this.rotate();
+        }
+
+        fs.writeSync(this.open(), data);
+        this.size += data.length;
+    }
+
+    /**
+     * Rota los archivos: file -> file.1 -> file.2 ... y elimina el más antiguo.
+     */
+    rotate(): void {
+        this.close();
+
+        if (this.maxFiles < 1) {
+            fs.rmSync(this.file, { force: true });
+            return;
+        }
+
+        fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${this.file}.${index}`)) {
+                fs.renameSync(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+            }
+        }
+        if (fs.existsSync(this.file)) {
+            fs.renameSync(this.file, `${this.file}.1`);
+        }
+    }
+
+    close(): void {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+            this.size = 0;
+        }
+    }
+}
+
+/**
+ * Convierte los errores en objetos serializables (JSON.stringify omite message y stack).
+ */
+function serializeFields(fields: LogFields): LogFields {
+    const result: LogFields = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value instanceof Error) {
+            const { name, message, stack, ...rest } = value as Error & LogFields;
+            result[key] = { name, message, ...rest, stack };
+        } else if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Logger que escribe una línea JSON por registro en uno o varios destinos.
+ */
+export class JsonLogger implements Logger {
+    private level: LogLevel;
+    private sinks: LogSink[];
+    private fields: LogFields;
+
+    constructor(options: LoggerOptions = {}) {
+        this.level = options.level ?? "info";
+        this.sinks = options.sinks ?? [new ConsoleSink()];
+        this.fields = options.fields ?? {};
+    }
+
+    debug(msg: string, fields?: LogFields): void {
+        this.log("debug", msg, fields);
+    }
+
+    info(msg: string, fields?: LogFields): void {
+        this.log("info", msg, fields);
+    }
+
+    warn(msg: string, fields?: LogFields): void {
+        this.log("warn", msg, fields);
+    }
+
+    error(msg: string, fields?: LogFields): void {
+        this.log("error", msg, fields);
+    }
+
+    child(fields: LogFields): Logger {
+        return new JsonLogger({
+            level: this.level,
+            sinks: this.sinks,
+            fields: { ...this.fields, ...fields },
+        });
+    }
+
+    /**
+     * Cierra los destinos (archivos).
+     */
+    close(): void {
+        for (const sink of this.sinks) {
+            sink.close?.();
+        }
+    }
+
+    private log(level: Exclude<LogLevel, "silent">, msg: string, fields: LogFields = {}): void {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const record: LogRecord = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...serializeFields({ ...this.fields, ...fields }),
+        };
+
+        let line: string;
+        try {
+            line = JSON.stringify(record);
+        } catch {
+            // Referencias circulares u otros valores no serializables
+            line = JSON.stringify({ time: record.time, level, msg, serializationError: true });
+        }
+
+        for (const sink of this.sinks) {
+            try {
+                sink.write(line, record);
+            } catch (error) {
+                // Un destino con errores no debe detener la solicitud
+                process.stderr.write(`Log sink error: ${(error as Error).message}\n`);
+            }
+        }
+    }
+}
+
+/**
+ * Logger que no escribe nada.
+ */
+export const silentLogger: Logger = new JsonLogger({ level: "silent", sinks: [] });
+
+/**
+ * Logger por omisión: JSON en la consola, desde el nivel info.
+ */
+export const defaultLogger: Logger = new JsonLogger();
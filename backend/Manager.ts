@@ -2,14 +2,31 @@
 import { randomBytes } from "node:crypto";
 import { IncomingMessage, ServerResponse } from "node:http";
 import { CookieHandler, CookieVar } from "./CookieHandler";
+import { defaultLogger, Logger } from "./Logger";
 
 // Tipos para SameSite (de CookieHandler)
 type SameSite = "Strict" | "Lax" | "None";
 
 // Interfaz para la configuración del manejador de sesiones
-interface SessionConfig {
+export interface SessionConfig {
   cookieName: string;
   machineType?: string;
+  machineOptions?: { [key: string]: any };
+  // Duración máxima de la sesión en segundos, desde su creación
+  maxLifeTime?: number;
+  // Tiempo máximo de inactividad en segundos
+  idleTimeout?: number;
+  // Intervalo en segundos del recolector de sesiones expiradas (0 lo desactiva)
+  gcInterval?: number;
+  // Segundos durante los que se recuerdan los IDs destruidos para rechazar su reuso
+  replayWindow?: number;
+  // Clave (o claves, para rotación) con la que se firma la cookie de sesión
+  secret?: string | string[];
+  // Logger para los errores del recolector (por omisión defaultLogger)
+  logger?: Logger;
+  // Prefijo de los IDs ("ventas" -> "ventas.<id>"). Aísla las sesiones de cada aplicación
+  // aunque compartan la máquina: un ID de otro namespace no se acepta
+  namespace?: string;
   cookieOptions?: {
     maxAge?: number;
     secure?: boolean;
@@ -20,10 +37,20 @@ interface SessionConfig {
   };
 }
 
+// Política de expiración de sesiones, en segundos
+export interface ExpiryPolicy {
+  maxLifeTime?: number;
+  idleTimeout?: number;
+}
+
 // Interfaz para una sesión
 export interface ISession {
   id: string;
   data: { [key: string]: any };
+  // Fechas de creación y último acceso en milisegundos
+  createdAt: number;
+  lastAccess: number;
+  touch(): void;
   set(key: string, value: any): void;
   get(key: string): any;
   delete(key: string): void;
@@ -38,24 +65,84 @@ export interface IMachine {
   init(sessionId: string): ISession;
   read(sessionId: string): ISession | undefined;
   destroy(sessionId: string): void;
+  write?(session: ISession): void;
+  gc?(policy: ExpiryPolicy): number;
+  count?(): number;
+  close?(): void;
+}
+
+// Interfaz para una máquina de almacenamiento con E/S (archivos, base de datos)
+export interface IAsyncMachine {
+  init(sessionId: string): Promise<ISession>;
+  read(sessionId: string): Promise<ISession | undefined>;
+  destroy(sessionId: string): Promise<void>;
+  write(session: ISession): Promise<void>;
+  gc?(policy: ExpiryPolicy): Promise<number>;
+  count?(): Promise<number>;
+  close?(): void | Promise<void>;
 }
 
+export type Machine = IMachine | IAsyncMachine;
+
+// Constructor de una máquina; recibe SessionConfig.machineOptions
+export type MachineClass = new (options?: any) => Machine;
+
 // Registro de máquinas de almacenamiento
-const machines: Record<string, new () => IMachine> = {};
+const machines: Record<string, MachineClass> = {};
 
 /**
  * Registra una máquina de almacenamiento de sesiones.
  * @param name - Nombre de la máquina.
- * @param machine - Constructor de la máquina (implementa IMachine).
+ * @param machine - Constructor de la máquina (implementa IMachine o IAsyncMachine).
  * @throws Error si la máquina ya está registrada.
  */
-export function register(name: string, machine: new () => IMachine): void {
+export function register(name: string, machine: MachineClass): void {
   if (machines[name]) {
     throw new Error(`Machine "${name}" already exists`);
   }
   machines[name] = machine;
 }
 
+/**
+ * Indica si una máquina de almacenamiento está registrada.
+ * @param name - Nombre de la máquina.
+ */
+export function isRegistered(name: string): boolean {
+  return name in machines;
+}
+
+/**
+ * Indica si una sesión expiró según la política indicada.
+ * @param session - Sesión a evaluar.
+ * @param policy - Duración máxima e inactividad permitida.
+ * @param now - Fecha actual en milisegundos.
+ * @returns true si la sesión expiró.
+ */
+export function isExpired(session: ISession, policy: ExpiryPolicy, now: number = Date.now()): boolean {
+  if (policy.maxLifeTime && now - session.createdAt >= policy.maxLifeTime * 1000) {
+    return true;
+  }
+  if (policy.idleTimeout && now - session.lastAccess >= policy.idleTimeout * 1000) {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Combina valores en una sesión sin borrar los que ya tiene, como los roles guardados
+ * al iniciar sesión. loadSession, en cambio, reemplaza todos los datos.
+ * @param session - Sesión de destino.
+ * @param data - Valores a combinar (constantes, __app_store...).
+ * @param protectedKeys - Claves que se conservan aunque data las incluya.
+ */
+export function mergeSessionData(session: ISession, data: { [key: string]: any } | undefined, protectedKeys: string[] = []): void {
+  for (const [key, value] of Object.entries(data ?? {})) {
+    if (!protectedKeys.includes(key)) {
+      session.set(key, value);
+    }
+  }
+}
+
 /**
  * Genera un ID de sesión único.
  * @returns ID de sesión en formato base64url.
@@ -69,14 +156,25 @@ function sessionId(): string {
  */
 export class Manager {
   private cookieName: string;
-  private machine: IMachine;
+  private machine: Machine;
   private machineType: string;
   private cookieOptions: SessionConfig["cookieOptions"];
+  private expiry: ExpiryPolicy;
+  private gcTimer?: NodeJS.Timeout;
+  private logger: Logger;
+  // IDs destruidos y la fecha hasta la que se recuerdan
+  private destroyed: Map<string, number> = new Map();
+  private replayWindow: number;
+  private secret?: string | string[];
+  private namespace?: string;
 
   constructor(config: SessionConfig) {
     if (!config.cookieName) {
       throw new Error("cookieName is required");
     }
+    if (config.namespace !== undefined && !/^[A-Za-z0-9_-]+$/.test(config.namespace)) {
+      throw new Error(`Invalid session namespace "${config.namespace}"`);
+    }
 
     this.cookieName = config.cookieName;
     this.machineType = config.machineType ?? "memory";
@@ -90,7 +188,25 @@ export class Manager {
       throw new Error(`Machine type "${this.machineType}" not registered`);
     }
 
-    this.machine = new MachineClass();
+    this.machine = new MachineClass(config.machineOptions);
+
+    this.expiry = {
+      maxLifeTime: config.maxLifeTime,
+      idleTimeout: config.idleTimeout,
+    };
+    this.replayWindow = config.replayWindow ?? 300;
+    this.secret = config.secret;
+    this.namespace = config.namespace;
+    this.logger = config.logger ?? defaultLogger;
+
+    // Recolector de sesiones expiradas, cada 10 minutos por defecto
+    const gcInterval = config.gcInterval ?? 600;
+    if (gcInterval > 0 && (this.expiry.maxLifeTime || this.expiry.idleTimeout)) {
+      this.gcTimer = setInterval(() => {
+        this.gc().catch((error) => this.logger.error("Session GC error", { error, machine: this.machineType }));
+      }, gcInterval * 1000);
+      this.gcTimer.unref();
+    }
   }
 
   /**
@@ -98,40 +214,139 @@ export class Manager {
    * @param value - ID de sesión opcional.
    * @returns Instancia de ISession.
    */
-  create(value?: string): ISession {
-    let id = value || sessionId();
+  async create(value?: string): Promise<ISession> {
+    let id = value && this.ownsId(value) && !this.wasDestroyed(value) ? value : this.newId();
     // Verificar unicidad del ID
-    while (this.machine.read(id)) {
-      id = sessionId();
+    while (await this.machine.read(id)) {
+      id = this.newId();
     }
     return this.machine.init(id);
   }
 
+  /**
+   * Genera un ID de sesión con el namespace del manager.
+   */
+  private newId(): string {
+    return this.namespace ? `${this.namespace}.${sessionId()}` : sessionId();
+  }
+
+  /**
+   * Indica si un ID pertenece al namespace del manager; sin namespace sólo se aceptan
+   * los IDs que no tienen uno.
+   */
+  private ownsId(id: string): boolean {
+    const index = id.lastIndexOf(".");
+    return (index === -1 ? undefined : id.slice(0, index)) === this.namespace;
+  }
+
+  /**
+   * Indica si un ID fue destruido recientemente.
+   * @param id - ID de sesión.
+   */
+  wasDestroyed(id: string): boolean {
+    const until = this.destroyed.get(id);
+    if (until === undefined) {
+      return false;
+    }
+    if (until <= Date.now()) {
+      this.destroyed.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Destruye la sesión en la máquina y recuerda su ID durante replayWindow.
+   * @param id - ID de sesión.
+   */
+  private async forget(id: string): Promise<void> {
+    await this.machine.destroy(id);
+    if (this.replayWindow > 0) {
+      if (this.destroyed.size >= 1000) {
+        this.pruneDestroyed();
+      }
+      this.destroyed.set(id, Date.now() + this.replayWindow * 1000);
+    }
+  }
+
+  /**
+   * Olvida los IDs destruidos que ya salieron de la ventana.
+   */
+  private pruneDestroyed(): void {
+    const now = Date.now();
+    for (const [id, until] of this.destroyed) {
+      if (until <= now) this.destroyed.delete(id);
+    }
+  }
+
   /**
    * Inicia o recupera una sesión basada en la cookie de la solicitud.
    * @param req - Solicitud HTTP.
    * @param res - Respuesta HTTP.
    * @returns Instancia de ISession.
    */
-  start(req: IncomingMessage, res: ServerResponse): ISession {
-    const cookieHandler = new CookieHandler(req, res);
-    let id = cookieHandler.get(this.cookieName)?.getValue();
+  async start(req: IncomingMessage, res: ServerResponse): Promise<ISession> {
+    const cookieHandler = new CookieHandler(req, res, { secret: this.secret });
+    const id = this.cookieId(cookieHandler);
+
+    // Los IDs desconocidos o destruidos no se aceptan: se emite uno nuevo
+    if (id && !this.wasDestroyed(id)) {
+      const session = await this.machine.read(id);
 
-    if (!id) {
-      id = sessionId();
-      while (this.machine.read(id)) {
-        id = sessionId();
+      if (session && !isExpired(session, this.expiry)) {
+        session.touch();
+        return session;
+      }
+
+      // Sesión expirada: se destruye y se emite un ID nuevo
+      if (session) {
+        await this.forget(id);
       }
-      const sessionCookie = new CookieVar(this.cookieName, id, {
-        ...this.cookieOptions,
-        secure: (this.cookieOptions?.secure) ?? true,
-        httpOnly: (this.cookieOptions?.httpOnly) ?? true,
-        sameSite: (this.cookieOptions?.sameSite) ?? "Strict",
-      });
-      cookieHandler.setCookie(sessionCookie);
     }
 
-    return this.machine.init(id);
+    const session = await this.create();
+    cookieHandler.setCookie(this.sessionCookie(session.id));
+    return session;
+  }
+
+  /**
+   * Obtiene el ID de la sesión vigente de la cookie sin crear una sesión ni emitir la cookie;
+   * sirve para identificar al cliente antes de abrir la sesión (límite de solicitudes).
+   * @param req - Solicitud HTTP.
+   * @param res - Respuesta HTTP.
+   * @returns undefined si no hay cookie o su sesión no existe, expiró o fue destruida.
+   */
+  async currentId(req: IncomingMessage, res: ServerResponse): Promise<string | undefined> {
+    const id = this.cookieId(new CookieHandler(req, res, { secret: this.secret }));
+    if (!id || this.wasDestroyed(id)) {
+      return undefined;
+    }
+    const session = await this.machine.read(id);
+    return session && !isExpired(session, this.expiry) ? id : undefined;
+  }
+
+  /**
+   * Lee el ID de la cookie de sesión; con clave configurada sólo se acepta la cookie firmada.
+   * Los IDs de otro namespace (la sesión de otra aplicación) se ignoran.
+   */
+  private cookieId(cookieHandler: CookieHandler): string | undefined {
+    const cookie = cookieHandler.get(this.cookieName);
+    const id = this.secret && !cookie?.signed ? undefined : cookie?.getValue();
+    return id !== undefined && this.ownsId(id) ? id : undefined;
+  }
+
+  /**
+   * Construye la cookie de sesión para un ID.
+   * @param id - ID de sesión.
+   */
+  private sessionCookie(id: string): CookieVar {
+    return new CookieVar(this.cookieName, id, {
+      ...this.cookieOptions,
+      secure: (this.cookieOptions?.secure) ?? true,
+      httpOnly: (this.cookieOptions?.httpOnly) ?? true,
+      sameSite: (this.cookieOptions?.sameSite) ?? "Strict",
+      signed: Boolean(this.secret),
+    });
   }
 
   /**
@@ -140,10 +355,75 @@ export class Manager {
    * @param res - Respuesta HTTP.
    * @param sessionId - ID de la sesión a destruir.
    */
-  destroy(req: IncomingMessage, res: ServerResponse, sessionId: string): void {
+  async destroy(req: IncomingMessage, res: ServerResponse, sessionId: string): Promise<void> {
     const cookieHandler = new CookieHandler(req, res);
     cookieHandler.remove(this.cookieName, this.cookieOptions);
-    this.machine.destroy(sessionId);
+    await this.forget(sessionId);
+  }
+
+  /**
+   * Mueve los datos de una sesión a un ID nuevo y renueva la cookie.
+   * Debe llamarse después de iniciar sesión o cambiar privilegios.
+   * @param req - Solicitud HTTP.
+   * @param res - Respuesta HTTP.
+   * @param session - Sesión actual.
+   * @returns Nueva sesión con los mismos datos.
+   */
+  async regenerate(req: IncomingMessage, res: ServerResponse, session: ISession): Promise<ISession> {
+    const renewed = await this.create();
+    renewed.loadSession(session.getData());
+    await this.save(renewed);
+    await this.forget(session.id);
+
+    const cookieHandler = new CookieHandler(req, res, { secret: this.secret });
+    cookieHandler.setCookie(this.sessionCookie(renewed.id));
+    return renewed;
+  }
+
+  /**
+   * Guarda los cambios de una sesión en la máquina de almacenamiento.
+   * Las máquinas en memoria no necesitan guardar.
+   * @param session - Sesión a guardar.
+   */
+  async save(session: ISession): Promise<void> {
+    await this.machine.write?.(session);
+  }
+
+  /**
+   * Elimina las sesiones expiradas de la máquina de almacenamiento.
+   * @returns Cantidad de sesiones eliminadas.
+   */
+  async gc(): Promise<number> {
+    this.pruneDestroyed();
+    return (await this.machine.gc?.(this.expiry)) ?? 0;
+  }
+
+  /**
+   * Cantidad de sesiones guardadas en la máquina.
+   * @returns Cantidad, o undefined si la máquina no puede contarlas.
+   */
+  async count(): Promise<number | undefined> {
+    return this.machine.count?.();
+  }
+
+  /**
+   * Detiene el recolector de sesiones expiradas.
+   */
+  close(): void {
+    if (this.gcTimer) {
+      clearInterval(this.gcTimer);
+      this.gcTimer = undefined;
+    }
+  }
+
+  /**
+   * Detiene el recolector y libera la máquina de almacenamiento (archivos, conexiones).
+   * Las sesiones ya se guardaron al final de cada solicitud; después de esto
+   * el Manager no debe usarse.
+   */
+  async shutdown(): Promise<void> {
+    this.close();
+    await this.machine.close?.();
   }
 
   /**
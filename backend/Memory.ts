@@ -1,4 +1,4 @@
-import { IMachine, ISession } from './Manager';
+import { IMachine, ISession, ExpiryPolicy, isExpired } from './Manager';
 
 /**
  * Clase que implementa una sesión en memoria.
@@ -6,6 +6,8 @@ import { IMachine, ISession } from './Manager';
 export class Session implements ISession {
   public id: string;
   public data: { [key: string]: any };
+  public createdAt: number;
+  public lastAccess: number;
 
   constructor(id: string) {
     if (!id) {
@@ -13,6 +15,25 @@ export class Session implements ISession {
     }
     this.id = id;
     this.data = {};
+    this.createdAt = Date.now();
+    this.lastAccess = this.createdAt;
+  }
+
+  /**
+   * Restaura una sesión guardada por una máquina persistente.
+   * @param id - ID de la sesión.
+   * @param stored - Datos y fechas guardados.
+   */
+  static restore(id: string, stored: { data?: { [key: string]: any }; createdAt?: number; lastAccess?: number }): Session {
+    const session = new Session(id);
+    session.data = stored.data ?? {};
+    session.createdAt = stored.createdAt ?? session.createdAt;
+    session.lastAccess = stored.lastAccess ?? session.createdAt;
+    return session;
+  }
+
+  touch(): void {
+    this.lastAccess = Date.now();
   }
 
   set(key: string, value: any): void {
@@ -60,6 +81,22 @@ export class Memory implements IMachine {
   destroy(sessionId: string): void {
     delete this.sessions[sessionId];
   }
+
+  count(): number {
+    return Object.keys(this.sessions).length;
+  }
+
+  gc(policy: ExpiryPolicy): number {
+    const now = Date.now();
+    let count = 0;
+    for (const [id, session] of Object.entries(this.sessions)) {
+      if (isExpired(session, policy, now)) {
+        delete this.sessions[id];
+        count++;
+      }
+    }
+    return count;
+  }
 }
 
 // Registrar la máquina Memory por defecto
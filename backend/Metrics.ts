@@ -0,0 +1,167 @@
+// Etiquetas de una serie (module, status...)
+export type Labels = { [name: string]: string | number };
+
+// Función que calcula los valores de un gauge al exportar las métricas
+export type GaugeCollector = () => number | undefined | { labels: Labels; value: number }[]
+    | Promise<number | undefined | { labels: Labels; value: number }[]>;
+
+// Límites de los buckets de latencia en segundos
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value: string | number): string {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels: Labels): string {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return "";
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+// Clave de una serie: las etiquetas ordenadas por nombre
+function seriesKey(labels: Labels): string {
+    return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function formatValue(value: number): string {
+    if (value === Infinity) return "+Inf";
+    if (value === -Infinity) return "-Inf";
+    return String(value);
+}
+
+/**
+ * Contador que sólo aumenta.
+ */
+export class Counter {
+    private series: Map<string, { labels: Labels; value: number }> = new Map();
+
+    constructor(public readonly name: string, public readonly help: string) {}
+
+    inc(labels: Labels = {}, value: number = 1): void {
+        const key = seriesKey(labels);
+        const entry = this.series.get(key);
+        if (entry) {
+            entry.value += value;
+        } else {
+            this.series.set(key, { labels: { ...labels }, value });
+        }
+    }
+
+    get(labels: Labels = {}): number {
+        return this.series.get(seriesKey(labels))?.value ?? 0;
+    }
+
+    render(): string[] {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Histograma con buckets acumulados, suma y cantidad de observaciones.
+ */
+export class Histogram {
+    private series: Map<string, { labels: Labels; counts: number[]; sum: number; count: number }> = new Map();
+    private buckets: number[];
+
+    constructor(public readonly name: string, public readonly help: string, buckets: number[] = DEFAULT_BUCKETS) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels: Labels, value: number): void {
+        const key = seriesKey(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) entry!.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render(): string[] {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Valor que se calcula al exportar las métricas (sesiones activas, tamaño del caché...).
+ */
+export class Gauge {
+    constructor(public readonly name: string, public readonly help: string, private collector: GaugeCollector) {}
+
+    async render(): Promise<string[]> {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        const result = await this.collector();
+
+        if (typeof result === "number") {
+            lines.push(`${this.name} ${formatValue(result)}`);
+        } else if (Array.isArray(result)) {
+            for (const { labels, value } of result) {
+                lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        return lines;
+    }
+}
+
+/**
+ * Registro de métricas exportadas en formato de texto de Prometheus.
+ */
+export class MetricsRegistry {
+    private metrics: Map<string, Counter | Histogram | Gauge> = new Map();
+
+    private add<T extends Counter | Histogram | Gauge>(metric: T): T {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric "${metric.name}" already exists`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name: string, help: string): Counter {
+        return this.add(new Counter(name, help));
+    }
+
+    histogram(name: string, help: string, buckets?: number[]): Histogram {
+        return this.add(new Histogram(name, help, buckets));
+    }
+
+    gauge(name: string, help: string, collector: GaugeCollector): Gauge {
+        return this.add(new Gauge(name, help, collector));
+    }
+
+    /**
+     * Exporta todas las métricas. Un gauge que falla se omite sin afectar al resto.
+     * @returns Texto en formato de exposición de Prometheus (text/plain; version=0.0.4).
+     */
+    async render(): Promise<string> {
+        const lines: string[] = [];
+        for (const metric of this.metrics.values()) {
+            try {
+                lines.push(...(await metric.render()));
+            } catch {
+                // El gauge no pudo calcularse (p. ej. máquina de sesiones sin acceso)
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+}
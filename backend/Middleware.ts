@@ -0,0 +1,45 @@
+// Función que continúa con el siguiente middleware de la cadena
+export type NextFunction = () => Promise<void>;
+
+/**
+ * Middleware de la solicitud. Recibe el contexto y puede:
+ * - continuar llamando a next(),
+ * - cortar la cadena respondiendo sin llamar a next(),
+ * - modificar la solicitud o agregar encabezados antes o después de next().
+ */
+export type Middleware<C = any> = (context: C, next: NextFunction) => void | Promise<void>;
+
+/**
+ * Ejecuta una cadena de middleware y al final el manejador indicado.
+ * @param stack - Lista de middleware en orden de ejecución.
+ * @param context - Contexto compartido por toda la cadena.
+ * @param final - Manejador que se ejecuta si todos los middleware llaman a next().
+ * @returns true si se llegó al manejador final, false si algún middleware cortó la cadena.
+ * @throws Error si un middleware llama a next() más de una vez.
+ */
+export async function runMiddleware<C>(
+    stack: Middleware<C>[],
+    context: C,
+    final: () => Promise<void> | void
+): Promise<boolean> {
+    let index = -1;
+    let reached = false;
+
+    const dispatch = async (i: number): Promise<void> => {
+        if (i <= index) {
+            throw new Error("next() called multiple times");
+        }
+        index = i;
+
+        if (i === stack.length) {
+            reached = true;
+            await final();
+            return;
+        }
+
+        await stack[i](context, () => dispatch(i + 1));
+    };
+
+    await dispatch(0);
+    return reached;
+}
@@ -0,0 +1,84 @@
+import * as fs from "fs";
+import * as path from "path";
+import { EventEmitter } from "events";
+
+export interface ModuleWatcherOptions {
+    // Espera en milisegundos para agrupar los eventos de una misma edición (por omisión 100)
+    debounce?: number;
+}
+
+/**
+ * Vigila el directorio de módulos y emite "change" con la ruta del módulo ("/ventas")
+ * cuando su config.json (o config.<env>.json) se crea, cambia o se elimina, o cuando se
+ * agrega o elimina el módulo.
+ * También emite "error" si el directorio deja de poder vigilarse.
+ */
+export class ModuleWatcher extends EventEmitter {
+    private dir: string;
+    private debounce: number;
+    private watcher?: fs.FSWatcher;
+    private timers: Map<string, NodeJS.Timeout> = new Map();
+
+    constructor(dir: string, options: ModuleWatcherOptions = {}) {
+        super();
+        this.dir = path.resolve(dir);
+        this.debounce = options.debounce ?? 100;
+    }
+
+    /**
+     * Comienza a vigilar el directorio.
+     * @throws Error si el directorio no existe o no puede vigilarse.
+     */
+    start(): void {
+        if (this.watcher) {
+            return;
+        }
+
+        this.watcher = fs.watch(this.dir, { recursive: true }, (_event, filename) => {
+            const modulePath = this.modulePath(filename?.toString());
+            if (modulePath) {
+                this.schedule(modulePath);
+            }
+        });
+        this.watcher.on("error", (error) => this.emit("error", error));
+    }
+
+    close(): void {
+        this.watcher?.close();
+        this.watcher = undefined;
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Obtiene la ruta del módulo afectado por un archivo, o null si no es un config.json
+     * ni el directorio de un módulo.
+     */
+    private modulePath(filename?: string): string | null {
+        if (!filename) {
+            return null;
+        }
+
+        const segments = filename.split(/[\\/]+/).filter(Boolean);
+        const isModuleDir = segments.length === 1;
+        // config.json o su sobrescritura del entorno (config.production.json)
+        const isConfig = segments.length === 2 && /^config(\.[\w-]+)?\.json$/.test(segments[1]);
+
+        return isModuleDir || isConfig ? `/${segments[0]}` : null;
+    }
+
+    // Los editores generan varios eventos por guardado; se emite uno solo por módulo
+    private schedule(modulePath: string): void {
+        clearTimeout(this.timers.get(modulePath));
+
+        const timer = setTimeout(() => {
+            this.timers.delete(modulePath);
+            this.emit("change", modulePath);
+        }, this.debounce);
+        timer.unref();
+
+        this.timers.set(modulePath, timer);
+    }
+}
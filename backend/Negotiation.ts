@@ -0,0 +1,219 @@
+import * as zlib from "zlib";
+import { Readable, pipeline } from "stream";
+import { IncomingMessage, ServerResponse } from "node:http";
+
+// Codificaciones de compresión soportadas
+export type Encoding = "br" | "gzip" | "deflate";
+
+// Formatos de respuesta según Accept
+export type ResponseFormat = "json" | "ndjson" | "text";
+
+export interface CompressionOptions {
+    // Tamaño mínimo en bytes para comprimir (por omisión 1024)
+    threshold?: number;
+    // Codificaciones permitidas, en orden de preferencia del servidor
+    encodings?: Encoding[];
+    // Nivel de compresión (gzip/deflate 1-9, brotli 0-11)
+    level?: number;
+}
+
+const DEFAULT_ENCODINGS: Encoding[] = ["br", "gzip", "deflate"];
+
+const CONTENT_TYPES: { [format in ResponseFormat]: string } = {
+    json: "application/json; charset=utf-8",
+    ndjson: "application/x-ndjson; charset=utf-8",
+    text: "text/plain; charset=utf-8",
+};
+
+const FORMATS: { [mime: string]: ResponseFormat } = {
+    "application/json": "json",
+    "application/x-ndjson": "ndjson",
+    "application/ndjson": "ndjson",
+    "text/plain": "text",
+};
+
+/**
+ * Parsea un encabezado con valores ponderados (Accept, Accept-Encoding).
+ * @param header - Valor del encabezado.
+ * @returns Valores en minúsculas con su calidad, ordenados de mayor a menor (orden estable).
+ */
+export function parseQuality(header?: string): { value: string; q: number }[] {
+    const items: { value: string; q: number; index: number }[] = [];
+
+    String(header || "").split(",").forEach((part, index) => {
+        const [value, ...params] = part.trim().toLowerCase().split(";");
+        if (!value) return;
+
+        let q = 1;
+        for (const param of params) {
+            const match = /^\s*q=([\d.]+)\s*$/.exec(param);
+            if (match) q = Number(match[1]);
+        }
+        items.push({ value: value.trim(), q: Number.isNaN(q) ? 0 : q, index });
+    });
+
+    return items
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(({ value, q }) => ({ value, q }));
+}
+
+/**
+ * Elige la codificación de compresión a partir de Accept-Encoding.
+ * @param header - Valor de Accept-Encoding.
+ * @param available - Codificaciones del servidor, en orden de preferencia.
+ * @returns Codificación elegida o null para no comprimir.
+ */
+export function negotiateEncoding(header: string | undefined, available: Encoding[] = DEFAULT_ENCODINGS): Encoding | null {
+    const accepted = parseQuality(header);
+    const wildcard = accepted.find((item) => item.value === "*");
+
+    const quality = (encoding: string) => {
+        const item = accepted.find((entry) => entry.value === encoding);
+        return item ? item.q : wildcard?.q ?? 0;
+    };
+
+    // Con igual calidad gana el orden del servidor
+    let best: Encoding | null = null;
+    let bestQ = 0;
+    for (const encoding of available) {
+        const q = quality(encoding);
+        if (q > bestQ) {
+            best = encoding;
+            bestQ = q;
+        }
+    }
+    return best;
+}
+
+/**
+ * Elige el formato de la respuesta a partir de Accept. Por omisión JSON.
+ * @param header - Valor de Accept.
+ */
+export function negotiateFormat(header?: string): ResponseFormat {
+    for (const { value, q } of parseQuality(header)) {
+        if (q > 0 && FORMATS[value]) {
+            return FORMATS[value];
+        }
+    }
+    return "json";
+}
+
+/**
+ * Serializa el resultado en el formato elegido.
+ * NDJSON escribe un elemento por línea si el resultado es un arreglo.
+ * @param data - Resultado a enviar.
+ * @param format - Formato de la respuesta.
+ * @returns Cuerpo y Content-Type.
+ */
+export function serialize(data: any, format: ResponseFormat): { body: string; contentType: string } {
+    let body: string;
+
+    switch (format) {
+        case "ndjson": {
+            const items = Array.isArray(data) ? data : [data];
+            body = items.map((item) => JSON.stringify(item ?? null)).join("\n") + "\n";
+            break;
+        }
+        case "text":
+            body = typeof data === "string" ? data : JSON.stringify(data ?? null, null, 2);
+            break;
+        case "json":
+        default:
+            // Las cadenas se envían tal cual, como antes
+            body = typeof data === "string" ? data : JSON.stringify(data ?? null);
+            break;
+    }
+
+    return { body, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * Agrega valores al encabezado Vary sin duplicarlos.
+ * @param res - Respuesta HTTP.
+ * @param fields - Encabezados de los que depende la respuesta.
+ */
+export function appendVary(res: ServerResponse, ...fields: string[]): void {
+    const current = String(res.getHeader("Vary") ?? "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    if (current.includes("*")) return;
+
+    for (const field of fields) {
+        if (!current.some((item) => item.toLowerCase() === field.toLowerCase())) {
+            current.push(field);
+        }
+    }
+    res.setHeader("Vary", current.join(", "));
+}
+
+function createCompressor(encoding: Encoding, size: number, level?: number): zlib.BrotliCompress | zlib.Gzip | zlib.Deflate {
+    switch (encoding) {
+        case "br":
+            return zlib.createBrotliCompress({
+                params: {
+                    // Calidad media: la calidad máxima es demasiado lenta para respuestas dinámicas
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: level ?? 4,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+                    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                },
+            });
+        case "gzip":
+            return zlib.createGzip({ level });
+        case "deflate":
+        default:
+            return zlib.createDeflate({ level });
+    }
+}
+
+/**
+ * Envía un cuerpo de texto, comprimido si el cliente lo acepta y supera el umbral.
+ * Sin compresión se envía Content-Length; comprimido se usa transferencia por partes.
+ * @param req - Solicitud HTTP (para Accept-Encoding).
+ * @param res - Respuesta HTTP.
+ * @param status - Código HTTP.
+ * @param headers - Encabezados de la respuesta.
+ * @param body - Cuerpo.
+ * @param options - Opciones de compresión; false la desactiva.
+ */
+export function sendCompressed(
+    req: IncomingMessage,
+    res: ServerResponse,
+    status: number,
+    headers: { [key: string]: string | number },
+    body: string | Buffer,
+    options: CompressionOptions | false = {},
+): Promise<void> {
+    const buffer = typeof body === "string" ? Buffer.from(body) : body;
+
+    if (options === false) {
+        res.writeHead(status, { ...headers, "Content-Length": buffer.length });
+        res.end(buffer);
+        return Promise.resolve();
+    }
+
+    appendVary(res, "Accept-Encoding");
+
+    const threshold = options.threshold ?? 1024;
+    const encoding = buffer.length >= threshold && !res.hasHeader("Content-Encoding")
+        ? negotiateEncoding(req.headers["accept-encoding"], options.encodings)
+        : null;
+
+    if (!encoding || req.method?.toUpperCase() === "HEAD") {
+        res.writeHead(status, { ...headers, "Content-Length": buffer.length });
+        res.end(req.method?.toUpperCase() === "HEAD" ? undefined : buffer);
+        return Promise.resolve();
+    }
+
+    res.removeHeader("Content-Length");
+    res.writeHead(status, { ...headers, "Content-Encoding": encoding });
+
+    return new Promise((resolve) => {
+        pipeline(Readable.from([buffer]), createCompressor(encoding, buffer.length, options.level), res, (error) => {
+            // Cliente desconectado o error de zlib: la respuesta ya empezó y sólo se cierra
+            if (error) res.destroy();
+            resolve();
+        });
+    });
+}
@@ -0,0 +1,220 @@
+import { IncomingMessage } from "node:http";
+
+// Identidad del cliente que se limita; "subject" usa el claim sub del JWT y, sin él, la sesión
+export type RateLimitKey = "ip" | "session" | "subject";
+
+export interface RateLimitOptions {
+  // Solicitudes permitidas en ráfaga (tamaño del bucket)
+  capacity: number;
+  // Segundos en los que se recarga el bucket completo (por omisión 60)
+  window?: number;
+  key?: RateLimitKey;
+  // Usar X-Forwarded-For para la IP (sólo detrás de un proxy de confianza)
+  trustProxy?: boolean;
+}
+
+// Resultado de consumir del bucket
+export interface RateLimitResult {
+  allowed: boolean;
+  remaining: number;
+  // Segundos hasta que el bucket vuelve a estar lleno
+  reset: number;
+  // Segundos hasta que la solicitud rechazada puede reintentarse
+  retryAfter: number;
+}
+
+// Parámetros del bucket que recibe el almacén
+export interface BucketSpec {
+  capacity: number;
+  // Tokens por segundo
+  refillRate: number;
+  cost: number;
+}
+
+// Interfaz para un almacén de buckets; consume() debe ser atómico para cada clave
+export interface IRateLimitStore {
+  consume(key: string, spec: BucketSpec, now: number): RateLimitResult | Promise<RateLimitResult>;
+}
+
+export type RateLimitStoreClass = new (options?: any) => IRateLimitStore;
+
+// Registro de almacenes
+const stores: Record<string, RateLimitStoreClass> = {};
+
+/**
+ * Registra un almacén de buckets.
+ * @param name - Nombre del almacén.
+ * @param store - Constructor del almacén (implementa IRateLimitStore).
+ * @throws Error si el almacén ya está registrado.
+ */
+export function register(name: string, store: RateLimitStoreClass): void {
+  if (stores[name]) {
+    throw new Error(`Rate limit store "${name}" already exists`);
+  }
+  stores[name] = store;
+}
+
+/**
+ * Indica si un almacén de buckets está registrado.
+ * @param name - Nombre del almacén.
+ */
+export function isRegistered(name: string): boolean {
+  return name in stores;
+}
+
+/**
+ * Crea una instancia de un almacén registrado.
+ * @param name - Nombre del almacén.
+ * @param options - Opciones del almacén.
+ * @throws Error si el almacén no está registrado.
+ */
+export function createStore(name: string, options?: any): IRateLimitStore {
+  const StoreClass = stores[name];
+  if (!StoreClass) {
+    throw new Error(`Rate limit store "${name}" not registered`);
+  }
+  return new StoreClass(options);
+}
+
+/**
+ * Calcula el estado de un token bucket.
+ * @param tokens - Tokens disponibles en la última actualización.
+ * @param elapsed - Segundos desde la última actualización.
+ * @param spec - Parámetros del bucket.
+ * @returns Tokens restantes y resultado.
+ */
+export function takeTokens(tokens: number, elapsed: number, spec: BucketSpec): { tokens: number; result: RateLimitResult } {
+  const available = Math.min(spec.capacity, tokens + elapsed * spec.refillRate);
+  const allowed = available >= spec.cost;
+  const left = allowed ? available - spec.cost : available;
+
+  return {
+    tokens: left,
+    result: {
+      allowed,
+      remaining: Math.floor(left),
+      reset: Math.ceil((spec.capacity - left) / spec.refillRate),
+      retryAfter: allowed ? 0 : Math.ceil((spec.cost - left) / spec.refillRate),
+    },
+  };
+}
+
+/**
+ * Almacén de buckets en memoria, propio de cada proceso.
+ * Los buckets llenos se eliminan periódicamente.
+ */
+export class MemoryRateLimitStore implements IRateLimitStore {
+  private buckets: Map<string, { tokens: number; updated: number; full: number }> = new Map();
+  private operations = 0;
+
+  consume(key: string, spec: BucketSpec, now: number): RateLimitResult {
+    const bucket = this.buckets.get(key);
+    const elapsed = bucket ? (now - bucket.updated) / 1000 : 0;
+    const { tokens, result } = takeTokens(bucket ? bucket.tokens : spec.capacity, elapsed, spec);
+
+    // "full": fecha en la que el bucket se recarga por completo y puede olvidarse
+    this.buckets.set(key, { tokens, updated: now, full: now + result.reset * 1000 });
+
+    if (++this.operations % 1000 === 0) {
+      this.gc(now);
+    }
+    return result;
+  }
+
+  /**
+   * Elimina los buckets que ya se recargaron por completo.
+   */
+  gc(now: number = Date.now()): void {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.full <= now) this.buckets.delete(key);
+    }
+  }
+
+  get size(): number {
+    return this.buckets.size;
+  }
+}
+
+register("memory", MemoryRateLimitStore);
+
+/**
+ * Obtiene la IP del cliente.
+ * @param req - Solicitud HTTP.
+ * @param trustProxy - Usar la primera IP de X-Forwarded-For.
+ */
+export function clientIp(req: IncomingMessage, trustProxy: boolean = false): string {
+  if (trustProxy) {
+    const forwarded = req.headers["x-forwarded-for"];
+    const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(",")[0].trim();
+    if (first) return first;
+  }
+  return req.socket?.remoteAddress ?? "unknown";
+}
+
+/**
+ * Limitador de solicitudes por token bucket.
+ */
+export class RateLimiter {
+  private spec: BucketSpec;
+  private options: RateLimitOptions;
+
+  constructor(options: RateLimitOptions, private store: IRateLimitStore, private scope: string = "global") {
+    if (!(options.capacity > 0)) {
+      throw new Error("Rate limit capacity must be greater than 0");
+    }
+    this.options = options;
+    this.spec = {
+      capacity: options.capacity,
+      refillRate: options.capacity / (options.window ?? 60),
+      cost: 1,
+    };
+  }
+
+  // Identidad con la que se limita (options.key)
+  get keyType(): RateLimitKey {
+    return this.options.key ?? "ip";
+  }
+
+  /**
+   * Obtiene la clave del cliente según options.key; sin sesión ni sujeto se usa la IP.
+   * @param req - Solicitud HTTP.
+   * @param identity - ID de sesión y sujeto del JWT, si los hay.
+   */
+  key(req: IncomingMessage, identity: { sessionId?: string; subject?: string } = {}): string {
+    const kind = this.keyType;
+
+    if (kind === "subject" && identity.subject) {
+      return `${this.scope}:sub:${identity.subject}`;
+    }
+    if ((kind === "subject" || kind === "session") && identity.sessionId) {
+      return `${this.scope}:sid:${identity.sessionId}`;
+    }
+    return `${this.scope}:ip:${clientIp(req, this.options.trustProxy)}`;
+  }
+
+  /**
+   * Consume un token del bucket del cliente.
+   * @param key - Clave del cliente (ver key()).
+   * @param cost - Tokens a consumir.
+   */
+  async consume(key: string, cost: number = 1): Promise<RateLimitResult> {
+    return this.store.consume(key, { ...this.spec, cost }, Date.now());
+  }
+
+  /**
+   * Encabezados RateLimit-* (draft IETF) y Retry-After si la solicitud se rechaza.
+   * @param result - Resultado de consume().
+   */
+  headers(result: RateLimitResult): { [key: string]: string } {
+    const headers: { [key: string]: string } = {
+      "RateLimit-Policy": `${this.spec.capacity};w=${this.options.window ?? 60}`,
+      "RateLimit-Limit": String(this.spec.capacity),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.reset),
+    };
+    if (!result.allowed) {
+      headers["Retry-After"] = String(result.retryAfter);
+    }
+    return headers;
+  }
+}
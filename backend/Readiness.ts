@@ -0,0 +1,73 @@
+// Comprobación de /readyz; true si el componente está listo
+export type ReadinessCheck = () => boolean | Promise<boolean>;
+
+// Conexión que responde consultas (la que devuelve DBAdmin.get)
+export interface QueryConnection {
+    query(sql: string, params?: any[]): any;
+}
+
+// Administrador de conexiones por nombre (DBAdmin)
+export interface ConnectionSource {
+    get(name: string): QueryConnection | undefined;
+}
+
+export interface ReadinessResult {
+    ready: boolean;
+    checks: { [name: string]: boolean };
+}
+
+/**
+ * Ejecuta una comprobación con tiempo máximo. Un error o el vencimiento del plazo
+ * cuentan como no listo.
+ * @param check - Comprobación.
+ * @param timeout - Tiempo máximo en milisegundos.
+ */
+export async function runCheck(check: ReadinessCheck, timeout: number): Promise<boolean> {
+    let timer: NodeJS.Timeout | undefined;
+    try {
+        return await Promise.race([
+            Promise.resolve().then(check).then(Boolean),
+            new Promise<boolean>((resolve) => {
+                timer = setTimeout(() => resolve(false), timeout);
+            }),
+        ]);
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Ejecuta las comprobaciones de /readyz en orden.
+ * @param checks - Comprobaciones por nombre.
+ * @param timeout - Tiempo máximo de cada una en milisegundos.
+ * @returns ready es true sólo si todas pasan.
+ */
+export async function checkReadiness(checks: { [name: string]: ReadinessCheck }, timeout: number): Promise<ReadinessResult> {
+    const results: { [name: string]: boolean } = {};
+    for (const [name, check] of Object.entries(checks)) {
+        results[name] = await runCheck(check, timeout);
+    }
+    return { ready: Object.values(results).every(Boolean), checks: results };
+}
+
+/**
+ * Prueba las conexiones con una consulta mínima. Usa las conexiones ya abiertas por el
+ * administrador, sin abrir otras en cada sondeo.
+ * @param source - Administrador de conexiones.
+ * @param names - Nombres de las conexiones a probar.
+ * @param sql - Consulta de prueba (por omisión "SELECT 1").
+ * @returns false si alguna conexión no existe.
+ * @throws El error de la consulta; runCheck lo cuenta como no listo.
+ */
+export async function checkConnections(source: ConnectionSource, names: string[], sql: string = "SELECT 1"): Promise<boolean> {
+    for (const name of names) {
+        const connection = source.get(name);
+        if (!connection) {
+            return false;
+        }
+        await connection.query(sql);
+    }
+    return true;
+}
@@ -0,0 +1,140 @@
+// Parámetros extraídos de la ruta (":id", "*")
+export type RouteParams = { [key: string]: string };
+
+// Manejador de una ruta; recibe el contexto de la solicitud
+export type RouteHandler<C = any> = (context: C) => any | Promise<any>;
+
+interface Route<C> {
+    method: string;
+    pattern: string;
+    regex: RegExp;
+    keys: string[];
+    handler: RouteHandler<C>;
+}
+
+// Resultado de buscar una ruta
+export interface RouteMatch<C> {
+    handler?: RouteHandler<C>;
+    params: RouteParams;
+    // Métodos aceptados por la ruta cuando el path coincide pero el método no
+    allowed: string[];
+}
+
+/**
+ * Compila un patrón de ruta en una expresión regular.
+ * Soporta segmentos con nombre (":id") y comodines ("*" o "*nombre") al final.
+ * @param pattern - Patrón de la ruta, por ejemplo "/users/:id".
+ * @returns Expresión regular y nombres de los parámetros.
+ */
+export function compilePattern(pattern: string): { regex: RegExp; keys: string[] } {
+    const keys: string[] = [];
+    const segments = pattern.split("/").filter(Boolean);
+
+    const source = segments.map((segment, index) => {
+        if (segment.startsWith(":")) {
+            keys.push(segment.slice(1));
+            return "/([^/]+)";
+        }
+
+        if (segment.startsWith("*")) {
+            if (index !== segments.length - 1) {
+                throw new Error(`Wildcard must be the last segment in "${pattern}"`);
+            }
+            keys.push(segment.slice(1) || "*");
+            return "(?:/(.*))?";
+        }
+
+        return "/" + segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+
+    return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+function decodeParam(value: string): string {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Enrutador declarativo por método y path.
+ */
+export class Router<C = any> {
+    private routes: Route<C>[] = [];
+
+    /**
+     * Registra una ruta.
+     * @param method - Método HTTP.
+     * @param pattern - Patrón de la ruta.
+     * @param handler - Manejador de la ruta.
+     */
+    add(method: string, pattern: string, handler: RouteHandler<C>): this {
+        if (typeof handler !== "function") {
+            throw new Error(`Handler for ${method} ${pattern} must be a function`);
+        }
+
+        const { regex, keys } = compilePattern(pattern);
+        this.routes.push({ method: method.toUpperCase(), pattern, regex, keys, handler });
+        return this;
+    }
+
+    get(pattern: string, handler: RouteHandler<C>): this {
+        return this.add("GET", pattern, handler);
+    }
+
+    post(pattern: string, handler: RouteHandler<C>): this {
+        return this.add("POST", pattern, handler);
+    }
+
+    put(pattern: string, handler: RouteHandler<C>): this {
+        return this.add("PUT", pattern, handler);
+    }
+
+    delete(pattern: string, handler: RouteHandler<C>): this {
+        return this.add("DELETE", pattern, handler);
+    }
+
+    patch(pattern: string, handler: RouteHandler<C>): this {
+        return this.add("PATCH", pattern, handler);
+    }
+
+    /**
+     * Busca la ruta que corresponde a un método y path.
+     * @param method - Método HTTP de la solicitud.
+     * @param pathname - Path de la solicitud (sin query string).
+     * @returns Manejador y parámetros, o los métodos permitidos si sólo coincide el path.
+     */
+    match(method: string, pathname: string): RouteMatch<C> {
+        const upperMethod = method.toUpperCase();
+        const allowed: string[] = [];
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(pathname);
+            if (!result) {
+                continue;
+            }
+
+            if (route.method !== upperMethod) {
+                if (!allowed.includes(route.method)) {
+                    allowed.push(route.method);
+                }
+                continue;
+            }
+
+            const params: RouteParams = {};
+            route.keys.forEach((key, index) => {
+                params[key] = decodeParam(result[index + 1] ?? "");
+            });
+
+            return { handler: route.handler, params, allowed: [] };
+        }
+
+        return { params: {}, allowed };
+    }
+
+    get size(): number {
+        return this.routes.length;
+    }
+}
@@ -0,0 +1,120 @@
+import type { DatabaseSync } from 'node:sqlite';
+import { IAsyncMachine, ISession, ExpiryPolicy } from './Manager';
+import { Session } from './Memory';
+
+export interface SQLiteMachineOptions {
+  // Archivo de la base de datos (":memory:" para pruebas)
+  file?: string;
+  table?: string;
+}
+
+/**
+ * Abre la base de datos con el módulo embebido node:sqlite. Está disponible sin opciones
+ * desde Node 22.13 (y 23.4); en Node 22.5 a 22.12 requiere --experimental-sqlite y no
+ * existe en Node 20 o anteriores. Se carga de forma diferida para que el resto de las
+ * máquinas funcione en esas versiones; la sesión "sqlite" falla al crear el Manager,
+ * es decir, al crear el Server.
+ * @throws Error si node:sqlite no está disponible.
+ */
+function openDatabase(file: string): DatabaseSync {
+  let sqlite: typeof import('node:sqlite');
+  try {
+    sqlite = require('node:sqlite');
+  } catch {
+    throw new Error(
+      `SQLite session machine requires node:sqlite (Node 22.13+, or 22.5+ with --experimental-sqlite); ` +
+      `running Node ${process.versions.node}. Use machineType "file" or "memory" instead.`,
+    );
+  }
+  return new sqlite.DatabaseSync(file);
+}
+
+/**
+ * Máquina de almacenamiento de sesiones en una base de datos SQLite.
+ * Varios procesos pueden compartir las sesiones usando el mismo archivo.
+ */
+export class SQLiteMachine implements IAsyncMachine {
+  private db: DatabaseSync;
+  private table: string;
+
+  constructor(options: SQLiteMachineOptions = {}) {
+    this.table = options.table ?? 'whendy_sessions';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+      throw new Error(`Invalid table name "${this.table}"`);
+    }
+
+    this.db = openDatabase(options.file ?? 'whendy-sessions.db');
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_access INTEGER NOT NULL
+      );
+    `);
+  }
+
+  async init(sessionId: string): Promise<ISession> {
+    const session = await this.read(sessionId);
+    if (session) {
+      return session;
+    }
+
+    const created = new Session(sessionId);
+    await this.write(created);
+    return created;
+  }
+
+  async read(sessionId: string): Promise<ISession | undefined> {
+    const row = this.db
+      .prepare(`SELECT data, created_at, last_access FROM ${this.table} WHERE id = ?`)
+      .get(sessionId) as { data: string; created_at: number; last_access: number } | undefined;
+
+    if (!row) {
+      return undefined;
+    }
+
+    return Session.restore(sessionId, {
+      data: JSON.parse(row.data),
+      createdAt: row.created_at,
+      lastAccess: row.last_access,
+    });
+  }
+
+  async write(session: ISession): Promise<void> {
+    this.db
+      .prepare(`INSERT INTO ${this.table} (id, data, created_at, last_access) VALUES (?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data, last_access = excluded.last_access`)
+      .run(session.id, JSON.stringify(session.data), session.createdAt, session.lastAccess);
+  }
+
+  async destroy(sessionId: string): Promise<void> {
+    this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(sessionId);
+  }
+
+  async count(): Promise<number> {
+    const row = this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table}`).get() as { total: number };
+    return Number(row.total);
+  }
+
+  async gc(policy: ExpiryPolicy): Promise<number> {
+    const now = Date.now();
+    // Sin límite se usa 0, que no elimina nada
+    const createdBefore = policy.maxLifeTime ? now - policy.maxLifeTime * 1000 : 0;
+    const accessedBefore = policy.idleTimeout ? now - policy.idleTimeout * 1000 : 0;
+
+    const result = this.db
+      .prepare(`DELETE FROM ${this.table} WHERE created_at <= ? OR last_access <= ?`)
+      .run(createdBefore, accessedBefore);
+    return Number(result.changes);
+  }
+
+  /**
+   * Cierra la base de datos.
+   */
+  close(): void {
+    this.db.close();
+  }
+}
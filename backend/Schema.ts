@@ -0,0 +1,245 @@
+// Tipos de JSON Schema; "integer" es un número sin decimales
+export type SchemaType = "object" | "array" | "string" | "number" | "integer" | "boolean" | "null";
+
+/**
+ * Subconjunto de JSON Schema (draft-07) que soporta validate().
+ */
+export interface JsonSchema {
+    $schema?: string;
+    $id?: string;
+    $ref?: string;
+    title?: string;
+    description?: string;
+    definitions?: { [name: string]: JsonSchema };
+    type?: SchemaType | SchemaType[];
+    enum?: any[];
+    const?: any;
+    // Objetos
+    properties?: { [name: string]: JsonSchema };
+    required?: string[];
+    additionalProperties?: boolean | JsonSchema;
+    // Arreglos
+    items?: JsonSchema;
+    minItems?: number;
+    // Números
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: number;
+    // Cadenas
+    minLength?: number;
+    pattern?: string;
+    // Combinaciones
+    anyOf?: JsonSchema[];
+}
+
+// Violación de un esquema; pointer es el JSON Pointer (RFC 6901) del valor, "" para la raíz
+export interface SchemaViolation {
+    pointer: string;
+    keyword: string;
+    message: string;
+}
+
+/**
+ * Archivo de configuración u opciones que no cumplen su esquema.
+ */
+export class ConfigValidationError extends Error {
+    public source: string;
+    public violations: SchemaViolation[];
+
+    constructor(source: string, violations: SchemaViolation[]) {
+        super(`Invalid ${source}:\n${formatViolations(violations)}`);
+        this.name = "ConfigValidationError";
+        this.source = source;
+        this.violations = violations;
+    }
+}
+
+/**
+ * Formatea las violaciones, una por línea.
+ */
+export function formatViolations(violations: SchemaViolation[]): string {
+    return violations.map(({ pointer, message }) => `  ${pointer || "/"}: ${message}`).join("\n");
+}
+
+function escapePointer(segment: string | number): string {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function isPlainObject(value: any): boolean {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function matchesType(value: any, type: SchemaType): boolean {
+    switch (type) {
+        case "object":
+            return isPlainObject(value);
+        case "array":
+            return Array.isArray(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "null":
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function describe(value: any): string {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function isEqual(a: any, b: any): boolean {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(ref: string, root: JsonSchema): JsonSchema {
+    const match = /^#\/definitions\/(.+)$/.exec(ref);
+    const schema = match ? root.definitions?.[match[1]] : undefined;
+    if (!schema) {
+        throw new Error(`Unresolved schema reference "${ref}"`);
+    }
+    return schema;
+}
+
+/**
+ * Valida un valor contra un esquema y reúne todas las violaciones.
+ * @param schema - Esquema.
+ * @param value - Valor a validar.
+ * @param pointer - JSON Pointer del valor (uso interno).
+ * @param root - Esquema raíz para resolver $ref (uso interno).
+ * @returns Violaciones encontradas; vacío si el valor es válido.
+ */
+export function validate(schema: JsonSchema, value: any, pointer: string = "", root: JsonSchema = schema): SchemaViolation[] {
+    if (schema.$ref) {
+        return validate(resolveRef(schema.$ref, root), value, pointer, root);
+    }
+
+    const violations: SchemaViolation[] = [];
+    const fail = (keyword: string, message: string) => violations.push({ pointer, keyword, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(value, type))) {
+            fail("type", `must be ${types.join(" or ")}, got ${describe(value)}`);
+            // Las demás reglas no aplican a un valor de otro tipo
+            return violations;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some((item) => isEqual(item, value))) {
+        fail("enum", `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`);
+    }
+    if ("const" in schema && !isEqual(schema.const, value)) {
+        fail("const", `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map((option) => validate(option, value, pointer, root));
+        if (!results.some((result) => result.length === 0)) {
+            // Se informa la alternativa con menos violaciones, que suele ser la intentada
+            const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+            const typeOnly = closest.every((violation) => violation.keyword === "type" && violation.pointer === pointer);
+            if (typeOnly) {
+                fail("anyOf", "does not match any of the allowed forms");
+            } else {
+                violations.push(...closest);
+            }
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail("minimum", `must be >= ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail("maximum", `must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail("minLength", `must have at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            fail("pattern", `must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail("minItems", `must have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                violations.push(...validate(schema.items!, item, `${pointer}/${index}`, root));
+            });
+        }
+    }
+
+    if (isPlainObject(value)) {
+        for (const name of schema.required ?? []) {
+            if (value[name] === undefined) {
+                fail("required", `missing required property "${name}"`);
+            }
+        }
+
+        for (const [name, item] of Object.entries(value)) {
+            const child = `${pointer}/${escapePointer(name)}`;
+            const propertySchema = schema.properties?.[name];
+
+            if (propertySchema) {
+                if (item !== undefined) {
+                    violations.push(...validate(propertySchema, item, child, root));
+                }
+            } else if (schema.additionalProperties === false) {
+                violations.push({ pointer: child, keyword: "additionalProperties", message: `unknown property "${name}"` });
+            } else if (typeof schema.additionalProperties === "object") {
+                violations.push(...validate(schema.additionalProperties, item, child, root));
+            }
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Obtiene los tipos que admite el esquema en una ruta, siguiendo $ref, anyOf, properties,
+ * additionalProperties e items (índices numéricos).
+ * @param schema - Esquema.
+ * @param segments - Ruta del valor ("session", "machineType").
+ * @param root - Esquema raíz para resolver $ref (uso interno).
+ * @returns Tipos admitidos; vacío si el esquema no los restringe o la ruta no existe.
+ */
+export function schemaTypesAt(schema: JsonSchema | undefined, segments: string[], root: JsonSchema | undefined = schema): SchemaType[] {
+    if (!schema || !root) {
+        return [];
+    }
+    if (schema.$ref) {
+        return schemaTypesAt(resolveRef(schema.$ref, root), segments, root);
+    }
+    if (schema.anyOf) {
+        return [...new Set(schema.anyOf.flatMap((option) => schemaTypesAt(option, segments, root)))];
+    }
+
+    if (segments.length === 0) {
+        const types = ([] as SchemaType[]).concat(schema.type ?? []);
+        for (const value of schema.enum ?? []) {
+            const type = (["number", "boolean", "string"] as SchemaType[]).find((item) => typeof value === item);
+            if (type && !types.includes(type)) types.push(type);
+        }
+        return types;
+    }
+
+    const [head, ...rest] = segments;
+    const next = schema.properties?.[head]
+        ?? (typeof schema.additionalProperties === "object" ? schema.additionalProperties : undefined)
+        ?? (/^\d+$/.test(head) ? schema.items : undefined);
+    return schemaTypesAt(next, rest, root);
+}
@@ -1,30 +1,102 @@
 import * as http from 'http';
 import * as url from 'url';
 import * as path from 'path';
+import * as fs from 'fs';
+import { randomUUID } from 'node:crypto';
+import { AddressInfo, Socket } from 'net';
+import { EventEmitter } from 'events';
 import * as Tool  from './Tool';
-import { register, Manager } from './Manager';
+import { register, isRegistered, Manager, mergeSessionData, SessionConfig } from './Manager';
+import { Router, RouteHandler, RouteParams } from './Router';
+import { Middleware, runMiddleware } from './Middleware';
+import { parseBody, removeUploadedFiles, replayRequest, ParsedBody } from './BodyParser';
+import { RateLimitError, ValidationError } from './Errors';
+import { createStore as createRateLimitStore, IRateLimitStore, RateLimiter, RateLimitOptions } from './RateLimit';
+import { AccessConfig, filterRequest, getSubject } from './AccessControl';
+import { CorsOptions, corsHeaders, mergeCors, preflightHeaders, validateCors } from './Cors';
+import { serveStatic, StaticMount, StaticOptions } from './Static';
+import { appendVary, CompressionOptions, negotiateFormat, sendCompressed, serialize } from './Negotiation';
+import { JwtError, JwtOptions, JwtPayload } from './JWT';
+import { TokenService } from './TokenService';
+import { authenticate, AuthMode } from './BearerAuth';
+import { JsonLogger, Logger, silentLogger } from './Logger';
+import { Counter, Histogram, MetricsRegistry } from './Metrics';
+import { ModuleWatcher } from './ModuleWatcher';
+import { ConfigValidationError } from './Schema';
+import { validateModuleConfig, validateServerOptions } from './ConfigSchema';
+import { loadLayers } from './Config';
+import { AppConfig, appSessionConfig, AppSource, DEFAULT_APP_SOURCES, resolveApp } from './Apps';
+import { ConnectionTracker, createRedirectServer, createSecureServer, isHttp2Response, SecureServer, TlsOptions } from './Tls';
+import { Drainer, listenSignals, runShutdownHooks, ShutdownHook, ShutdownOptions } from './Shutdown';
 import { ClassManager } from './ClassManager.js';
-import { Memory } from './Memory.js';
+import { Memory, Session } from './Memory.js';
+import { FileMachine } from './FileMachine';
+import { SQLiteMachine } from './SQLiteMachine';
 import { DBAdmin } from './DBAdmin.js';
+import { checkConnections, checkReadiness, ReadinessCheck } from './Readiness';
 import { Whendy } from './Whendy.js';
 import { Authorization } from './Authorization.js';
 import { Store } from './Store.js';
 import { InfoClass, InfoElement, IConnectInfo } from './types.js';
 
 interface ServerOptions {
+    // Entorno (development, production...); por omisión NODE_ENV. Ver loadConfig en Config.ts
+    env?: string;
     port?: number;
+    // HTTPS (HTTP/2 con HTTP/1.1); sin tls el servidor usa HTTP
+    tls?: TlsOptions;
     classElement?: InfoClass[];
     constants?: { [key: string]: any };
     header?: { [key: string]: string | number };
     db?: IConnectInfo[];
+    // Request inicial por omisión (en lugar de system.welcome)
     setApp?: InfoElement;
-    apps?: { [name: string]: InfoElement };
+    // Aplicaciones alojadas, por nombre, y cómo se identifican en cada solicitud
+    apps?: { [name: string]: AppConfig };
+    appSources?: AppSource[];
     useModule?: boolean;
     init?: any;
-    cors?: boolean;
+    cors?: boolean | CorsOptions;
     maxRequestSize?: number;
+    compression?: boolean | CompressionOptions;
+    uploadDir?: string;
+    static?: StaticMount[];
     timeout?: number;
     enableLogging?: boolean;
+    logger?: Logger;
+    routeFallthrough?: boolean;
+    session?: Partial<SessionConfig>;
+    authMode?: AuthMode;
+    jwt?: JwtOptions;
+    // Servicio que emite y revoca los tokens; por omisión se crea con jwt
+    tokens?: TokenService;
+    access?: AccessConfig;
+    monitoring?: boolean | MonitoringOptions;
+    shutdown?: ShutdownOptions;
+    rateLimit?: ServerRateLimitOptions;
+    moduleReload?: ModuleReloadMode;
+}
+
+// Recarga de config.json de los módulos: vigilando los archivos o por tiempo de caché
+type ModuleReloadMode = 'watch' | 'ttl';
+
+const MODULES_DIR = './app/modules';
+
+// Límite global; el almacén de buckets también lo usan los límites de los módulos
+interface ServerRateLimitOptions extends Partial<RateLimitOptions> {
+    store?: string;
+    storeOptions?: any;
+}
+
+// Endpoints de salud y métricas (deshabilitados por omisión)
+interface MonitoringOptions {
+    health?: boolean; // /healthz y /readyz (por omisión true)
+    metrics?: boolean; // /metrics (por omisión true)
+    paths?: { health?: string; ready?: string; metrics?: string };
+    // Comprobaciones adicionales de /readyz; "database" reemplaza la de las conexiones de db
+    checks?: { [name: string]: ReadinessCheck };
+    // Tiempo máximo de cada comprobación en milisegundos (por omisión 2000)
+    checkTimeout?: number;
 }
 
 interface ModuleConfig {
@@ -33,31 +105,100 @@ interface ModuleConfig {
     init?: any;
     middleware?: string[];
     cache?: boolean;
+    access?: AccessConfig;
+    cors?: CorsOptions;
+    rateLimit?: RateLimitOptions;
 }
 
-interface RequestContext {
+export interface RequestContext {
     req: http.IncomingMessage;
     res: http.ServerResponse;
     session: any;
+    // Cómo se autenticó la solicitud y, con Bearer, los claims del JWT
+    auth: 'cookie' | 'bearer';
+    claims?: JwtPayload;
     store: Store;
-    moduleInfo?: ModuleConfig;
+    // Aplicación de la solicitud (ver Apps.ts)
+    app?: string;
+    // Configuración del módulo; null si no hay módulo o no tiene config.json, undefined si aún no se cargó
+    moduleInfo?: ModuleConfig | null;
+    body?: ParsedBody;
+    params?: RouteParams;
+    query?: { [key: string]: any };
     startTime: number;
+    // ID de la solicitud (encabezado X-Request-Id) y logger con ese ID
+    requestId: string;
+    logger: Logger;
 }
 
-export class Server {
-    private server: http.Server;
+/**
+ * Eventos:
+ * - "module-reloaded" ({ module, config }): el config.json de un módulo cambió; config es null si se eliminó.
+ */
+export class Server extends EventEmitter {
+    private server: http.Server | SecureServer;
     private port: number = 8080;
+    private tls?: TlsOptions;
+    // Servidor HTTP que redirige a HTTPS (tls.redirect)
+    private redirectServer?: http.Server;
+    // Conexiones del servidor HTTP/2, que no sabe cerrarlas por sí mismo
+    private connections?: ConnectionTracker;
+    private env: string = process.env.NODE_ENV || 'development';
     private classElement: InfoClass[] = [];
     private constants: { [key: string]: any } = {};
     private header: { [key: string]: string | number } = {};
     private db: IConnectInfo[] = [];
+    // Conexiones que usa /readyz; se abren en el primer sondeo
+    private readinessDb?: DBAdmin;
     private setApp: InfoElement;
-    private apps: { [name: string]: InfoElement } = {};
+    private apps: { [name: string]: AppConfig } = {};
+    private appSources: AppSource[] = DEFAULT_APP_SOURCES;
+    // Manager de sesiones de cada aplicación (cada una con su cookie)
+    private appSessions: Map<string, Manager> = new Map();
     private useModule: boolean = true;
-    private cors: boolean = true;
+    private cors: boolean | CorsOptions = true;
+    private corsPolicy?: CorsOptions;
+    private compression: boolean | CompressionOptions = true;
     private maxRequestSize: number = 10 * 1024 * 1024; // 10MB
+    private uploadDir?: string;
+    private static: StaticMount[] = [];
     private timeout: number = 30000; // 30 seconds
     private enableLogging: boolean = true;
+    private logger: Logger = silentLogger;
+    private monitoring: boolean | MonitoringOptions = false;
+    private shutdown: ShutdownOptions = {};
+    private shutdownHooks: ShutdownHook[] = [];
+    // Respuestas en curso, para esperarlas al apagar
+    private drainer: Drainer = new Drainer();
+    private stopping?: Promise<void>;
+    private sessionClosed = false;
+    private unlistenSignals?: () => void;
+    private rateLimit?: ServerRateLimitOptions;
+    private rateLimitStore?: IRateLimitStore;
+    private rateLimiter?: RateLimiter;
+    // Limitadores por módulo, recreados si cambia su configuración
+    private moduleLimiters: Map<string, { options: RateLimitOptions; limiter: RateLimiter }> = new Map();
+    private metrics?: {
+        registry: MetricsRegistry;
+        requests: Counter;
+        duration: Histogram;
+        errors: Counter;
+        cacheHits: Counter;
+        cacheMisses: Counter;
+    };
+    private routeFallthrough: boolean = true;
+    private session: Partial<SessionConfig> = {};
+    private authMode: AuthMode = 'cookie';
+    private jwt?: JwtOptions;
+    private tokens?: TokenService;
+    private access?: AccessConfig;
+    
+    // Rutas declaradas (REST)
+    private router: Router<RequestContext> = new Router();
+    
+    // Middleware global y middleware con nombre (config.json del módulo)
+    private middlewares: Middleware<RequestContext>[] = [];
+    private namedMiddleware: Map<string, Middleware<RequestContext>> = new Map();
     
     // Managers
     private classManager: ClassManager;
@@ -66,88 +207,351 @@ export class Server {
     // Cache para módulos
     private moduleCache: Map<string, ModuleConfig> = new Map();
     private lastModuleCheck: Map<string, number> = new Map();
+    // En desarrollo los cambios se detectan al instante; en producción se usa el TTL
+    private moduleReload?: ModuleReloadMode;
+    private moduleWatcher?: ModuleWatcher;
     
     public init: any = {};
 
     constructor(options: ServerOptions = {}) {
+        super();
         this.applyOptions(options);
         this.initializeComponents();
         this.setupServer();
     }
 
     private applyOptions(options: ServerOptions) {
+        const violations = validateServerOptions(options);
+        if (violations.length > 0) {
+            throw new ConfigValidationError('ServerOptions', violations);
+        }
+
         Object.assign(this, options);
+        this.moduleReload ??= this.env === 'production' ? 'ttl' : 'watch';
+
+        // Sin logger propio: JSON en consola; enableLogging activa los registros de acceso
+        if (!options.logger) {
+            this.logger = new JsonLogger({ level: this.enableLogging ? 'info' : 'warn' });
+        }
         
-        // Headers CORS por defecto
+        // Política CORS; los encabezados se calculan por solicitud según el Origin
         if (this.cors) {
-            this.header = {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization, Application-Name, Application-Id, Application-Mode',
-                'Access-Control-Max-Age': '86400',
-                ...this.header
-            };
+            this.corsPolicy = this.cors === true ? {} : this.cors;
+            validateCors(this.corsPolicy);
         }
     }
 
     private initializeComponents() {
-        // Registrar memoria
-        register("memory", Memory);
+        // Registrar máquinas de sesión
+        const machines = { memory: Memory, file: FileMachine, sqlite: SQLiteMachine };
+        for (const [name, machine] of Object.entries(machines)) {
+            if (!isRegistered(name)) {
+                register(name, machine);
+            }
+        }
         
         // Inicializar managers
         this.classManager = new ClassManager(this.classElement);
-        this.sessionManager = new Manager({
+        this.sessionManager = this.createSessionManager();
+
+        // Métricas
+        const monitoring = this.monitoringOptions();
+        if (monitoring && monitoring.metrics !== false) {
+            this.initializeMetrics();
+        }
+
+        // Límite de solicitudes global
+        if (this.rateLimit?.capacity) {
+            this.rateLimiter = new RateLimiter(this.rateLimit as RateLimitOptions, this.getRateLimitStore());
+        }
+
+        // Servicio de tokens Bearer; la aplicación debe emitirlos y revocarlos con el mismo
+        // servicio (ver tokenService) para que logout y revokeAll tengan efecto
+        if (this.authMode !== 'cookie' && !this.tokens) {
+            if (!this.jwt) {
+                throw new Error(`authMode "${this.authMode}" requires jwt or tokens options`);
+            }
+            this.tokens = new TokenService({ jwt: { logger: this.logger, ...this.jwt } });
+        }
+    }
+
+    /**
+     * Crea el manager de sesiones del servidor o de una aplicación. Cada aplicación usa
+     * su propia cookie para que sus sesiones no se mezclen en el mismo dominio.
+     * @param app - Nombre de la aplicación.
+     */
+    private createSessionManager(app?: string): Manager {
+        const config: SessionConfig = {
             cookieName: "whsessionid",
             machineType: "memory",
             maxLifeTime: 36000,
-        });
+            logger: this.logger,
+            ...this.session,
+        };
+        // Cookie Secure sólo con TLS o en producción (detrás de un proxy HTTPS); en HTTP local
+        // el navegador no enviaría la cookie
+        config.cookieOptions = {
+            secure: Boolean(this.tls) || this.env === 'production',
+            ...config.cookieOptions,
+        };
+        if (!app) {
+            return new Manager(config);
+        }
+        return new Manager(appSessionConfig(config, app, this.apps[app]));
+    }
+
+    private getSessionManager(app?: string): Manager {
+        if (!app) {
+            return this.sessionManager;
+        }
+
+        let manager = this.appSessions.get(app);
+        if (!manager) {
+            manager = this.createSessionManager(app);
+            this.appSessions.set(app, manager);
+        }
+        return manager;
+    }
+
+    private getApp(context: RequestContext): AppConfig | undefined {
+        return context.app ? this.apps[context.app] : undefined;
     }
 
     private setupServer() {
-        this.server = http.createServer(async (req, res) => {
-            const startTime = Date.now();
+        const listener = async (req: http.IncomingMessage, res: http.ServerResponse) => {
+            // Durante el apagado se rechazan las solicitudes nuevas de conexiones keep-alive
+            if (!this.drainer.track(res)) {
+                return;
+            }
+
+            const context = this.createContext(req, res);
             
             try {
                 // Configurar timeout
                 req.setTimeout(this.timeout);
                 res.setTimeout(this.timeout);
                 
-                await this.handleRequest(req, res, startTime);
+                await this.handleRequest(context);
                 
             } catch (error) {
-                await this.handleError(error, req, res, startTime);
+                await this.handleError(error, context);
             }
-        });
+        };
+
+        if (this.tls) {
+            const server = createSecureServer(this.tls, listener);
+            if (!('closeIdleConnections' in server)) {
+                this.connections = new ConnectionTracker(server);
+            }
+            server.on('tlsClientError', (error: Error) => {
+                this.logger.debug('TLS handshake failed', { detail: error.message });
+            });
+            this.server = server;
+        } else {
+            this.server = http.createServer(listener);
+        }
 
         // Manejo de errores del servidor
-        this.server.on('error', (error) => {
-            console.error('Server error:', error);
+        this.server.on('error', (error: Error) => {
+            this.logger.error('Server error', { error });
         });
 
-        this.server.on('clientError', (error, socket) => {
-            console.error('Client error:', error);
+        this.server.on('clientError', (error: Error, socket: Socket) => {
+            this.logger.warn('Client error', { error });
             socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
         });
     }
 
-    private async handleRequest(req: http.IncomingMessage, res: http.ServerResponse, startTime: number) {
+    // HTTP/2 no admite el encabezado Connection; sus conexiones se cierran con GOAWAY
+    private connectionClose(res: http.ServerResponse): { [key: string]: string } {
+        return isHttp2Response(res) ? {} : { 'Connection': 'close' };
+    }
+
+    private createContext(req: http.IncomingMessage, res: http.ServerResponse): RequestContext {
+        // Se conserva el ID enviado por un proxy si es válido
+        const incoming = req.headers['x-request-id'];
+        const requestId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+        res.setHeader('X-Request-Id', requestId);
+
         const context: RequestContext = {
             req,
             res,
             session: null,
+            auth: 'cookie',
             store: null,
-            startTime
+            startTime: Date.now(),
+            requestId,
+            logger: this.logger.child({ requestId }),
+        };
+
+        // Registro de acceso y métricas al terminar la respuesta
+        const bytesBefore = req.socket.bytesWritten;
+        res.once('close', () => {
+            const duration = Date.now() - context.startTime;
+            const module = this.metricsModule(context);
+
+            this.metrics?.requests.inc({ module, method: req.method || '', status: res.statusCode });
+            this.metrics?.duration.observe({ module, status: res.statusCode }, duration / 1000);
+
+            if (this.enableLogging) {
+                context.logger.info('request completed', {
+                    method: req.method,
+                    url: req.url,
+                    status: res.statusCode,
+                    duration,
+                    // Bytes enviados por el socket, incluidos los encabezados
+                    bytes: req.socket.bytesWritten - bytesBefore,
+                    sessionId: context.session?.id,
+                    aborted: !res.writableFinished || undefined,
+                    userAgent: req.headers['user-agent'],
+                });
+            }
+        });
+
+        return context;
+    }
+
+    private monitoringOptions(): MonitoringOptions | undefined {
+        if (!this.monitoring) {
+            return undefined;
+        }
+        return this.monitoring === true ? {} : this.monitoring;
+    }
+
+    private initializeMetrics() {
+        const registry = new MetricsRegistry();
+
+        this.metrics = {
+            registry,
+            requests: registry.counter('whendy_http_requests_total', 'HTTP requests by module, method and status'),
+            duration: registry.histogram('whendy_http_request_duration_seconds', 'HTTP request latency by module and status'),
+            errors: registry.counter('whendy_errors_total', 'Request errors by category'),
+            cacheHits: registry.counter('whendy_module_cache_hits_total', 'Module config cache hits'),
+            cacheMisses: registry.counter('whendy_module_cache_misses_total', 'Module config cache misses'),
         };
 
-        // Log de request
-        if (this.enableLogging) {
-            console.log(`${new Date().toISOString()} - ${req.method} ${req.url} - ${req.headers['user-agent']}`);
+        registry.gauge('whendy_module_cache_entries', 'Module configs in cache', () => this.moduleCache.size);
+        registry.gauge('whendy_active_sessions', 'Sessions stored in the session machine', async () => {
+            const managers = [this.sessionManager, ...this.appSessions.values()];
+            const counts = await Promise.all(managers.map((manager) => manager.count()));
+            // Sin count() en la máquina de sesiones no se exporta el gauge
+            return counts.includes(undefined) ? undefined : counts.reduce((total: number, count) => total + (count ?? 0), 0);
+        });
+    }
+
+    /**
+     * Etiqueta "module" de las métricas. Sólo se usan módulos existentes para no crear
+     * una serie por cada URL desconocida.
+     */
+    private metricsModule(context: RequestContext): string {
+        if (context.params) {
+            return 'route';
+        }
+        return context.moduleInfo ? this.getModuleName(context.req.url || '/').slice(1) : 'none';
+    }
+
+    /**
+     * Responde /healthz, /readyz y /metrics si están habilitados.
+     * @returns true si la solicitud fue respondida.
+     */
+    private async handleMonitoring(req: http.IncomingMessage, res: http.ServerResponse): Promise<boolean> {
+        const monitoring = this.monitoringOptions();
+        if (!monitoring || req.method?.toUpperCase() !== 'GET') {
+            return false;
+        }
+
+        const pathname = url.parse(req.url || '/').pathname;
+        const paths = { health: '/healthz', ready: '/readyz', metrics: '/metrics', ...monitoring.paths };
+        const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' };
+
+        if (monitoring.health !== false && pathname === paths.health) {
+            res.writeHead(200, headers);
+            res.end(JSON.stringify({ status: 'ok', uptime: process.uptime() }));
+            return true;
+        }
+
+        if (monitoring.health !== false && pathname === paths.ready) {
+            const readiness = await this.checkReadiness(monitoring);
+            res.writeHead(readiness.ready ? 200 : 503, headers);
+            res.end(JSON.stringify({ status: readiness.ready ? 'ready' : 'not_ready', ...readiness }));
+            return true;
+        }
+
+        if (this.metrics && pathname === paths.metrics) {
+            const body = await this.metrics.registry.render();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(body);
+            return true;
+        }
+
+        return false;
+    }
+
+    private async checkReadiness(monitoring: MonitoringOptions) {
+        // checks.database reemplaza la comprobación por omisión (drivers sin SELECT 1)
+        const readiness = await checkReadiness({
+            accepting: () => !this.stopping,
+            database: () => this.checkDatabase(),
+            modules: () => this.checkModules(),
+            ...monitoring.checks,
+        }, monitoring.checkTimeout ?? 2000);
+
+        return {
+            ...readiness,
+            moduleCache: {
+                enabled: this.useModule,
+                entries: this.moduleCache.size,
+                hits: this.metrics?.cacheHits.get(),
+                misses: this.metrics?.cacheMisses.get(),
+            },
+        };
+    }
+
+    private async checkDatabase(): Promise<boolean> {
+        if (!this.db || this.db.length === 0) {
+            return true;
+        }
+        // Un solo DBAdmin para todos los sondeos, así cada /readyz no abre conexiones nuevas
+        if (!this.readinessDb) {
+            this.readinessDb = new DBAdmin();
+            this.readinessDb.init(this.db);
+        }
+        return checkConnections(this.readinessDb, this.db.map((info) => info.name));
+    }
+
+    private async checkModules(): Promise<boolean> {
+        if (!this.useModule) {
+            return true;
+        }
+        // Sin el directorio de módulos ninguna solicitud de módulo puede responderse
+        const stats = await fs.promises.stat(MODULES_DIR).catch(() => null);
+        return Boolean(stats?.isDirectory());
+    }
+
+    private async handleRequest(context: RequestContext) {
+        const { req, res } = context;
+
+        // Salud y métricas; no pasan por CORS ni abren sesión
+        if (await this.handleMonitoring(req, res)) {
+            return;
+        }
+
+        // Encabezados CORS, con la política del módulo si la tiene
+        const cors = await this.resolveCors(context);
+        if (cors) {
+            for (const [key, value] of Object.entries(corsHeaders(cors, req.headers.origin))) {
+                res.setHeader(key, value);
+            }
         }
 
         // Manejar OPTIONS (CORS preflight)
         if (req.method?.toUpperCase() === "OPTIONS") {
-            return this.handleOptionsRequest(res);
+            return this.handleOptionsRequest(req, res, cors);
+        }
+
+        // Archivos estáticos; no abren sesión
+        if (await this.handleStatic(req, res)) {
+            return;
         }
 
         // Validar método
@@ -155,24 +559,275 @@ export class Server {
             return this.sendError(res, 405, 'Method Not Allowed');
         }
 
-        // Inicializar sesión
-        context.session = this.sessionManager.start(req, res);
-        context.session.loadSession(this.constants);
+        // Aplicación y autenticación
+        context.app = resolveApp(req, this.apps, this.appSources);
+        await this.authenticate(context);
+
+        // Límite global, antes de abrir la sesión y de leer el cuerpo
+        if (this.rateLimiter) {
+            await this.enforceRateLimit(context, this.rateLimiter);
+        }
+
+        // Sesión; las constantes se combinan con los datos guardados (roles del login, por
+        // ejemplo) y las de la aplicación tienen prioridad sobre las globales
+        context.session = await this.startSession(context);
+        try {
+            mergeSessionData(context.session, this.constants);
+            mergeSessionData(context.session, this.getApp(context)?.constants);
+            this.applyClaims(context);
 
-        // Cargar configuración del módulo
-        if (this.useModule) {
-            context.moduleInfo = await this.loadModuleConfig(req.url);
-            if (context.moduleInfo?.constants) {
-                context.session.loadSession(context.moduleInfo.constants);
+            // Leer el cuerpo respetando maxRequestSize
+            context.body = await parseBody(req, {
+                maxSize: this.maxRequestSize,
+                uploadDir: this.uploadDir,
+            });
+
+            // Los archivos temporales se eliminan al terminar la respuesta
+            if (context.body.files.length > 0) {
+                const files = context.body.files;
+                res.on('close', () => removeUploadedFiles(files));
             }
+
+            // Configurar Store
+            const store = new Store();
+            store.setSessionAdmin(context.session);
+            // Store lee el cuerpo por su cuenta; recibe una solicitud con el cuerpo ya leído
+            await store.start(replayRequest(req, context.body), res);
+            context.store = store;
+
+            // Middleware global; envuelve las rutas y el módulo
+            const reached = await runMiddleware(this.middlewares, context, () => this.dispatch(context));
+
+            if (!reached && !res.writableEnded) {
+                this.sendError(res, 403, 'Request blocked by middleware');
+            }
+        } finally {
+            // La sesión se guarda también si la solicitud falla (4xx/5xx): el acceso ya
+            // renovó su vencimiento y el módulo pudo cambiar sus datos
+            await this.saveSession(context);
+        }
+    }
+
+    /**
+     * Guarda la sesión en máquinas persistentes; las sesiones Bearer no se guardan.
+     * Un fallo se registra y no reemplaza el error ni la respuesta de la solicitud.
+     */
+    private async saveSession(context: RequestContext): Promise<void> {
+        if (context.auth !== 'cookie' || !context.session) {
+            return;
+        }
+        try {
+            await this.getSessionManager(context.app).save(context.session);
+        } catch (error) {
+            context.logger.error('Failed to save session', { error });
+        }
+    }
+
+    /**
+     * Decide según authMode si la solicitud usa la cookie de sesión o un token Bearer.
+     * @throws JwtError si el token Bearer no es válido, no es un access token o fue revocado.
+     */
+    private async authenticate(context: RequestContext): Promise<void> {
+        const { auth, claims } = await authenticate(context.req, this.authMode, this.tokens);
+        context.auth = auth;
+        context.claims = claims;
+    }
+
+    /**
+     * Obtiene la sesión. Con un access token válido se crea una sesión temporal con los
+     * claims del JWT y no se emite la cookie de sesión.
+     */
+    private async startSession(context: RequestContext): Promise<any> {
+        const { req, res, claims } = context;
+
+        if (context.auth === 'bearer') {
+            // Sin token en modo bearer: sesión anónima sin cookie
+            return new Session(claims ? String(claims.sub ?? claims.jti ?? 'bearer') : 'anonymous');
+        }
+        return this.getSessionManager(context.app).start(req, res);
+    }
+
+    /**
+     * Copia los claims del JWT a la sesión (después de cargar las constantes).
+     */
+    private applyClaims(context: RequestContext) {
+        if (!context.claims) {
+            return;
+        }
+        for (const [key, value] of Object.entries(context.claims)) {
+            context.session.set(key, value);
+        }
+    }
+
+    private async dispatch(context: RequestContext) {
+        const { req, res } = context;
+
+        // Rutas declaradas; si ninguna coincide se continúa con el módulo
+        if (await this.dispatchRoute(context)) {
+            return;
+        }
+
+        // Configuración del módulo, ya cargada si CORS la necesitó
+        const moduleInfo = await this.resolveModuleConfig(context);
+        if (moduleInfo?.constants) {
+            mergeSessionData(context.session, moduleInfo.constants);
+            this.applyClaims(context);
+        }
+        if (moduleInfo?.rateLimit) {
+            await this.enforceRateLimit(context, this.moduleLimiter(req.url || '/', moduleInfo.rateLimit));
+        }
+
+        // Middleware del módulo y procesamiento del request
+        const stack = this.resolveMiddleware(context.moduleInfo?.middleware);
+        const reached = await runMiddleware(stack, context, () => this.processRequest(context));
+
+        if (!reached && !res.writableEnded) {
+            this.sendError(res, 403, 'Request blocked by middleware');
+        }
+    }
+
+    private getRateLimitStore(): IRateLimitStore {
+        this.rateLimitStore ??= createRateLimitStore(this.rateLimit?.store ?? 'memory', this.rateLimit?.storeOptions);
+        return this.rateLimitStore;
+    }
+
+    private moduleLimiter(requestUrl: string, options: RateLimitOptions): RateLimiter {
+        const modulePath = this.getModuleName(requestUrl);
+        const cached = this.moduleLimiters.get(modulePath);
+        if (cached && cached.options === options) {
+            return cached.limiter;
         }
 
-        // Procesar request
-        await this.processRequest(context);
+        const limiter = new RateLimiter(options, this.getRateLimitStore(), `module${modulePath}`);
+        this.moduleLimiters.set(modulePath, { options, limiter });
+        return limiter;
+    }
+
+    /**
+     * Consume un token del cliente y agrega los encabezados RateLimit-*.
+     * @throws RateLimitError si el cliente superó el límite.
+     */
+    private async enforceRateLimit(context: RequestContext, limiter: RateLimiter): Promise<void> {
+        const key = limiter.key(context.req, {
+            sessionId: await this.rateLimitSessionId(context, limiter),
+            subject: context.claims?.sub,
+        });
+        const result = await limiter.consume(key);
+
+        for (const [name, value] of Object.entries(limiter.headers(result))) {
+            context.res.setHeader(name, value);
+        }
+
+        if (!result.allowed) {
+            throw new RateLimitError(result.retryAfter);
+        }
+    }
+
+    /**
+     * ID de sesión para el límite. Antes de abrir la sesión se lee de la cookie; sin cookie
+     * o con una sesión inexistente el limitador usa la IP, así un cliente no obtiene un
+     * bucket nuevo en cada solicitud.
+     */
+    private async rateLimitSessionId(context: RequestContext, limiter: RateLimiter): Promise<string | undefined> {
+        if (context.auth !== 'cookie' || limiter.keyType === 'ip') {
+            return undefined;
+        }
+        return context.session?.id ?? this.getSessionManager(context.app).currentId(context.req, context.res);
+    }
+
+    private resolveMiddleware(names: string[] = []): Middleware<RequestContext>[] {
+        return names.map((name) => {
+            const middleware = this.namedMiddleware.get(name);
+            if (!middleware) {
+                throw new Error(`Middleware "${name}" not registered`);
+            }
+            return middleware;
+        });
     }
 
-    private handleOptionsRequest(res: http.ServerResponse) {
-        res.writeHead(204, this.header);
+    private async dispatchRoute(context: RequestContext): Promise<boolean> {
+        const { req, res } = context;
+
+        if (this.router.size === 0) {
+            return false;
+        }
+
+        const parsedUrl = url.parse(req.url || '/', true);
+        const match = this.router.match(req.method || 'GET', parsedUrl.pathname || '/');
+
+        if (match.handler) {
+            context.params = match.params;
+            context.query = parsedUrl.query;
+
+            const result = await match.handler(context);
+
+            if (!res.writableEnded) {
+                await this.sendSuccess(req, res, result ?? null);
+            }
+            return true;
+        }
+
+        if (match.allowed.length > 0) {
+            res.setHeader('Allow', match.allowed.join(', '));
+            this.sendError(res, 405, 'Method Not Allowed');
+            return true;
+        }
+
+        if (!this.routeFallthrough) {
+            this.sendError(res, 404, 'Not Found');
+            return true;
+        }
+
+        return false;
+    }
+
+    private async handleStatic(req: http.IncomingMessage, res: http.ServerResponse): Promise<boolean> {
+        if (this.static.length === 0) {
+            return false;
+        }
+
+        const pathname = url.parse(req.url || '/').pathname || '/';
+        for (const mount of this.static) {
+            if (await serveStatic(req, res, mount, pathname)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private async resolveCors(context: RequestContext): Promise<CorsOptions | undefined> {
+        if (!this.corsPolicy) {
+            return undefined;
+        }
+        const moduleInfo = await this.resolveModuleConfig(context);
+        return mergeCors(this.corsPolicy, moduleInfo?.cors);
+    }
+
+    /**
+     * Configuración del módulo de la solicitud. Se carga una sola vez por solicitud y
+     * queda en context.moduleInfo para CORS, dispatch y las métricas.
+     */
+    private async resolveModuleConfig(context: RequestContext): Promise<ModuleConfig | null> {
+        if (context.moduleInfo === undefined) {
+            context.moduleInfo = this.useModule ? await this.loadModuleConfig(context.req.url || '/') : null;
+        }
+        return context.moduleInfo;
+    }
+
+    private handleOptionsRequest(req: http.IncomingMessage, res: http.ServerResponse, cors?: CorsOptions) {
+        // Sin CORS o sin Access-Control-Request-Method no es un preflight
+        if (!cors || !req.headers['access-control-request-method']) {
+            res.writeHead(204, this.header);
+            res.end();
+            return;
+        }
+
+        const headers = preflightHeaders(cors, req);
+        if (!headers) {
+            return this.sendError(res, 403, 'CORS preflight rejected');
+        }
+
+        res.writeHead(204, { ...this.header, ...headers });
         res.end();
     }
 
@@ -180,67 +835,165 @@ export class Server {
         return ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'].includes(method?.toUpperCase());
     }
 
+    /**
+     * Obtiene la configuración del módulo de una URL, del caché o de su config.json.
+     * @returns null si la URL no corresponde a un módulo con config.json.
+     * @throws El error de lectura o validación si el módulo no tiene una configuración válida anterior.
+     */
     private async loadModuleConfig(requestUrl: string): Promise<ModuleConfig | null> {
         if (!requestUrl || requestUrl === '/') {
             return null;
         }
 
         const modulePath = this.getModuleName(requestUrl);
-        const configPath = `./app/modules${modulePath}/config.json`;
+        const configPath = `${MODULES_DIR}${modulePath}/config.json`;
         
         // Verificar cache
         const lastCheck = this.lastModuleCheck.get(modulePath) || 0;
         const now = Date.now();
         
-        // Cache válido por 5 minutos en desarrollo, 1 hora en producción
-        const cacheTime = process.env.NODE_ENV === 'production' ? 3600000 : 300000;
+        // Vigilando los archivos el caché no expira; si no, 5 minutos en desarrollo y 1 hora en producción
+        const cacheTime = this.moduleWatcher
+            ? Infinity
+            : this.env === 'production' ? 3600000 : 300000;
         
         if (now - lastCheck < cacheTime && this.moduleCache.has(modulePath)) {
+            this.metrics?.cacheHits.inc();
             return this.moduleCache.get(modulePath);
         }
+        this.metrics?.cacheMisses.inc();
 
-        try {
-            const moduleInfo = Tool.loadJsonFile(configPath);
-            
-            // Validar estructura del módulo
-            if (this.validateModuleConfig(moduleInfo)) {
-                this.moduleCache.set(modulePath, moduleInfo);
-                this.lastModuleCheck.set(modulePath, now);
-                return moduleInfo;
-            }
-            
-            console.warn(`Invalid module config: ${configPath}`);
+        // Un módulo sin config.json no tiene reglas que aplicar
+        if (!(await Tool.statFile(configPath))) {
             return null;
-            
+        }
+
+        try {
+            const moduleInfo = await this.readModuleConfig(configPath);
+            this.moduleCache.set(modulePath, moduleInfo);
+            this.lastModuleCheck.set(modulePath, now);
+            return moduleInfo;
         } catch (error) {
-            console.warn(`Failed to load module config: ${configPath}`, error.message);
-            return null;
+            // Nunca se atiende el módulo sin su configuración: perdería sus reglas de acceso
+            // y su límite de solicitudes. Se usa la última válida o la solicitud falla (500)
+            const cached = this.moduleCache.get(modulePath);
+            this.logger.error('Failed to load module config', {
+                configPath,
+                ...this.configErrorFields(error),
+                kept: Boolean(cached),
+            });
+            if (!cached) {
+                throw error;
+            }
+            // Se reintenta cuando vence el caché, sin releer el archivo en cada solicitud
+            this.lastModuleCheck.set(modulePath, now);
+            return cached;
         }
     }
 
-    private validateModuleConfig(config: any): boolean {
-        if (!config || typeof config !== 'object') {
-            return false;
+    /**
+     * Lee el config.json de un módulo con su config.<env>.json, interpola ${VAR} en db
+     * y lo valida contra MODULE_CONFIG_SCHEMA. Las claves desconocidas (typos) se registran
+     * como error sin descartar la configuración; las demás violaciones la rechazan.
+     * @throws Error si no puede leerse o no es JSON válido.
+     * @throws ConfigValidationError si faltan variables o no cumple el esquema.
+     * @throws Error si su política CORS combina credenciales con cualquier origen.
+     */
+    private async readModuleConfig(configPath: string): Promise<ModuleConfig> {
+        const moduleInfo: ModuleConfig = await loadLayers(configPath, { env: this.env });
+        const violations = validateModuleConfig(moduleInfo);
+        const unknown = violations.filter((violation) => violation.keyword === 'additionalProperties');
+        const invalid = violations.filter((violation) => violation.keyword !== 'additionalProperties');
+
+        if (invalid.length > 0) {
+            throw new ConfigValidationError(configPath, invalid);
+        }
+        if (unknown.length > 0) {
+            this.logger.error('Unknown keys in module config', { configPath, violations: unknown });
+        }
+        if (moduleInfo.cors && this.corsPolicy) {
+            validateCors(mergeCors(this.corsPolicy, moduleInfo.cors));
         }
+        return moduleInfo;
+    }
 
-        // Validaciones básicas
-        if (config.constants && typeof config.constants !== 'object') {
-            return false;
+    // Campos de diagnóstico de un config.json inválido: cada violación con su JSON Pointer
+    private configErrorFields(error: unknown) {
+        if (error instanceof ConfigValidationError) {
+            return { detail: 'Schema validation failed', violations: error.violations };
         }
+        return { detail: (error as Error).message };
+    }
 
-        if (config.db && !Array.isArray(config.db)) {
-            return false;
+    /**
+     * Actualiza el caché de un módulo cuyo config.json cambió. Si el archivo nuevo
+     * tiene errores se conserva la última configuración válida.
+     * @param modulePath - Ruta del módulo ("/ventas").
+     */
+    private async reloadModule(modulePath: string): Promise<void> {
+        const configPath = `${MODULES_DIR}${modulePath}/config.json`;
+
+        if (!(await Tool.statFile(configPath))) {
+            this.lastModuleCheck.delete(modulePath);
+            if (this.moduleCache.delete(modulePath)) {
+                this.logger.info('Module config removed', { module: modulePath });
+                this.emit('module-reloaded', { module: modulePath, config: null });
+            }
+            return;
+        }
+
+        try {
+            const config = await this.readModuleConfig(configPath);
+            this.moduleCache.set(modulePath, config);
+            this.lastModuleCheck.set(modulePath, Date.now());
+            this.logger.info('Module config reloaded', { module: modulePath });
+            this.emit('module-reloaded', { module: modulePath, config });
+        } catch (error) {
+            this.logger.warn('Module config reload failed, keeping last good config', {
+                module: modulePath,
+                configPath,
+                ...this.configErrorFields(error),
+                kept: this.moduleCache.has(modulePath),
+            });
+        }
+    }
+
+    private startModuleWatcher() {
+        if (!this.useModule || this.moduleReload !== 'watch' || this.moduleWatcher) {
+            return;
         }
 
-        return true;
+        const watcher = new ModuleWatcher(MODULES_DIR);
+        watcher.on('change', (modulePath: string) => {
+            this.reloadModule(modulePath).catch((error) => {
+                this.logger.error('Module reload error', { module: modulePath, error });
+            });
+        });
+        watcher.on('error', (error) => {
+            // Sin vigilancia se vuelve al caché por tiempo
+            this.logger.warn('Module watcher stopped, using cache TTL', { detail: error.message });
+            this.stopModuleWatcher();
+        });
+
+        try {
+            watcher.start();
+            this.moduleWatcher = watcher;
+        } catch (error) {
+            this.logger.warn('Cannot watch module configs, using cache TTL', { dir: MODULES_DIR, detail: (error as Error).message });
+        }
+    }
+
+    private stopModuleWatcher() {
+        this.moduleWatcher?.close();
+        this.moduleWatcher = undefined;
     }
 
     private async processRequest(context: RequestContext) {
-        const { req, res, session, moduleInfo } = context;
+        const { req, res, session, store, moduleInfo } = context;
 
         try {
             // Inicializar base de datos
-            const dbInfo = moduleInfo?.db || this.db;
+            const dbInfo = moduleInfo?.db || this.getApp(context)?.db || this.db;
             const db = new DBAdmin();
             db.init(dbInfo);
 
@@ -250,68 +1003,79 @@ export class Server {
             whendy.authorization = new Authorization();
             whendy.authorization.evalHeader(req, res);
 
-            // Configurar Store
-            const store = new Store();
-            store.setSessionAdmin(session);
+            // Asociar base de datos al Store
             store.setDBAdmin(db);
-            await store.start(req, res);
-            
             whendy.store = store;
-            context.store = store;
+
+            // Roles y permisos del usuario, antes de cargar el __app_store enviado por el cliente
+            const access = moduleInfo?.access ?? this.access;
+            const subject = access && (context.claims
+                ? getSubject(context.claims, access, true)
+                : getSubject(session.getData(), access));
 
             // Procesar datos de la aplicación
-            const { appRequest, appStore } = await this.extractAppData(store, session);
+            const { appRequest, appStore } = await this.extractAppData(store, session, context.body, access);
+            this.applyClaims(context);
 
             // Determinar request inicial
-            const finalRequest = this.determineInitialRequest(appRequest, store, moduleInfo);
+            const initialRequest = this.determineInitialRequest(appRequest, context);
+
+            // Control de acceso: los elementos denegados responden con su propio error
+            let finalRequest = initialRequest;
+            let denied: any[] = [];
+            if (access && subject) {
+                const elements = Array.isArray(initialRequest) ? initialRequest : [initialRequest];
+                ({ allowed: finalRequest, denied } = filterRequest(access, subject, elements));
+            }
 
             // Renderizar respuesta
-            const result = await whendy.render(finalRequest);
+            let result = finalRequest.length === 0 ? [] : await whendy.render(finalRequest);
+            if (denied.length > 0) {
+                result = Array.isArray(result) ? [...result, ...denied] : [result, ...denied];
+            }
 
             // Enviar respuesta
-            this.sendSuccess(res, result);
-
-            // Log de éxito
-            if (this.enableLogging) {
-                const duration = Date.now() - context.startTime;
-                console.log(`${req.method} ${req.url} - 200 - ${duration}ms`);
-            }
+            await this.sendSuccess(req, res, result);
 
         } catch (error) {
             throw error; // Re-throw para ser manejado por handleError
         }
     }
 
-    private async extractAppData(store: Store, session: any) {
-        const appStore = store.getReq("__app_store");
-        let appRequest = store.getReq("__app_request");
+    private async extractAppData(store: Store, session: any, body?: ParsedBody, access?: AccessConfig) {
+        // Los campos del cuerpo tienen prioridad sobre el Store
+        const fields = body?.data && typeof body.data === 'object' ? body.data : {};
+        const appStore = fields.__app_store ?? store.getReq("__app_store");
+        let appRequest = fields.__app_request ?? store.getReq("__app_request");
 
         // Parse app request si es string
         if (typeof appRequest === "string") {
             try {
                 appRequest = JSON.parse(appRequest);
             } catch (error) {
-                console.warn('Failed to parse __app_request:', error);
-                appRequest = null;
+                throw new ValidationError('Malformed __app_request', { reason: (error as Error).message });
             }
         }
 
-        // Cargar app store en sesión
+        // Cargar app store en sesión; el cliente no puede cambiar sus roles ni permisos
         if (appStore && typeof appStore === 'object') {
-            session.loadSession(appStore);
+            const protectedKeys = access ? [access.roleKey ?? 'roles', access.permissionKey ?? 'permissions'] : [];
+            mergeSessionData(session, appStore, protectedKeys);
         }
 
         return { appRequest, appStore };
     }
 
-    private determineInitialRequest(appRequest: any, store: Store, moduleInfo?: ModuleConfig) {
+    private determineInitialRequest(appRequest: any, context: RequestContext) {
+        const { store, moduleInfo } = context;
+
         // Si ya hay un request, usarlo
         if (appRequest) {
             return appRequest;
         }
 
         // Buscar en configuración inicial por nombre de aplicación
-        const appName = store.getHeader("Application-Name")?.toString();
+        const appName = context.app ?? store.getHeader("Application-Name")?.toString();
         
         if (appName) {
             // Buscar en init del módulo
@@ -319,12 +1083,22 @@ export class Server {
                 return moduleInfo.init[appName];
             }
             
+            // Init de la aplicación alojada
+            const app = this.getApp(context);
+            if (app?.init) {
+                return app.init;
+            }
+
             // Buscar en init global
             if (this.init?.[appName]) {
                 return this.init[appName];
             }
         }
 
+        if (this.setApp) {
+            return Array.isArray(this.setApp) ? this.setApp : [this.setApp];
+        }
+
         // Request por defecto
         return [{
             api: "system",
@@ -335,10 +1109,13 @@ export class Server {
         }];
     }
 
-    private sendSuccess(res: http.ServerResponse, data: any) {
-        res.writeHead(200, this.header);
-        res.write(typeof data === 'string' ? data : JSON.stringify(data));
-        res.end();
+    private sendSuccess(req: http.IncomingMessage, res: http.ServerResponse, data: any): Promise<void> {
+        // Formato según Accept (JSON, NDJSON o texto) y compresión según Accept-Encoding
+        const { body, contentType } = serialize(data, negotiateFormat(req.headers.accept));
+        appendVary(res, 'Accept');
+
+        const compression = this.compression === true ? {} : this.compression;
+        return sendCompressed(req, res, 200, { ...this.header, 'Content-Type': contentType }, body, compression);
     }
 
     private sendError(res: http.ServerResponse, statusCode: number, message: string, details?: any) {
@@ -350,43 +1127,83 @@ export class Server {
             ...(details && { details })
         };
 
-        res.writeHead(statusCode, this.header);
-        res.write(JSON.stringify(errorResponse));
-        res.end();
+        const body = JSON.stringify(errorResponse);
+        res.writeHead(statusCode, {
+            ...this.header,
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+        });
+        res.end(body);
     }
 
-    private async handleError(error: any, req: http.IncomingMessage, res: http.ServerResponse, startTime: number) {
-        console.error('Request error:', error);
-
-        // Log del error
-        if (this.enableLogging) {
-            const duration = Date.now() - startTime;
-            console.error(`${req.method} ${req.url} - ERROR - ${duration}ms:`, error.message);
-        }
+    private async handleError(error: any, context: RequestContext) {
+        const { res } = context;
 
         // Determinar tipo de error
         let statusCode = 500;
         let message = 'Internal Server Error';
+        let reason: string | undefined;
+        let category = 'internal';
 
         if (error.code === 'ENOENT') {
             statusCode = 404;
             message = 'Resource not found';
+            category = 'not_found';
         } else if (error.code === 'EACCES') {
             statusCode = 403;
             message = 'Access denied';
+            category = 'access_denied';
         } else if (error.name === 'ValidationError') {
             statusCode = 400;
             message = 'Validation error';
-        } else if (error.name === 'AuthenticationError') {
+            category = 'validation';
+        } else if (error.name === 'PayloadTooLargeError') {
+            statusCode = 413;
+            message = 'Payload Too Large';
+            category = 'payload_too_large';
+            // El resto del cuerpo no se lee; se cierra la conexión
+            for (const [key, value] of Object.entries(this.connectionClose(res))) {
+                res.setHeader(key, value);
+            }
+        } else if (error.name === 'UnsupportedMediaTypeError') {
+            statusCode = 415;
+            message = 'Unsupported Media Type';
+            category = 'validation';
+        } else if (error.name === 'RateLimitError') {
+            statusCode = 429;
+            message = 'Too Many Requests';
+            category = 'rate_limited';
+            res.setHeader('Retry-After', String(error.retryAfter));
+        } else if (error.name === 'AuthorizationError') {
+            statusCode = 403;
+            message = 'Forbidden';
+            reason = error.reason;
+            category = 'authorization';
+        } else if (error.name === 'AuthenticationError' || error instanceof JwtError) {
             statusCode = 401;
             message = 'Authentication required';
+            reason = error.reason;
+            category = 'authentication';
+            if (reason) {
+                res.setHeader('WWW-Authenticate', `Bearer error="invalid_token", error_description="${reason}"`);
+            }
+        }
+
+        this.metrics?.errors.inc({ category });
+
+        // Un solo registro por error; los errores del cliente no llevan stack
+        if (statusCode >= 500) {
+            context.logger.error('Request failed', { status: statusCode, error });
+        } else {
+            context.logger.warn('Request rejected', { status: statusCode, type: error.name, detail: error.message, reason });
         }
 
         // Enviar respuesta de error
         if (!res.headersSent) {
             this.sendError(res, statusCode, message, {
                 type: error.name,
-                code: error.code
+                code: error.code,
+                ...(reason && { reason })
             });
         }
     }
@@ -405,28 +1222,69 @@ export class Server {
     }
 
     // Métodos públicos
-    public start(): Promise<void> {
+    public async start(): Promise<void> {
+        // Después de un stop() las sesiones se abren de nuevo
+        if (this.sessionClosed) {
+            this.sessionManager = this.createSessionManager();
+            this.sessionClosed = false;
+        }
+
+        await this.listen(this.server, this.port);
+
+        const redirect = this.tls?.redirect;
+        if (redirect) {
+            const httpsPort = (this.server.address() as AddressInfo).port;
+            this.redirectServer = createRedirectServer(httpsPort);
+            try {
+                await this.listen(this.redirectServer, typeof redirect === 'object' ? redirect.port ?? 80 : 80);
+            } catch (error) {
+                this.redirectServer = undefined;
+                await new Promise((resolve) => this.server.close(resolve));
+                throw error;
+            }
+        }
+
+        this.listenSignals();
+        this.startModuleWatcher();
+        this.logger.info('Server running', {
+            port: this.port,
+            protocol: this.tls ? (this.tls.http2 === false ? 'https' : 'h2') : 'http',
+            redirectPort: (this.redirectServer?.address() as AddressInfo | null)?.port,
+            modules: this.useModule,
+            cors: Boolean(this.cors),
+        });
+    }
+
+    private listen(server: http.Server | SecureServer, port: number): Promise<void> {
         return new Promise((resolve, reject) => {
-            this.server.listen(this.port, (error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    console.log(`🚀 Server running on port ${this.port}`);
-                    console.log(`📁 Module support: ${this.useModule ? 'enabled' : 'disabled'}`);
-                    console.log(`🔧 CORS: ${this.cors ? 'enabled' : 'disabled'}`);
-                    resolve();
-                }
+            const onError = (error: Error) => reject(error);
+            server.once('error', onError);
+            server.listen(port, () => {
+                server.off('error', onError);
+                resolve();
             });
         });
     }
 
+    private closeRedirectServer() {
+        if (this.redirectServer) {
+            this.redirectServer.close();
+            this.redirectServer.closeAllConnections();
+            this.redirectServer = undefined;
+        }
+    }
+
+    /**
+     * Apaga el servidor de forma ordenada: deja de aceptar conexiones, espera las
+     * solicitudes en curso hasta shutdown.timeout, cierra las conexiones keep-alive,
+     * ejecuta los hooks de onShutdown y cierra el almacenamiento de sesiones.
+     * Llamadas repetidas devuelven la misma promesa.
+     */
     public stop(): Promise<void> {
-        return new Promise((resolve) => {
-            this.server.close(() => {
-                console.log('Server stopped');
-                resolve();
-            });
+        this.stopping ??= this.drain().finally(() => {
+            this.stopping = undefined;
         });
+        return this.stopping;
     }
 
     public async restart(): Promise<void> {
@@ -434,6 +1292,103 @@ export class Server {
         await this.start();
     }
 
+    /**
+     * Registra una función que se ejecuta al apagar el servidor, después de
+     * terminar las solicitudes en curso. Los hooks se ejecutan en orden de registro.
+     */
+    public onShutdown(hook: ShutdownHook): this {
+        this.shutdownHooks.push(hook);
+        return this;
+    }
+
+    private async drain(): Promise<void> {
+        const timeout = this.shutdown.timeout ?? 10000;
+        this.unlistenSignals?.();
+        this.unlistenSignals = undefined;
+        this.stopModuleWatcher();
+        this.closeRedirectServer();
+        this.logger.info('Server shutting down', { inFlight: this.drainer.inFlight, timeout });
+
+        await this.drainer.drain(this.server, { timeout, connections: this.connections, logger: this.logger });
+        await runShutdownHooks(this.shutdownHooks, this.logger);
+
+        await this.sessionManager.shutdown();
+        for (const manager of this.appSessions.values()) {
+            await manager.shutdown();
+        }
+        // Los managers de las aplicaciones se crean de nuevo al recibir solicitudes
+        this.appSessions.clear();
+        this.sessionClosed = true;
+        this.logger.info('Server stopped');
+    }
+
+    private listenSignals() {
+        if (this.unlistenSignals) {
+            return;
+        }
+
+        this.unlistenSignals = listenSignals(this.shutdown.signals, (signal) => {
+            this.logger.info('Shutdown signal received', { signal });
+            this.stop().then(
+                () => process.exit(0),
+                (error) => {
+                    this.logger.error('Shutdown failed', { error });
+                    process.exit(1);
+                },
+            );
+        });
+    }
+
+    // Rutas
+    public route(method: string, pattern: string, handler: RouteHandler<RequestContext>): this {
+        this.router.add(method, pattern, handler);
+        return this;
+    }
+
+    /**
+     * Sirve los archivos de un directorio en una ruta.
+     * @param mountPath - Ruta del montaje (p. ej. "/assets").
+     * @param options - Directorio y opciones de caché.
+     */
+    public serveStatic(mountPath: string, options: StaticOptions): this {
+        this.static.push({ ...options, path: mountPath });
+        return this;
+    }
+
+    public get(pattern: string, handler: RouteHandler<RequestContext>): this {
+        return this.route('GET', pattern, handler);
+    }
+
+    public post(pattern: string, handler: RouteHandler<RequestContext>): this {
+        return this.route('POST', pattern, handler);
+    }
+
+    public put(pattern: string, handler: RouteHandler<RequestContext>): this {
+        return this.route('PUT', pattern, handler);
+    }
+
+    public delete(pattern: string, handler: RouteHandler<RequestContext>): this {
+        return this.route('DELETE', pattern, handler);
+    }
+
+    public patch(pattern: string, handler: RouteHandler<RequestContext>): this {
+        return this.route('PATCH', pattern, handler);
+    }
+
+    // Middleware
+    public use(middleware: Middleware<RequestContext>): this {
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    public registerMiddleware(name: string, middleware: Middleware<RequestContext>): this {
+        if (this.namedMiddleware.has(name)) {
+            throw new Error(`Middleware "${name}" already exists`);
+        }
+        this.namedMiddleware.set(name, middleware);
+        return this;
+    }
+
     // Métodos de configuración
     public addConstant(key: string, value: any): void {
         this.constants[key] = value;
@@ -443,14 +1398,37 @@ export class Server {
         this.header[key] = value;
     }
 
-    public addApp(name: string, config: InfoElement): void {
+    public addApp(name: string, config: AppConfig): void {
         this.apps[name] = config;
+        // La configuración de sesión pudo cambiar
+        this.appSessions.delete(name);
+    }
+
+    /**
+     * Renueva el ID de la sesión de la solicitud (por ejemplo, después de iniciar sesión).
+     * @param context - Contexto de la solicitud; su sesión se reemplaza.
+     */
+    public async regenerateSession(context: RequestContext): Promise<void> {
+        // Las sesiones Bearer no tienen cookie que renovar
+        if (context.auth !== 'cookie') {
+            return;
+        }
+        context.session = await this.getSessionManager(context.app).regenerate(context.req, context.res, context.session);
+        context.store?.setSessionAdmin(context.session);
+    }
+
+    /**
+     * Servicio de tokens con el que se verifican los Bearer. Usarlo para emitir, renovar
+     * y revocar tokens (logout, revokeAll).
+     */
+    public get tokenService(): TokenService | undefined {
+        return this.tokens;
     }
 
     public clearModuleCache(): void {
         this.moduleCache.clear();
         this.lastModuleCheck.clear();
-        console.log('Module cache cleared');
+        this.logger.info('Module cache cleared');
     }
 
     // Getters
@@ -0,0 +1,139 @@
+import * as http from "http";
+import { ConnectionTracker, isHttp2Response, SecureServer } from "./Tls";
+import { Logger, silentLogger } from "./Logger";
+
+// Apagado ordenado
+export interface ShutdownOptions {
+    // Tiempo máximo de espera de las solicitudes en curso, en milisegundos (por omisión 10000)
+    timeout?: number;
+    // Señales que inician el apagado; true equivale a SIGTERM y SIGINT
+    signals?: boolean | NodeJS.Signals[];
+}
+
+// Función que libera recursos al apagar el servidor (pools de DB, temporizadores...)
+export type ShutdownHook = () => void | Promise<void>;
+
+export interface DrainOptions {
+    // Tiempo máximo de espera en milisegundos
+    timeout: number;
+    // Conexiones de un servidor HTTP/2, que no tiene closeIdleConnections()
+    connections?: ConnectionTracker;
+    logger?: Logger;
+}
+
+/**
+ * Seguimiento de las solicitudes en curso y cierre ordenado de las conexiones de un servidor.
+ */
+export class Drainer {
+    private active: Set<http.ServerResponse> = new Set();
+    private draining = false;
+
+    // Solicitudes en curso
+    get inFlight(): number {
+        return this.active.size;
+    }
+
+    get isDraining(): boolean {
+        return this.draining;
+    }
+
+    /**
+     * Registra una solicitud hasta que su respuesta se cierra. Durante el apagado responde
+     * 503 a las solicitudes nuevas de conexiones keep-alive.
+     * @returns false si la solicitud fue rechazada.
+     */
+    track(res: http.ServerResponse): boolean {
+        if (this.draining) {
+            res.writeHead(503, { ...(isHttp2Response(res) ? {} : { "Connection": "close" }), "Retry-After": "5" });
+            res.end();
+            return false;
+        }
+
+        this.active.add(res);
+        res.once("close", () => this.active.delete(res));
+        return true;
+    }
+
+    /**
+     * Deja de aceptar conexiones, cierra las inactivas y espera las solicitudes en curso.
+     * Vencido el plazo se cierran todas las conexiones.
+     * @param server - Servidor HTTP o HTTPS.
+     * @param options - Plazo, conexiones HTTP/2 y logger.
+     * @returns false si hubo que cerrar conexiones con solicitudes en curso.
+     */
+    async drain(server: http.Server | SecureServer, options: DrainOptions): Promise<boolean> {
+        const { timeout, connections, logger = silentLogger } = options;
+        this.draining = true;
+
+        // El callback llega cuando se cierran todas las conexiones
+        const closed = new Promise<void>((resolve) => {
+            server.close(() => resolve());
+        });
+
+        // Las respuestas en curso cierran su conexión al terminar
+        for (const res of this.active) {
+            if (!res.headersSent && !isHttp2Response(res)) {
+                res.setHeader("Connection", "close");
+            }
+        }
+        if (connections) {
+            connections.closeIdle(new Set([...this.active].map((res) => res.socket)));
+        } else {
+            (server as http.Server).closeIdleConnections();
+        }
+
+        let timer: NodeJS.Timeout | undefined;
+        const deadline = new Promise<boolean>((resolve) => {
+            timer = setTimeout(() => resolve(false), timeout);
+        });
+
+        try {
+            const drained = await Promise.race([closed.then(() => true), deadline]);
+            if (!drained) {
+                logger.warn("Shutdown deadline reached, closing connections", { inFlight: this.active.size });
+                if (connections) {
+                    connections.closeAll();
+                } else {
+                    (server as http.Server).closeAllConnections();
+                }
+                await closed;
+            }
+            return drained;
+        } finally {
+            clearTimeout(timer);
+            this.draining = false;
+        }
+    }
+}
+
+/**
+ * Ejecuta los hooks de apagado en orden de registro. Un hook que falla se registra en el
+ * log y no impide ejecutar los siguientes.
+ */
+export async function runShutdownHooks(hooks: ShutdownHook[], logger: Logger = silentLogger): Promise<void> {
+    for (const hook of hooks) {
+        try {
+            await hook();
+        } catch (error) {
+            logger.error("Shutdown hook failed", { error });
+        }
+    }
+}
+
+/**
+ * Escucha las señales que inician el apagado; cada señal se atiende una sola vez.
+ * @param signals - Señales; true equivale a SIGTERM y SIGINT, false no escucha ninguna.
+ * @param handler - Función que recibe la señal.
+ * @returns Función que deja de escuchar las señales.
+ */
+export function listenSignals(signals: boolean | NodeJS.Signals[] | undefined, handler: (signal: NodeJS.Signals) => void): () => void {
+    const list: NodeJS.Signals[] = signals === true ? ["SIGTERM", "SIGINT"] : signals || [];
+    for (const signal of list) {
+        process.once(signal, handler);
+    }
+    return () => {
+        for (const signal of list) {
+            process.off(signal, handler);
+        }
+    };
+}
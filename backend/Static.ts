@@ -0,0 +1,323 @@
+import * as path from "path";
+import { pipeline } from "stream";
+import { IncomingMessage, ServerResponse } from "node:http";
+import { Stats } from "fs";
+import * as Tool from "./Tool";
+import { parseQuality } from "./Negotiation";
+
+export interface StaticOptions {
+    // Directorio con los archivos
+    root: string;
+    // Archivo que se sirve al pedir un directorio (por omisión "index.html")
+    index?: string | false;
+    // Archivo que se sirve cuando la ruta no existe (SPA), relativo a root
+    fallback?: string;
+    // Cache-Control max-age en segundos (por omisión 0)
+    maxAge?: number;
+    immutable?: boolean;
+    // Servir variantes .br/.gz precomprimidas si existen (por omisión true)
+    precompressed?: boolean;
+    // Tipos MIME adicionales por extensión (".ext": "tipo")
+    mime?: { [ext: string]: string };
+}
+
+// Montaje de un directorio en una ruta del servidor
+export interface StaticMount extends StaticOptions {
+    path: string;
+}
+
+export const MIME_TYPES: { [ext: string]: string } = {
+    ".html": "text/html; charset=utf-8",
+    ".htm": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".map": "application/json; charset=utf-8",
+    ".txt": "text/plain; charset=utf-8",
+    ".xml": "application/xml; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".ico": "image/x-icon",
+    ".woff": "font/woff",
+    ".woff2": "font/woff2",
+    ".ttf": "font/ttf",
+    ".otf": "font/otf",
+    ".wasm": "application/wasm",
+    ".pdf": "application/pdf",
+    ".mp4": "video/mp4",
+    ".webm": "video/webm",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+};
+
+// Variantes precomprimidas en orden de preferencia
+const ENCODINGS: { name: string; ext: string }[] = [
+    { name: "br", ext: ".br" },
+    { name: "gzip", ext: ".gz" },
+];
+
+/**
+ * Obtiene el tipo MIME de un archivo por su extensión.
+ * @param filePath - Ruta del archivo.
+ * @param extra - Tipos adicionales.
+ */
+export function mimeType(filePath: string, extra: { [ext: string]: string } = {}): string {
+    const ext = path.extname(filePath).toLowerCase();
+    return extra[ext] ?? MIME_TYPES[ext] ?? "application/octet-stream";
+}
+
+/**
+ * Convierte la ruta de la URL en una ruta dentro de root.
+ * @returns Ruta absoluta, o null si sale de root, contiene bytes nulos o segmentos ocultos.
+ */
+export function resolveSafePath(root: string, urlPath: string): string | null {
+    let decoded: string;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch {
+        return null;
+    }
+
+    if (decoded.includes("\0")) {
+        return null;
+    }
+
+    // Segmentos "..", y archivos ocultos como .env o .git
+    const segments = decoded.split(/[\\/]+/).filter(Boolean);
+    if (segments.some((segment) => segment.startsWith("."))) {
+        return null;
+    }
+
+    const base = path.resolve(root);
+    const file = path.resolve(base, ...segments);
+    if (file !== base && !file.startsWith(base + path.sep)) {
+        return null;
+    }
+    return file;
+}
+
+/**
+ * Parsea un encabezado Range de un solo rango.
+ * @param header - Valor del encabezado.
+ * @param size - Tamaño del archivo.
+ * @returns Rango inclusivo, "unsatisfiable" si no se puede servir, o null si se ignora.
+ */
+export function parseRange(header: string, size: number): { start: number; end: number } | "unsatisfiable" | null {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    // Varios rangos o unidades desconocidas: se responde el archivo completo
+    if (!match || (match[1] === "" && match[2] === "")) {
+        return null;
+    }
+
+    let start: number;
+    let end: number;
+
+    if (match[1] === "") {
+        // Sufijo: últimos N bytes
+        const length = Number(match[2]);
+        if (length === 0) return "unsatisfiable";
+        start = Math.max(0, size - length);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return "unsatisfiable";
+    }
+    return { start, end };
+}
+
+function etagFor(stats: Stats, encoding?: string): string {
+    const suffix = encoding ? `-${encoding}` : "";
+    return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${suffix}"`;
+}
+
+/**
+ * Compara los encabezados condicionales con el archivo.
+ * @returns true si el cliente tiene la versión vigente (304).
+ */
+function isFresh(req: IncomingMessage, etag: string, stats: Stats): boolean {
+    const noneMatch = req.headers["if-none-match"];
+    if (noneMatch) {
+        const tags = noneMatch.split(",").map((tag) => tag.trim().replace(/^W\//, ""));
+        return tags.includes("*") || tags.includes(etag.replace(/^W\//, ""));
+    }
+
+    const modifiedSince = req.headers["if-modified-since"];
+    if (modifiedSince) {
+        const since = Date.parse(modifiedSince);
+        return !Number.isNaN(since) && Math.floor(stats.mtimeMs / 1000) * 1000 <= since;
+    }
+    return false;
+}
+
+/**
+ * Indica si el encabezado If-Range permite aplicar el Range.
+ */
+function rangeApplies(req: IncomingMessage, etag: string, stats: Stats): boolean {
+    const ifRange = req.headers["if-range"] as string | undefined;
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+        return ifRange === etag;
+    }
+    return Math.floor(stats.mtimeMs / 1000) * 1000 <= Date.parse(ifRange);
+}
+
+/**
+ * Codificaciones aceptadas por el cliente (q > 0).
+ */
+function acceptedEncodings(req: IncomingMessage): Set<string> {
+    return new Set(parseQuality(req.headers["accept-encoding"]).filter((item) => item.q > 0).map((item) => item.value));
+}
+
+/**
+ * Busca el archivo a servir: el archivo, el índice del directorio o el fallback SPA.
+ */
+async function findFile(req: IncomingMessage, options: StaticOptions, file: string): Promise<{ file: string; stats: Stats; fallback: boolean } | null> {
+    const stats = await Tool.statFile(file);
+    if (stats) {
+        return { file, stats, fallback: false };
+    }
+
+    const index = options.index ?? "index.html";
+    if (index) {
+        const indexFile = path.join(file, index);
+        const indexStats = await Tool.statFile(indexFile);
+        if (indexStats) {
+            return { file: indexFile, stats: indexStats, fallback: false };
+        }
+    }
+
+    // El fallback sólo aplica a navegación (rutas sin extensión o que aceptan HTML)
+    const wantsHtml = String(req.headers.accept || "").includes("text/html") || path.extname(file) === "";
+    if (options.fallback && wantsHtml) {
+        const fallbackFile = path.resolve(options.root, options.fallback);
+        const fallbackStats = await Tool.statFile(fallbackFile);
+        if (fallbackStats) {
+            return { file: fallbackFile, stats: fallbackStats, fallback: true };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Sirve un archivo estático de un montaje.
+ * @param req - Solicitud HTTP (GET o HEAD).
+ * @param res - Respuesta HTTP.
+ * @param mount - Montaje (ruta y opciones).
+ * @param pathname - Ruta de la URL, sin query.
+ * @returns true si la solicitud fue respondida; false si no corresponde al montaje o el archivo no existe.
+ */
+export async function serveStatic(req: IncomingMessage, res: ServerResponse, mount: StaticMount, pathname: string): Promise<boolean> {
+    const method = (req.method || "GET").toUpperCase();
+    if (method !== "GET" && method !== "HEAD") {
+        return false;
+    }
+
+    const prefix = mount.path.replace(/\/+$/, "");
+    if (pathname !== prefix && !pathname.startsWith(prefix + "/")) {
+        return false;
+    }
+
+    const target = resolveSafePath(mount.root, pathname.slice(prefix.length) || "/");
+    if (!target) {
+        res.writeHead(403, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Forbidden");
+        return true;
+    }
+
+    const found = await findFile(req, mount, target);
+    if (!found) {
+        return false;
+    }
+
+    let { file, stats } = found;
+    const contentType = mimeType(file, mount.mime);
+    const headers: { [key: string]: string | number } = {
+        "Content-Type": contentType,
+        "Accept-Ranges": "bytes",
+        "Last-Modified": stats.mtime.toUTCString(),
+    };
+
+    // El fallback SPA siempre se revalida
+    const maxAge = found.fallback ? 0 : mount.maxAge ?? 0;
+    headers["Cache-Control"] = maxAge > 0
+        ? `public, max-age=${maxAge}${mount.immutable ? ", immutable" : ""}`
+        : "no-cache";
+
+    // Variante precomprimida; con Range se sirve el archivo original
+    let encoding: string | undefined;
+    if (mount.precompressed !== false) {
+        headers["Vary"] = "Accept-Encoding";
+        if (!req.headers.range) {
+            const accepted = acceptedEncodings(req);
+            for (const variant of ENCODINGS) {
+                if (!accepted.has(variant.name)) continue;
+                const variantStats = await Tool.statFile(file + variant.ext);
+                if (variantStats) {
+                    file += variant.ext;
+                    stats = variantStats;
+                    encoding = variant.name;
+                    headers["Content-Encoding"] = variant.name;
+                    break;
+                }
+            }
+        }
+    }
+
+    const etag = etagFor(stats, encoding);
+    headers["ETag"] = etag;
+
+    if (isFresh(req, etag, stats)) {
+        delete headers["Content-Type"];
+        delete headers["Content-Encoding"];
+        res.writeHead(304, headers);
+        res.end();
+        return true;
+    }
+
+    let status = 200;
+    let range: { start: number; end: number } | undefined;
+
+    if (req.headers.range && rangeApplies(req, etag, stats)) {
+        const parsed = parseRange(req.headers.range, stats.size);
+        if (parsed === "unsatisfiable") {
+            res.writeHead(416, { "Content-Range": `bytes */${stats.size}` });
+            res.end();
+            return true;
+        }
+        if (parsed) {
+            status = 206;
+            range = parsed;
+            headers["Content-Range"] = `bytes ${parsed.start}-${parsed.end}/${stats.size}`;
+        }
+    }
+
+    headers["Content-Length"] = range ? range.end - range.start + 1 : stats.size;
+    res.writeHead(status, headers);
+
+    if (method === "HEAD" || stats.size === 0) {
+        res.end();
+        return true;
+    }
+
+    await new Promise<void>((resolve) => {
+        pipeline(Tool.createFileStream(file, range ?? {}), res, (error) => {
+            // Errores de lectura o cliente desconectado: la respuesta ya empezó y sólo se cierra
+            if (error) res.destroy();
+            resolve();
+        });
+    });
+    return true;
+}
@@ -0,0 +1,153 @@
+import * as http from "http";
+import * as https from "https";
+import * as http2 from "http2";
+import * as tls from "tls";
+import { Socket } from "net";
+import { loadFileSync } from "./Tool";
+import { hostName, matchHost } from "./Apps";
+
+// Rutas de los archivos PEM de un certificado
+export interface TlsCredentials {
+    key: string;
+    cert: string;
+    // Certificados de la CA intermedia o de clientes
+    ca?: string | string[];
+    passphrase?: string;
+}
+
+export interface TlsOptions extends TlsCredentials {
+    // Certificado por host para SNI; "*.ejemplo.com" acepta cualquier subdominio
+    sni?: { [host: string]: TlsCredentials };
+    // HTTP/2 con HTTP/1.1 para clientes sin ALPN h2 (por omisión true); false usa sólo https
+    http2?: boolean;
+    // Servidor HTTP que redirige a HTTPS; true escucha en el puerto 80
+    redirect?: boolean | { port?: number };
+    minVersion?: tls.SecureVersion;
+}
+
+export type RequestListener = (req: http.IncomingMessage, res: http.ServerResponse) => void;
+
+export type SecureServer = https.Server | http2.Http2SecureServer;
+
+/**
+ * Lee los archivos PEM de un certificado.
+ * @throws Error si algún archivo no puede leerse.
+ */
+export function loadCredentials(credentials: TlsCredentials): tls.SecureContextOptions {
+    const ca = credentials.ca === undefined ? undefined : ([] as string[]).concat(credentials.ca);
+    return {
+        key: loadFileSync(credentials.key),
+        cert: loadFileSync(credentials.cert),
+        ca: ca?.map((file) => loadFileSync(file)),
+        passphrase: credentials.passphrase,
+    };
+}
+
+/**
+ * Crea el callback SNI: elige el certificado según el nombre que envía el cliente.
+ * Los hosts exactos tienen prioridad sobre los comodines; sin coincidencia se usa el
+ * certificado principal.
+ */
+export function createSniCallback(sni: { [host: string]: TlsCredentials }): (servername: string, callback: (error: Error | null, context?: tls.SecureContext) => void) => void {
+    // Los contextos se crean al iniciar para detectar archivos inválidos antes de escuchar
+    const contexts = Object.entries(sni)
+        .map(([host, credentials]) => ({ host, context: tls.createSecureContext(loadCredentials(credentials)) }))
+        .sort((a, b) => Number(a.host.startsWith("*.")) - Number(b.host.startsWith("*.")));
+
+    return (servername, callback) => {
+        const name = servername.toLowerCase();
+        callback(null, contexts.find(({ host }) => matchHost(host, name))?.context);
+    };
+}
+
+/**
+ * Crea el servidor HTTPS. Por omisión es HTTP/2 y acepta HTTP/1.1 en el mismo puerto.
+ * @param options - Certificados y opciones TLS.
+ * @param listener - Manejador de solicitudes; con HTTP/2 recibe la API de compatibilidad.
+ * @throws Error si los certificados no pueden leerse.
+ */
+export function createSecureServer(options: TlsOptions, listener: RequestListener): SecureServer {
+    const secure: tls.TlsOptions = {
+        ...loadCredentials(options),
+        minVersion: options.minVersion ?? "TLSv1.2",
+        SNICallback: options.sni ? createSniCallback(options.sni) : undefined,
+    };
+
+    if (options.http2 === false) {
+        return https.createServer(secure, listener);
+    }
+    return http2.createSecureServer({ ...secure, allowHTTP1: true }, listener as any);
+}
+
+/**
+ * Crea el servidor HTTP que redirige (308) a HTTPS conservando host, ruta y query.
+ * Un Host inválido recibe 400 para no redirigir a destinos arbitrarios.
+ * @param httpsPort - Puerto del servidor HTTPS.
+ */
+export function createRedirectServer(httpsPort: number): http.Server {
+    return http.createServer((req, res) => {
+        const host = hostName(req);
+        if (!host || !/^([a-z0-9-]+\.)*[a-z0-9-]+$|^\[[0-9a-f:.]+\]$/.test(host)) {
+            res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end("Bad Request");
+            return;
+        }
+
+        const port = httpsPort === 443 ? "" : `:${httpsPort}`;
+        const location = `https://${host}${port}${req.url?.startsWith("/") ? req.url : "/"}`;
+        res.writeHead(308, { "Location": location, "Content-Length": 0 });
+        res.end();
+    });
+}
+
+/**
+ * Indica si la respuesta es de HTTP/2, que no admite el encabezado Connection.
+ */
+export function isHttp2Response(res: http.ServerResponse): boolean {
+    return "stream" in res;
+}
+
+/**
+ * Seguimiento de las conexiones de un servidor HTTP/2, que no tiene
+ * closeIdleConnections() ni closeAllConnections().
+ */
+export class ConnectionTracker {
+    private sockets: Set<Socket> = new Set();
+    private sessions: Set<http2.ServerHttp2Session> = new Set();
+
+    constructor(server: http2.Http2SecureServer) {
+        server.on("secureConnection", (socket: tls.TLSSocket) => {
+            // Las conexiones HTTP/2 se cierran a través de su sesión
+            if (socket.alpnProtocol === "h2") return;
+            this.sockets.add(socket);
+            socket.once("close", () => this.sockets.delete(socket));
+        });
+        server.on("session", (session: http2.ServerHttp2Session) => {
+            this.sessions.add(session);
+            session.once("close", () => this.sessions.delete(session));
+        });
+    }
+
+    /**
+     * Cierra las conexiones sin solicitudes en curso. Las sesiones HTTP/2 reciben GOAWAY
+     * y terminan sus streams abiertos.
+     * @param busy - Sockets HTTP/1.1 con una respuesta en curso.
+     */
+    closeIdle(busy: Set<Socket | null>): void {
+        for (const session of this.sessions) {
+            session.close();
+        }
+        for (const socket of this.sockets) {
+            if (!busy.has(socket)) socket.destroy();
+        }
+    }
+
+    closeAll(): void {
+        for (const session of this.sessions) {
+            session.destroy();
+        }
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+    }
+}
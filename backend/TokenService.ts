@@ -0,0 +1,161 @@
+import { randomBytes } from "node:crypto";
+import { JWT, JwtError, JwtOptions, JwtPayload, ClaimMismatchError } from "./JWT";
+import { ITokenStore, createStore } from "./TokenStore";
+
+export interface TokenServiceOptions {
+    jwt: JwtOptions; // claves y claims comunes de los tokens
+    accessTTL?: number; // duración del access token en segundos
+    refreshTTL?: number; // duración del refresh token en segundos
+    store?: string; // nombre del almacén de revocaciones registrado
+    storeOptions?: any;
+}
+
+// Par de tokens emitido al iniciar sesión o al renovar
+export interface TokenPair {
+    accessToken: string;
+    refreshToken: string;
+    expiresIn: number;
+    refreshExpiresIn: number;
+}
+
+/**
+ * El token fue revocado, o su familia fue cerrada por logout o por reuso.
+ */
+export class TokenRevokedError extends JwtError {
+    constructor(message: string = "Token revocado", reason: string = "token_revoked") {
+        super(message, reason);
+        this.name = "TokenRevokedError";
+    }
+}
+
+function tokenId(): string {
+    return randomBytes(16).toString("base64url");
+}
+
+/**
+ * Servicio de tokens sobre JWT: emite pares access/refresh, rota el refresh token
+ * en cada uso y revoca la familia completa si un refresh token se reutiliza.
+ */
+export class TokenService {
+    private access: JWT;
+    private refreshJwt: JWT;
+    private accessTTL: number;
+    private refreshTTL: number;
+    private store: ITokenStore;
+
+    constructor(options: TokenServiceOptions) {
+        this.accessTTL = options.accessTTL ?? 900;
+        this.refreshTTL = options.refreshTTL ?? 30 * 24 * 3600;
+        this.access = new JWT({ ...options.jwt, expiresIn: this.accessTTL });
+        this.refreshJwt = new JWT({ ...options.jwt, expiresIn: this.refreshTTL });
+        this.store = createStore(options.store ?? "memory", options.storeOptions);
+    }
+
+    /**
+     * Emite un par de tokens para una nueva sesión (nueva familia).
+     * @param subject - Identificador del usuario (claim "sub").
+     * @param claims - Claims adicionales del access token.
+     * @returns Par de tokens.
+     */
+    async issue(subject: string, claims: JwtPayload = {}): Promise<TokenPair> {
+        return this.issueInFamily(tokenId(), subject, claims);
+    }
+
+    /**
+     * Renueva un par de tokens a partir de un refresh token. El refresh token usado
+     * queda revocado; si se vuelve a presentar se revoca toda su familia.
+     * @param refreshToken - Refresh token vigente.
+     * @returns Nuevo par de tokens.
+     * @throws JwtError si el token no es válido, TokenRevokedError si fue revocado o reutilizado.
+     */
+    async refresh(refreshToken: string): Promise<TokenPair> {
+        const payload = this.refreshJwt.verifyOrThrow(refreshToken, { requiredClaims: ["sub", "jti", "fam"] });
+        if (payload.typ !== "refresh") {
+            throw new ClaimMismatchError("typ", "Se esperaba un refresh token");
+        }
+
+        const family = await this.store.getFamily(payload.fam);
+        if (!family) {
+            throw new TokenRevokedError();
+        }
+
+        // Un refresh token que no es el vigente ya fue usado: posible robo
+        if (family.current !== payload.jti || await this.store.isRevoked(payload.jti)) {
+            await this.store.deleteFamily(payload.fam);
+            throw new TokenRevokedError("Refresh token reutilizado", "refresh_token_reused");
+        }
+
+        await this.store.revoke(payload.jti, (payload.exp ?? 0) * 1000);
+        return this.issueInFamily(payload.fam, payload.sub, payload.clm ?? {});
+    }
+
+    /**
+     * Verifica un access token, incluyendo su revocación.
+     * @param accessToken - Access token.
+     * @returns Payload del token.
+     * @throws JwtError si el token no es válido, TokenRevokedError si fue revocado.
+     */
+    async verify(accessToken: string): Promise<JwtPayload> {
+        const payload = this.access.verifyOrThrow(accessToken, { requiredClaims: ["sub", "jti", "fam"] });
+        if (payload.typ !== "access") {
+            throw new ClaimMismatchError("typ", "Se esperaba un access token");
+        }
+
+        if (await this.store.isRevoked(payload.jti!) || !(await this.store.getFamily(payload.fam))) {
+            throw new TokenRevokedError();
+        }
+        return payload;
+    }
+
+    /**
+     * Cierra la sesión de un token (logout): revoca el token y su familia.
+     * @param token - Access o refresh token.
+     */
+    async revoke(token: string): Promise<void> {
+        const payload = this.refreshJwt.verifyOrThrow(token, { requiredClaims: ["jti", "fam"] });
+        await this.store.revoke(payload.jti!, (payload.exp ?? 0) * 1000);
+        await this.store.deleteFamily(payload.fam);
+    }
+
+    /**
+     * Cierra todas las sesiones de un usuario ("cerrar sesión en todos los dispositivos").
+     * @param subject - Identificador del usuario.
+     * @returns Cantidad de sesiones cerradas.
+     */
+    async revokeAll(subject: string): Promise<number> {
+        return this.store.deleteSubject(subject);
+    }
+
+    private async issueInFamily(family: string, subject: string, claims: JwtPayload): Promise<TokenPair> {
+        const refreshJti = tokenId();
+
+        const accessToken = this.access.generate({
+            ...claims,
+            sub: subject,
+            jti: tokenId(),
+            fam: family,
+            typ: "access",
+        });
+
+        const refreshToken = this.refreshJwt.generate({
+            sub: subject,
+            jti: refreshJti,
+            fam: family,
+            typ: "refresh",
+            clm: claims,
+        });
+
+        await this.store.saveFamily(family, {
+            subject,
+            current: refreshJti,
+            expiresAt: Date.now() + this.refreshTTL * 1000,
+        });
+
+        return {
+            accessToken,
+            refreshToken,
+            expiresIn: this.accessTTL,
+            refreshExpiresIn: this.refreshTTL,
+        };
+    }
+}
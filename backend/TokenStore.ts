@@ -0,0 +1,119 @@
+// Familia de refresh tokens: todos los tokens que nacen de un mismo inicio de sesión
+export interface FamilyRecord {
+  subject: string;
+  // JTI del refresh token vigente; los anteriores ya fueron usados
+  current: string;
+  // Fecha de expiración en milisegundos
+  expiresAt: number;
+}
+
+// Interfaz para un almacén de revocaciones; los métodos pueden ser síncronos o asíncronos
+export interface ITokenStore {
+  getFamily(family: string): FamilyRecord | undefined | Promise<FamilyRecord | undefined>;
+  saveFamily(family: string, record: FamilyRecord): void | Promise<void>;
+  deleteFamily(family: string): void | Promise<void>;
+  deleteSubject(subject: string): number | Promise<number>;
+  revoke(jti: string, expiresAt: number): void | Promise<void>;
+  isRevoked(jti: string): boolean | Promise<boolean>;
+}
+
+export type TokenStoreClass = new (options?: any) => ITokenStore;
+
+// Registro de almacenes
+const stores: Record<string, TokenStoreClass> = {};
+
+/**
+ * Registra un almacén de revocaciones.
+ * @param name - Nombre del almacén.
+ * @param store - Constructor del almacén (implementa ITokenStore).
+ * @throws Error si el almacén ya está registrado.
+ */
+export function register(name: string, store: TokenStoreClass): void {
+  if (stores[name]) {
+    throw new Error(`Token store "${name}" already exists`);
+  }
+  stores[name] = store;
+}
+
+/**
+ * Indica si un almacén de revocaciones está registrado.
+ * @param name - Nombre del almacén.
+ */
+export function isRegistered(name: string): boolean {
+  return name in stores;
+}
+
+/**
+ * Crea una instancia de un almacén registrado.
+ * @param name - Nombre del almacén.
+ * @param options - Opciones del almacén.
+ * @throws Error si el almacén no está registrado.
+ */
+export function createStore(name: string, options?: any): ITokenStore {
+  const StoreClass = stores[name];
+  if (!StoreClass) {
+    throw new Error(`Token store "${name}" not registered`);
+  }
+  return new StoreClass(options);
+}
+
+/**
+ * Almacén de revocaciones en memoria. Las entradas se eliminan al expirar.
+ */
+export class MemoryTokenStore implements ITokenStore {
+  private families: Map<string, FamilyRecord> = new Map();
+  private revoked: Map<string, number> = new Map();
+
+  getFamily(family: string): FamilyRecord | undefined {
+    const record = this.families.get(family);
+    if (record && record.expiresAt <= Date.now()) {
+      this.families.delete(family);
+      return undefined;
+    }
+    return record;
+  }
+
+  saveFamily(family: string, record: FamilyRecord): void {
+    this.families.set(family, { ...record });
+  }
+
+  deleteFamily(family: string): void {
+    this.families.delete(family);
+  }
+
+  deleteSubject(subject: string): number {
+    let count = 0;
+    for (const [family, record] of this.families) {
+      if (record.subject === subject) {
+        this.families.delete(family);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  revoke(jti: string, expiresAt: number): void {
+    this.gc();
+    this.revoked.set(jti, expiresAt);
+  }
+
+  isRevoked(jti: string): boolean {
+    const expiresAt = this.revoked.get(jti);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Elimina las revocaciones y familias que ya expiraron.
+   */
+  gc(): void {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this.revoked) {
+      if (expiresAt <= now) this.revoked.delete(jti);
+    }
+    for (const [family, record] of this.families) {
+      if (record.expiresAt <= now) this.families.delete(family);
+    }
+  }
+}
+
+register("memory", MemoryTokenStore);
@@ -1,5 +1,6 @@
 import * as fs from 'fs';
 import { promisify } from 'util';
+import { ConfigValidationError, JsonSchema, validate } from './Schema';
 
 const readFileAsync = promisify(fs.readFile);
 
@@ -81,6 +82,53 @@ export function loadFileSync(filePath: string, options: FileLoadOptions = {}): a
     }
 }
 
-// Funciones de conveniencia
-export const loadJsonFile = (filePath: string) => loadFile(filePath, { mode: LoadMode.JSON });
-export const loadJsonFileSync = (filePath: string) => loadFileSync(filePath, { mode: LoadMode.JSON });
\ No newline at end of file
+/**
+ * Valida el contenido de un archivo JSON contra un esquema
+ * @throws {ConfigValidationError} Con todas las violaciones y su JSON Pointer
+ */
+function checkSchema(filePath: string, data: any, schema?: JsonSchema): any {
+    if (schema) {
+        const violations = validate(schema, data);
+        if (violations.length > 0) {
+            throw new ConfigValidationError(filePath, violations);
+        }
+    }
+    return data;
+}
+
+// Funciones de conveniencia; con un esquema el contenido se valida después de parsearlo
+export const loadJsonFile = async (filePath: string, schema?: JsonSchema) =>
+    checkSchema(filePath, await loadFile(filePath, { mode: LoadMode.JSON }), schema);
+export const loadJsonFileSync = (filePath: string, schema?: JsonSchema) =>
+    checkSchema(filePath, loadFileSync(filePath, { mode: LoadMode.JSON }), schema);
+
+/**
+ * Obtiene la información de un archivo regular
+ * @param filePath Ruta del archivo
+ * @returns Información del archivo o null si no existe o no es un archivo regular
+ * @throws {Error} Si hay errores de acceso distintos de "no existe"
+ */
+export async function statFile(filePath: string): Promise<fs.Stats | null> {
+    try {
+        const stats = await fs.promises.stat(filePath);
+        return stats.isFile() ? stats : null;
+    } catch (error: any) {
+        if (error?.code === 'ENOENT' || error?.code === 'ENOTDIR') {
+            return null;
+        }
+        throw new Error(`Failed to stat file "${filePath}": ${error?.message ?? String(error)}`);
+    }
+}
+
+/**
+ * Abre un archivo como stream, sin leerlo completo en memoria
+ * @param filePath Ruta del archivo
+ * @param range Rango de bytes a leer (inclusivo)
+ * @returns Stream de lectura
+ */
+export function createFileStream(filePath: string, range: { start?: number; end?: number } = {}): fs.ReadStream {
+    if (!filePath?.trim()) {
+        throw new Error('File path is required');
+    }
+    return fs.createReadStream(filePath, range);
+}
@@ -0,0 +1,95 @@
+import { AccessConfig, checkAccess, filterRequest, getSubject } from "./AccessControl";
+import { AuthorizationError } from "./Errors";
+import { mergeSessionData } from "./Manager";
+import { Session } from "./Memory";
+
+describe("AccessControl", () => {
+  const config: AccessConfig = {
+    rules: {
+      "users.list": ["admin", "editor"],
+      "users.*": ["admin"],
+      "reports": { permissions: ["reports.read"] },
+      "system.welcome": [],
+    },
+    roles: { auditor: ["reports.read"] },
+  };
+
+  describe("getSubject", () => {
+    it("should read roles and permissions from session data", () => {
+      expect(getSubject({ roles: ["admin"], permissions: "a b" })).toEqual({ roles: ["admin"], permissions: ["a", "b"] });
+    });
+
+    it("should read permissions from the scope claim and custom keys", () => {
+      expect(getSubject({ grp: "x,y", scope: "read write" }, { roleKey: "grp" }, true))
+        .toEqual({ roles: ["x", "y"], permissions: ["read", "write"] });
+    });
+
+    it("should not grant permissions from a scope sent in __app_store", () => {
+      // El cliente puede escribir "scope" en la sesión; sólo cuenta como claim de un JWT
+      const session = new Session("s1");
+      mergeSessionData(session, { roles: ["guest"] });
+      mergeSessionData(session, { scope: "*" }, ["roles", "permissions"]);
+
+      const subject = getSubject(session.getData(), config);
+      expect(subject).toEqual({ roles: ["guest"], permissions: [] });
+      expect(checkAccess(config, subject, "reports", "list")).toBeInstanceOf(AuthorizationError);
+    });
+
+    it("should return an empty subject for anonymous users", () => {
+      expect(getSubject(undefined)).toEqual({ roles: [], permissions: [] });
+    });
+  });
+
+  describe("checkAccess", () => {
+    it("should use the most specific rule", () => {
+      const editor = { roles: ["editor"], permissions: [] };
+      expect(checkAccess(config, editor, "users", "list")).toBeNull();
+      expect(checkAccess(config, editor, "users", "delete")).toBeInstanceOf(AuthorizationError);
+    });
+
+    it("should grant permissions through roles", () => {
+      expect(checkAccess(config, { roles: ["auditor"], permissions: [] }, "reports", "monthly")).toBeNull();
+      expect(checkAccess(config, { roles: [], permissions: ["reports.read"] }, "reports", "monthly")).toBeNull();
+    });
+
+    it("should allow public rules and elements without rule by default", () => {
+      const anonymous = { roles: [], permissions: [] };
+      expect(checkAccess(config, anonymous, "system", "welcome")).toBeNull();
+      expect(checkAccess(config, anonymous, "other", "any")).toBeNull();
+    });
+
+    it("should deny elements without rule when default is deny", () => {
+      const error = checkAccess({ ...config, default: "deny" }, { roles: ["admin"], permissions: [] }, "other", "any");
+      expect(error?.reason).toBe("no_rule");
+    });
+
+    it("should report why access was denied", () => {
+      expect(checkAccess(config, { roles: [], permissions: [] }, "users", "list")?.reason).toBe("unauthenticated");
+      expect(checkAccess(config, { roles: ["guest"], permissions: [] }, "users", "list")?.reason).toBe("insufficient_permissions");
+    });
+  });
+
+  describe("filterRequest", () => {
+    it("should answer denied elements with an error and keep the rest", () => {
+      const { allowed, denied } = filterRequest(config, { roles: ["editor"], permissions: [] }, [
+        { api: "users", method: "list", id: "u1", do: "set-panel", to: "main" },
+        { api: "users", method: "delete", id: "u2", do: "set-panel", to: "side" },
+      ]);
+
+      expect(allowed.map((element) => element.id)).toEqual(["u1"]);
+      expect(denied).toEqual([{
+        id: "u2",
+        api: "users",
+        method: "delete",
+        do: "error",
+        to: "side",
+        error: {
+          type: "AuthorizationError",
+          statusCode: 403,
+          message: 'Access to "users.delete" denied',
+          reason: "insufficient_permissions",
+        },
+      }]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { IncomingMessage } from "node:http";
+import { AppConfig, appSessionConfig, hostName, matchHost, resolveApp } from "./Apps";
+
+function request(headers: { [key: string]: string }): IncomingMessage {
+  return { headers } as unknown as IncomingMessage;
+}
+
+describe("Apps", () => {
+  const apps: { [name: string]: AppConfig } = {
+    ventas: { id: "app-001", constants: { title: "Ventas" } },
+    compras: { id: "app-002", hosts: ["compras.cliente.com", "*.compras.io"] },
+  };
+
+  it("should resolve the app from Application-Name", () => {
+    expect(resolveApp(request({ "application-name": "ventas" }), apps)).toBe("ventas");
+    expect(resolveApp(request({ "application-name": "otra" }), apps)).toBeUndefined();
+    expect(resolveApp(request({ "application-name": "toString" }), apps)).toBeUndefined();
+  });
+
+  it("should resolve the app from Application-Id", () => {
+    expect(resolveApp(request({ "application-id": "app-002", host: "compras.cliente.com" }), apps)).toBe("compras");
+  });
+
+  it("should only select an app with hosts on one of its hosts", () => {
+    expect(resolveApp(request({ "application-name": "compras", host: "ventas.example.com" }), apps)).toBe("ventas");
+    expect(resolveApp(request({ "application-id": "app-002", host: "evil.com" }), apps)).toBeUndefined();
+    expect(resolveApp(request({ "application-name": "compras" }), apps)).toBeUndefined();
+    expect(resolveApp(request({ host: "compras.evil.com" }), apps)).toBeUndefined();
+    expect(resolveApp(request({ "application-name": "compras", host: "a.compras.io" }), apps)).toBe("compras");
+  });
+
+  it("should merge the app session over the server session key by key", () => {
+    const base = { cookieName: "whsessionid", maxLifeTime: 3600, cookieOptions: { secure: true, sameSite: "Strict" as const } };
+
+    expect(appSessionConfig(base, "ventas", { session: { idleTimeout: 600, cookieOptions: { path: "/ventas" } } })).toEqual({
+      cookieName: "whsessionid_ventas",
+      namespace: "ventas",
+      maxLifeTime: 3600,
+      idleTimeout: 600,
+      cookieOptions: { secure: true, sameSite: "Strict", path: "/ventas" },
+    });
+    expect(appSessionConfig(base, "compras", { session: { cookieName: "compras_sid" } })).toMatchObject({
+      cookieName: "compras_sid",
+      namespace: "compras",
+      cookieOptions: { secure: true, sameSite: "Strict" },
+    });
+  });
+
+  it("should resolve the app from hosts and subdomains", () => {
+    expect(resolveApp(request({ host: "compras.cliente.com" }), apps)).toBe("compras");
+    expect(resolveApp(request({ host: "tienda.compras.io:8080" }), apps)).toBe("compras");
+    expect(resolveApp(request({ host: "ventas.localhost:3000" }), apps)).toBe("ventas");
+    expect(resolveApp(request({ host: "ventas" }), apps)).toBeUndefined();
+    expect(resolveApp(request({ host: "example.com" }), apps)).toBeUndefined();
+  });
+
+  it("should respect the order and choice of sources", () => {
+    const req = request({ "application-name": "ventas", host: "compras.cliente.com" });
+
+    expect(resolveApp(req, apps)).toBe("ventas");
+    expect(resolveApp(req, apps, ["host", "name"])).toBe("compras");
+    expect(resolveApp(request({ "application-name": "ventas" }), apps, ["host"])).toBeUndefined();
+  });
+
+  it("should normalize host names", () => {
+    expect(hostName(request({ host: "Ventas.Example.com:8080" }))).toBe("ventas.example.com");
+    expect(hostName(request({ host: "[::1]:8080" }))).toBe("[::1]");
+    expect(hostName(request({}))).toBeUndefined();
+    expect(matchHost("*.example.com", "example.com")).toBe(false);
+    expect(matchHost("*.example.com", "a.example.com")).toBe(true);
+  });
+});
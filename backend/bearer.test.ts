@@ -0,0 +1,65 @@
+import { IncomingMessage } from "node:http";
+import { authenticate, getBearerToken } from "./BearerAuth";
+import { TokenService, TokenRevokedError } from "./TokenService";
+import { ClaimMismatchError, TokenExpiredError } from "./JWT";
+
+function request(authorization?: string): IncomingMessage {
+  return { headers: authorization ? { authorization } : {} } as unknown as IncomingMessage;
+}
+
+describe("BearerAuth", () => {
+  const jwt = { key: "una-clave-secreta-muy-larga-y-compleja", issuer: "whendy" };
+  let tokens: TokenService;
+
+  beforeEach(() => {
+    tokens = new TokenService({ jwt, accessTTL: 60, refreshTTL: 3600 });
+  });
+
+  it("should read the Bearer token", () => {
+    expect(getBearerToken(request("Bearer abc.def.ghi"))).toBe("abc.def.ghi");
+    expect(getBearerToken(request("Basic abc"))).toBeUndefined();
+  });
+
+  it("should accept a valid access token", async () => {
+    const pair = await tokens.issue("42", { roles: ["admin"] });
+
+    for (const mode of ["bearer", "both"] as const) {
+      const result = await authenticate(request(`Bearer ${pair.accessToken}`), mode, tokens);
+      expect(result.auth).toBe("bearer");
+      expect(result.claims).toMatchObject({ sub: "42", roles: ["admin"], typ: "access" });
+    }
+  });
+
+  it("should reject a refresh token", async () => {
+    const pair = await tokens.issue("42");
+    await expect(authenticate(request(`Bearer ${pair.refreshToken}`), "bearer", tokens)).rejects.toThrow(ClaimMismatchError);
+  });
+
+  it("should reject an expired token", async () => {
+    const pair = await tokens.issue("42");
+    const dateNow = jest.spyOn(Date, "now").mockReturnValue(Date.now() + 61 * 1000);
+    try {
+      await expect(authenticate(request(`Bearer ${pair.accessToken}`), "both", tokens)).rejects.toThrow(TokenExpiredError);
+    } finally {
+      dateNow.mockRestore();
+    }
+  });
+
+  it("should reject tokens revoked by logout or revokeAll", async () => {
+    const first = await tokens.issue("42");
+    const second = await tokens.issue("42");
+
+    await tokens.revoke(first.refreshToken);
+    await expect(authenticate(request(`Bearer ${first.accessToken}`), "bearer", tokens)).rejects.toThrow(TokenRevokedError);
+    expect((await authenticate(request(`Bearer ${second.accessToken}`), "bearer", tokens)).auth).toBe("bearer");
+
+    await tokens.revokeAll("42");
+    await expect(authenticate(request(`Bearer ${second.accessToken}`), "bearer", tokens)).rejects.toThrow(TokenRevokedError);
+  });
+
+  it("should handle a missing Authorization header by mode", async () => {
+    expect(await authenticate(request(), "bearer", tokens)).toEqual({ auth: "bearer" });
+    expect(await authenticate(request(), "both", tokens)).toEqual({ auth: "cookie" });
+    expect(await authenticate(request("Bearer x.y.z"), "cookie", tokens)).toEqual({ auth: "cookie" });
+  });
+});
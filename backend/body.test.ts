@@ -0,0 +1,171 @@
+import * as fs from "fs";
+import * as os from "os";
+import { Readable } from "stream";
+import { IncomingMessage } from "node:http";
+import { parseBody, parseContentType, removeUploadedFiles, replayRequest } from "./BodyParser";
+
+function request(body: string | Buffer, headers: { [key: string]: string }, chunkSize = 7): IncomingMessage {
+  const data = Buffer.from(body);
+  const chunks: Buffer[] = [];
+  for (let i = 0; i < data.length; i += chunkSize) {
+    chunks.push(data.subarray(i, i + chunkSize));
+  }
+  const stream = Readable.from(chunks) as any;
+  stream.headers = { "content-length": String(data.length), ...headers };
+  return stream as IncomingMessage;
+}
+
+describe("BodyParser", () => {
+  const maxSize = 1024;
+
+  it("should parse the content type and its params", () => {
+    expect(parseContentType('multipart/form-data; boundary="abc"; charset=utf-8')).toEqual({
+      type: "multipart/form-data",
+      params: { boundary: "abc", charset: "utf-8" },
+    });
+  });
+
+  it("should return an empty body when there is no content", async () => {
+    const req = request("", {});
+    req.headers["content-length"] = "0";
+    expect(await parseBody(req, { maxSize })).toEqual({ type: "none", data: null, files: [] });
+  });
+
+  it("should parse JSON bodies", async () => {
+    const req = request('{"__app_request":[{"api":"system"}]}', { "content-type": "application/json" });
+    const body = await parseBody(req, { maxSize });
+    expect(body.type).toBe("json");
+    expect(body.data).toEqual({ __app_request: [{ api: "system" }] });
+  });
+
+  it("should reject malformed JSON with a ValidationError", async () => {
+    const req = request("{invalid", { "content-type": "application/json" });
+    await expect(parseBody(req, { maxSize })).rejects.toMatchObject({ name: "ValidationError" });
+  });
+
+  it("should parse urlencoded bodies with repeated keys", async () => {
+    const req = request("a=1&b=dos&a=3", { "content-type": "application/x-www-form-urlencoded" });
+    const body = await parseBody(req, { maxSize });
+    expect(body.data).toEqual({ a: ["1", "3"], b: "dos" });
+  });
+
+  it("should read text/plain bodies", async () => {
+    const req = request("hola mundo", { "content-type": "text/plain; charset=utf-8" });
+    expect((await parseBody(req, { maxSize })).data).toBe("hola mundo");
+  });
+
+  it("should reject bodies over maxSize using Content-Length", async () => {
+    const req = request("x".repeat(20), { "content-type": "text/plain" });
+    await expect(parseBody(req, { maxSize: 10 })).rejects.toMatchObject({ name: "PayloadTooLargeError", limit: 10 });
+  });
+
+  it("should reject streamed bodies over maxSize", async () => {
+    const req = request("x".repeat(20), { "content-type": "text/plain", "transfer-encoding": "chunked" });
+    delete req.headers["content-length"];
+    await expect(parseBody(req, { maxSize: 10 })).rejects.toMatchObject({ name: "PayloadTooLargeError" });
+  });
+
+  describe("multipart/form-data", () => {
+    const boundary = "----whendyBoundary";
+    const multipart = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="title"',
+      "",
+      "Informe",
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="../notas.txt"',
+      "Content-Type: text/plain",
+      "",
+      "linea 1\r\nlinea 2",
+      `--${boundary}--`,
+      "",
+    ].join("\r\n");
+
+    it("should parse fields and store files in temporary files", async () => {
+      const req = request(multipart, { "content-type": `multipart/form-data; boundary=${boundary}` }, 5);
+      const body = await parseBody(req, { maxSize, uploadDir: os.tmpdir() });
+
+      expect(body.type).toBe("multipart");
+      expect(body.data).toEqual({ title: "Informe" });
+      expect(body.files).toHaveLength(1);
+
+      const [file] = body.files;
+      expect(file).toMatchObject({ field: "file", filename: "notas.txt", mimetype: "text/plain", size: 16 });
+      expect(fs.readFileSync(file.path, "utf8")).toBe("linea 1\r\nlinea 2");
+
+      await removeUploadedFiles(body.files);
+      expect(fs.existsSync(file.path)).toBe(false);
+    });
+
+    it("should reject a truncated multipart body", async () => {
+      const truncated = multipart.slice(0, multipart.indexOf("linea 2"));
+      const req = request(truncated, { "content-type": `multipart/form-data; boundary=${boundary}` });
+      await expect(parseBody(req, { maxSize })).rejects.toMatchObject({ name: "ValidationError" });
+    });
+
+    it("should reject a multipart body without boundary", async () => {
+      const req = request(multipart, { "content-type": "multipart/form-data" });
+      await expect(parseBody(req, { maxSize })).rejects.toMatchObject({ name: "ValidationError" });
+    });
+  });
+});
+
+describe("BodyParser charsets and uploads", () => {
+  const maxSize = 1024;
+
+  it("should decode supported charsets", async () => {
+    const req = request(Buffer.from("añ", "latin1"), { "content-type": "text/plain; charset=ISO-8859-1" });
+    expect((await parseBody(req, { maxSize })).data).toBe("añ");
+  });
+
+  it("should decode windows-1252 with its own table, not as latin1", async () => {
+    const req = request(Buffer.from([0x93, 0x61, 0x94, 0x80]), { "content-type": "text/plain; charset=windows-1252" });
+    expect((await parseBody(req, { maxSize })).data).toBe("\u201ca\u201d\u20ac");
+  });
+
+  it("should reject unsupported charsets with a 415 error", async () => {
+    const req = request("x", { "content-type": "text/plain; charset=koi8-r" });
+    await expect(parseBody(req, { maxSize })).rejects.toMatchObject({ name: "UnsupportedMediaTypeError", charset: "koi8-r" });
+  });
+
+  it("should reject the parse when uploadDir cannot be written", async () => {
+    const body = [
+      "--b",
+      'Content-Disposition: form-data; name="file"; filename="a.txt"',
+      "",
+      "contenido",
+      "--b--",
+      "",
+    ].join("\r\n");
+    const req = request(body, { "content-type": "multipart/form-data; boundary=b" });
+    const uploadDir = `${os.tmpdir()}/whendy-missing-${Date.now()}`;
+
+    // Se informa como UploadError (500), no como un ENOENT que se respondería con 404
+    await expect(parseBody(req, { maxSize, uploadDir })).rejects.toMatchObject({
+      name: "UploadError",
+      cause: expect.objectContaining({ code: "ENOENT" }),
+    });
+    expect(fs.existsSync(uploadDir)).toBe(false);
+  });
+
+  it("should read other content types as raw bytes within maxSize", async () => {
+    const req = request(Buffer.from([1, 2, 3]), { "content-type": "application/octet-stream" });
+    expect(await parseBody(req, { maxSize })).toEqual({ type: "raw", data: null, files: [], raw: Buffer.from([1, 2, 3]) });
+
+    const chunked = request("x".repeat(20), { "content-type": "application/xml", "transfer-encoding": "chunked" });
+    delete chunked.headers["content-length"];
+    await expect(parseBody(chunked, { maxSize: 10 })).rejects.toMatchObject({ name: "PayloadTooLargeError" });
+  });
+
+  it("should let the body be read again after parsing", async () => {
+    const req = request('{"a":1}', { "content-type": "application/json" });
+    const body = await parseBody(req, { maxSize });
+    const replay = replayRequest(req, body);
+
+    const chunks: Buffer[] = [];
+    for await (const chunk of replay) chunks.push(Buffer.from(chunk));
+
+    expect(Buffer.concat(chunks).toString()).toBe('{"a":1}');
+    expect(replay.headers["content-type"]).toBe("application/json");
+  });
+});
@@ -0,0 +1,164 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { deepMerge, envToOptions, interpolate, loadConfig, loadLayers, parseEnv } from "./Config";
+import { ConfigValidationError, SchemaViolation } from "./Schema";
+import { MODULE_CONFIG_SCHEMA } from "./ConfigSchema";
+
+describe("Config", () => {
+  let dir: string;
+
+  const write = (name: string, data: any) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof data === "string" ? data : JSON.stringify(data));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should parse .env files", () => {
+    const env = parseEnv([
+      "# comentario",
+      "DB_USER=admin",
+      'DB_PASS="se#cret"',
+      "export API_KEY='abc' ",
+      "PORT=8080 # puerto",
+      "invalid line",
+    ].join("\n"));
+
+    expect(env).toEqual({ DB_USER: "admin", DB_PASS: "se#cret", API_KEY: "abc", PORT: "8080" });
+  });
+
+  it("should map WHENDY_* variables to nested options", () => {
+    const options = envToOptions({
+      WHENDY_PORT: "9000",
+      WHENDY_MAX_REQUEST_SIZE: "1024",
+      WHENDY_SESSION__MACHINE_TYPE: "file",
+      WHENDY_CORS: "true",
+      OTHER: "x",
+    });
+
+    expect(options).toEqual({ port: 9000, maxRequestSize: 1024, session: { machineType: "file" }, cors: true });
+  });
+
+  it("should convert values only where the schema expects numbers or booleans", () => {
+    const options = envToOptions({
+      WHENDY_SESSION__SECRET: "0123456789",
+      WHENDY_JWT__KEY: "12345678901234567890123456789012",
+      WHENDY_CONSTANTS__DEBUG: "true",
+      WHENDY_CONSTANTS__EMPTY: "null",
+      WHENDY_ENV: "null",
+      WHENDY_SHUTDOWN__SIGNALS: "true",
+      WHENDY_TLS__REDIRECT__PORT: "8080",
+      WHENDY_MONITORING__CHECK_TIMEOUT: "500",
+      WHENDY_TIMEOUT: "soon",
+    });
+
+    expect(options).toEqual({
+      session: { secret: "0123456789" },
+      jwt: { key: "12345678901234567890123456789012" },
+      constants: { debug: "true", empty: "null" },
+      env: "null",
+      shutdown: { signals: true },
+      tls: { redirect: { port: 8080 } },
+      monitoring: { checkTimeout: 500 },
+      timeout: "soon",
+    });
+
+    const schema = { type: "object" as const, properties: { retries: { type: "integer" as const } } };
+    expect(envToOptions({ APP_RETRIES: "3", APP_PORT: "80" }, "APP_", schema)).toEqual({ retries: 3, port: "80" });
+  });
+
+  it("should merge objects deeply and replace arrays", () => {
+    expect(deepMerge({ a: { b: 1, c: [1, 2] } }, { a: { c: [3] }, d: 2 })).toEqual({ a: { b: 1, c: [3] }, d: 2 });
+  });
+
+  it("should interpolate variables with defaults and report missing ones", () => {
+    const violations: SchemaViolation[] = [];
+    const result = interpolate(
+      [{ host: "${DB_HOST:-localhost}", pass: "${DB_PASS}", user: "${DB_USER}" }],
+      { DB_PASS: "secret" },
+      violations,
+      ["db"],
+    );
+
+    expect(result).toEqual([{ host: "localhost", pass: "secret", user: "${DB_USER}" }]);
+    expect(violations).toEqual([{ pointer: "/db/0/user", keyword: "env", message: 'environment variable "DB_USER" is not set' }]);
+  });
+
+  it("should apply the layers in order of precedence", () => {
+    const file = write("config.json", { port: 8080, timeout: 1000, constants: { title: "Base", lang: "es" }, db: [{ driver: "mysql", pass: "${DB_PASS}" }] });
+    write("config.production.json", { timeout: 2000, constants: { title: "Prod" } });
+    const envFile = write(".env", "DB_PASS=from-file\nWHENDY_TIMEOUT=3000\nWHENDY_PORT=7000\n");
+    const environment = { WHENDY_PORT: "9000" };
+
+    const config = loadConfig({ file, env: "production", envFile, environment });
+
+    expect(config).toEqual({
+      port: 9000,
+      timeout: 3000,
+      constants: { title: "Prod", lang: "es" },
+      db: [{ driver: "mysql", pass: "from-file" }],
+      env: "production",
+    });
+    // El .env no reemplaza las variables ya definidas
+    expect(environment).toMatchObject({ WHENDY_PORT: "9000", DB_PASS: "from-file" });
+  });
+
+  it("should fail when required values or db variables are missing", () => {
+    const file = write("config.json", { db: [{ driver: "mysql", pass: "${DB_PASS}" }] });
+
+    let error: any;
+    try {
+      loadConfig({ file, envFile: false, environment: {}, required: ["port", "db.0.driver"] });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(ConfigValidationError);
+    expect(error.violations.map((violation: SchemaViolation) => violation.pointer)).toEqual(["/db/0/pass", "/port"]);
+  });
+
+  it("should interpolate the db of every app and point at missing variables", () => {
+    const file = write("config.json", {
+      apps: {
+        ventas: { db: [{ driver: "mysql", pass: "${VENTAS_PASS}" }] },
+        compras: { db: [{ driver: "pg", user: "compras", pass: "${COMPRAS_PASS}" }], constants: { title: "${TITLE}" } },
+      },
+    });
+
+    const config = loadConfig({ file, envFile: false, environment: { VENTAS_PASS: "v-secret", COMPRAS_PASS: "c-secret" } });
+    expect(config.apps).toEqual({
+      ventas: { db: [{ driver: "mysql", pass: "v-secret" }] },
+      compras: { db: [{ driver: "pg", user: "compras", pass: "c-secret" }], constants: { title: "${TITLE}" } },
+    });
+
+    let error: any;
+    try {
+      loadConfig({ file, envFile: false, environment: { VENTAS_PASS: "v-secret" } });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ConfigValidationError);
+    expect(error.violations).toEqual([
+      { pointer: "/apps/compras/db/0/pass", keyword: "env", message: 'environment variable "COMPRAS_PASS" is not set' },
+    ]);
+  });
+
+  it("should load module configs with the environment override", async () => {
+    const file = write("ventas/config.json", { constants: { title: "Ventas" }, db: [{ driver: "pg", user: "${VENTAS_USER}" }] });
+    write("ventas/config.test.json", { cache: true });
+
+    const config = await loadLayers(file, { env: "test", environment: { VENTAS_USER: "ventas" }, schema: MODULE_CONFIG_SCHEMA });
+
+    expect(config).toEqual({ constants: { title: "Ventas" }, db: [{ driver: "pg", user: "ventas" }], cache: true });
+    await expect(loadLayers(file, { env: "dev", environment: {} })).rejects.toBeInstanceOf(ConfigValidationError);
+  });
+});
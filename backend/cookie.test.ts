@@ -0,0 +1,173 @@
+import { IncomingMessage, ServerResponse } from "node:http";
+import { CookieHandler, CookieVar, cookieParse, signValue, unsignValue, encryptValue, decryptValue } from "./CookieHandler";
+
+function mockRequest(cookie?: string): IncomingMessage {
+  return { headers: cookie ? { cookie } : {} } as IncomingMessage;
+}
+
+function mockResponse(): ServerResponse & { headers: { [key: string]: any } } {
+  const headers: { [key: string]: any } = {};
+  return {
+    headers,
+    getHeader: (name: string) => headers[name.toLowerCase()],
+    setHeader: (name: string, value: any) => {
+      headers[name.toLowerCase()] = value;
+    },
+  } as any;
+}
+
+// Devuelve el par "name=value" de la primera cookie emitida
+function emitted(res: { headers: { [key: string]: any } }): string {
+  return res.headers["set-cookie"][0].split(";")[0];
+}
+
+describe("CookieHandler", () => {
+  const secret = "una-clave-secreta-muy-larga-y-compleja";
+
+  describe("signed cookies", () => {
+    it("should sign and verify values", () => {
+      const signed = signValue("locale", "es", secret);
+      expect(signed.startsWith("s:es.")).toBe(true);
+      expect(unsignValue("locale", signed, [secret])).toBe("es");
+    });
+
+    it("should not accept a signature made for another cookie", () => {
+      expect(unsignValue("role", signValue("locale", "admin", secret), [secret])).toBeUndefined();
+    });
+
+    it("should sign on setCookie and verify on parse", () => {
+      const res = mockResponse();
+      new CookieHandler(mockRequest(), res, { secret }).setCookie(new CookieVar("locale", "es", { signed: true }));
+
+      const handler = new CookieHandler(mockRequest(emitted(res)), mockResponse(), { secret });
+      expect(handler.get("locale")?.getValue()).toBe("es");
+      expect(handler.get("locale")?.signed).toBe(true);
+    });
+
+    it("should drop tampered cookies", () => {
+      const signed = encodeURIComponent(signValue("role", "user", secret)).replace("user", "admin");
+      const handler = new CookieHandler(mockRequest(`role=${signed}; other=1`), mockResponse(), { secret });
+      expect(handler.has("role")).toBe(false);
+      expect(handler.get("other")?.getValue()).toBe("1");
+    });
+
+    it("should verify with rotated keys and sign with the first one", () => {
+      const old = signValue("locale", "es", "clave-anterior-de-mas-de-32-caracteres");
+      const handler = new CookieHandler(mockRequest(`locale=${encodeURIComponent(old)}`), mockResponse(), {
+        secret: [secret, "clave-anterior-de-mas-de-32-caracteres"],
+      });
+      expect(handler.get("locale")?.getValue()).toBe("es");
+
+      const res = mockResponse();
+      new CookieHandler(mockRequest(), res, { secret: [secret, "otra"] }).setCookie(
+        new CookieVar("locale", "es", { signed: true })
+      );
+      expect(decodeURIComponent(emitted(res))).toBe(`locale=${signValue("locale", "es", secret)}`);
+    });
+
+    it("should throw when signing without a secret", () => {
+      const handler = new CookieHandler(mockRequest(), mockResponse());
+      expect(() => handler.setCookie(new CookieVar("locale", "es", { signed: true }))).toThrow("A secret is required");
+    });
+
+    it("should not emit a Signed attribute", () => {
+      const res = mockResponse();
+      new CookieHandler(mockRequest(), res, { secret }).setCookie(new CookieVar("locale", "es", { signed: true }));
+      expect(res.headers["set-cookie"][0]).not.toContain("Signed");
+    });
+  });
+
+  describe("encrypted cookies", () => {
+    it("should encrypt and decrypt values", () => {
+      const encrypted = encryptValue("last_app", '{"app":"ventas"}', secret);
+      expect(encrypted).not.toContain("ventas");
+      expect(decryptValue("last_app", encrypted, [secret])).toBe('{"app":"ventas"}');
+      expect(decryptValue("other", encrypted, [secret])).toBeUndefined();
+      expect(decryptValue("last_app", encrypted, ["otra-clave"])).toBeUndefined();
+    });
+
+    it("should round-trip through setCookie and parse", () => {
+      const res = mockResponse();
+      new CookieHandler(mockRequest(), res, { secret }).setCookie(new CookieVar("last_app", "ventas", { encrypted: true }));
+
+      const handler = new CookieHandler(mockRequest(emitted(res)), mockResponse(), { secret });
+      expect(handler.get("last_app")?.getValue()).toBe("ventas");
+      expect(handler.get("last_app")?.encrypted).toBe(true);
+    });
+  });
+});
+
+describe("cookieParse", () => {
+  it("should skip empty segments and a trailing semicolon", () => {
+    const cookies = cookieParse("a=1; ; b=2;");
+    expect(Object.keys(cookies)).toEqual(["a", "b"]);
+  });
+
+  it("should skip pairs without '=' or with an invalid name", () => {
+    const cookies = cookieParse("flag; bad name=1; =2; ok=3");
+    expect(Object.keys(cookies)).toEqual(["ok"]);
+  });
+
+  it("should keep malformed URI values as they are", () => {
+    expect(cookieParse("a=%E0%A4%A")["a"].getValue()).toBe("%E0%A4%A");
+    expect(cookieParse("a=caf%C3%A9")["a"].getValue()).toBe("café");
+  });
+
+  it("should unquote quoted values and keep '=' inside values", () => {
+    const cookies = cookieParse('a="hola mundo"; b=x=y');
+    expect(cookies["a"].getValue()).toBe("hola mundo");
+    expect(cookies["b"].getValue()).toBe("x=y");
+  });
+
+  it("should keep the first occurrence of duplicate names", () => {
+    expect(cookieParse("a=1; a=2")["a"].getValue()).toBe("1");
+  });
+
+  it("should not be affected by __proto__ cookies", () => {
+    const cookies = cookieParse("__proto__=x; a=1");
+    expect(cookies["a"].getValue()).toBe("1");
+    expect(({} as any).x).toBeUndefined();
+  });
+});
+
+describe("CookieVar validation", () => {
+  it("should reject invalid names and values", () => {
+    expect(() => new CookieVar("bad name", "1").get()).toThrow('Invalid cookie name "bad name"');
+    expect(() => new CookieVar("a", "x;y", { encode: (v) => v }).get()).toThrow('Invalid value for cookie "a"');
+  });
+
+  it("should require Secure with SameSite=None", () => {
+    expect(() => new CookieVar("a", "1", { sameSite: "None" }).get()).toThrow("SameSite=None must be Secure");
+    expect(new CookieVar("a", "1", { sameSite: "None", secure: true }).get()).toContain("SameSite=None");
+  });
+
+  it("should enforce cookie prefixes", () => {
+    expect(() => new CookieVar("__Secure-a", "1").get()).toThrow("__Secure- prefix must be Secure");
+    expect(() => new CookieVar("__Host-a", "1", { secure: true, domain: "example.com" }).get()).toThrow("__Host- prefix");
+    expect(() => new CookieVar("__Host-a", "1", { secure: true, path: "/app" }).get()).toThrow("__Host- prefix");
+    expect(new CookieVar("__Host-a", "1", { secure: true }).get()).toBe("__Host-a=1; Path=/; Secure");
+  });
+});
+
+describe("CookieHandler.setCookie", () => {
+  it("should replace a Set-Cookie with the same name, path and domain", () => {
+    const res = mockResponse();
+    const handler = new CookieHandler(mockRequest(), res);
+    handler.setCookie(new CookieVar("a", "1"));
+    handler.setCookie(new CookieVar("b", "1"));
+    handler.setCookie(new CookieVar("a", "2"));
+    handler.setCookie(new CookieVar("a", "3", { path: "/app" }));
+
+    expect(res.headers["set-cookie"]).toEqual(["b=1; Path=/", "a=2; Path=/", "a=3; Path=/app"]);
+  });
+
+  it("should replace cookies removed with remove()", () => {
+    const res = mockResponse();
+    const handler = new CookieHandler(mockRequest(), res);
+    handler.setCookie(new CookieVar("a", "1"));
+    handler.remove("a");
+
+    expect(res.headers["set-cookie"]).toHaveLength(1);
+    expect(res.headers["set-cookie"][0]).toContain("Max-Age=0");
+  });
+});
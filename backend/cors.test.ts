@@ -0,0 +1,103 @@
+import { IncomingMessage } from "node:http";
+import { corsHeaders, isOriginAllowed, mergeCors, preflightHeaders, validateCors } from "./Cors";
+
+function preflight(headers: { [key: string]: string }): IncomingMessage {
+  return { method: "OPTIONS", headers } as unknown as IncomingMessage;
+}
+
+describe("Cors", () => {
+  describe("isOriginAllowed", () => {
+    it("should match strings, wildcards, regexes and functions", () => {
+      const policy = {
+        origin: [
+          "https://app.example.com",
+          "https://*.example.org",
+          /^http:\/\/localhost:\d+$/,
+          (origin: string) => origin.endsWith(".test"),
+        ],
+      };
+
+      expect(isOriginAllowed(policy, "https://app.example.com")).toBe(true);
+      expect(isOriginAllowed(policy, "https://a.example.org")).toBe(true);
+      expect(isOriginAllowed(policy, "http://localhost:3000")).toBe(true);
+      expect(isOriginAllowed(policy, "https://site.test")).toBe(true);
+      expect(isOriginAllowed(policy, "https://evil.com")).toBe(false);
+      expect(isOriginAllowed(policy, "https://example.org.evil.com")).toBe(false);
+    });
+  });
+
+  describe("corsHeaders", () => {
+    it("should use a wildcard when any origin is allowed without credentials", () => {
+      expect(corsHeaders({}, "https://a.com")).toEqual({ "Access-Control-Allow-Origin": "*" });
+    });
+
+    it("should echo the origin with credentials and Vary", () => {
+      expect(corsHeaders({ origin: [/^https:\/\/a\.com$/], credentials: true, exposedHeaders: ["X-Request-Id"] }, "https://a.com")).toEqual({
+        "Vary": "Origin",
+        "Access-Control-Allow-Origin": "https://a.com",
+        "Access-Control-Allow-Credentials": "true",
+        "Access-Control-Expose-Headers": "X-Request-Id",
+      });
+    });
+
+    it("should not allow an origin outside the list", () => {
+      expect(corsHeaders({ origin: "https://a.com" }, "https://b.com")).toEqual({ "Vary": "Origin" });
+    });
+
+    it("should never echo an arbitrary origin with credentials", () => {
+      for (const origin of [undefined, "*", true, ["*"]]) {
+        expect(corsHeaders({ origin, credentials: true }, "https://evil.com")).toEqual({ "Vary": "Origin" });
+      }
+    });
+  });
+
+  describe("preflightHeaders", () => {
+    const policy = { origin: ["https://a.com"], credentials: true };
+
+    it("should accept an allowed preflight", () => {
+      const headers = preflightHeaders(policy, preflight({
+        origin: "https://a.com",
+        "access-control-request-method": "POST",
+        "access-control-request-headers": "content-type, authorization",
+      }));
+
+      expect(headers).toMatchObject({
+        "Access-Control-Allow-Origin": "https://a.com",
+        "Access-Control-Allow-Credentials": "true",
+        "Access-Control-Max-Age": "86400",
+      });
+    });
+
+    it("should reject disallowed origins, methods and headers", () => {
+      expect(preflightHeaders(policy, preflight({ origin: "https://b.com", "access-control-request-method": "POST" }))).toBeNull();
+      expect(preflightHeaders({ ...policy, methods: ["GET"] }, preflight({ origin: "https://a.com", "access-control-request-method": "POST" }))).toBeNull();
+      expect(preflightHeaders(policy, preflight({
+        origin: "https://a.com",
+        "access-control-request-method": "POST",
+        "access-control-request-headers": "x-custom",
+      }))).toBeNull();
+    });
+  });
+
+  describe("validateCors", () => {
+    it("should reject credentials with any origin", () => {
+      for (const origin of [undefined, "*", true, ["https://a.com", "*"]]) {
+        expect(() => validateCors({ origin, credentials: true })).toThrow("explicit origin list");
+      }
+      // Un módulo que activa credenciales sobre el "*" del servidor
+      expect(() => validateCors(mergeCors({ origin: "*" }, { credentials: true }))).toThrow("explicit origin list");
+    });
+
+    it("should accept credentials with an explicit allow-list", () => {
+      for (const origin of ["https://a.com", ["https://a.com"], /^https:\/\/a\.com$/, (value: string) => value === "https://a.com"]) {
+        expect(() => validateCors({ origin, credentials: true })).not.toThrow();
+      }
+      expect(() => validateCors({ origin: "*" })).not.toThrow();
+    });
+  });
+
+  it("should let a module override the server policy", () => {
+    expect(mergeCors({ origin: "*", credentials: false }, { origin: "https://a.com", credentials: true }))
+      .toEqual({ origin: "https://a.com", credentials: true });
+  });
+});
@@ -1,4 +1,11 @@
-import { JWT, JwtPayload, JwtOptions } from "./JWT";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { generateKeyPairSync, createHmac, createSecretKey } from "node:crypto";
+import {
+  JWT, JwtPayload, JwtOptions,
+  TokenExpiredError, InvalidSignatureError, NotBeforeError, ClaimMismatchError, MalformedTokenError,
+} from "./JWT";
 
 describe("JWT", () => {
   const secretKey = "una-clave-secreta-muy-larga-y-compleja";
@@ -24,6 +31,13 @@ describe("JWT", () => {
       expect(() => new JWT({ key: "short" })).toThrow("La clave debe tener al menos 32 caracteres.");
     });
 
+    it("should require a key whenever HS256 is accepted", () => {
+      expect(() => new JWT()).toThrow("La clave debe tener al menos 32 caracteres.");
+      expect(() => new JWT({ header: { alg: "EdDSA" }, algorithms: ["EdDSA", "HS256"] })).toThrow(
+        "La clave debe tener al menos 32 caracteres.",
+      );
+    });
+
     it("should initialize with valid options", () => {
       const options: JwtOptions = {
         key: secretKey,
@@ -125,4 +139,183 @@ describe("JWT", () => {
       expect(signature).toMatch(/^[A-Za-z0-9-_]+$/);
     });
   });
-});
\ No newline at end of file
+
+  describe("asymmetric algorithms", () => {
+    const rsa = generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const ec = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    const ed = generateKeyPairSync("ed25519");
+
+    it.each([
+      ["RS256", rsa],
+      ["ES256", ec],
+      ["EdDSA", ed],
+    ] as const)("should sign and verify with %s", (alg, pair) => {
+      const signer = new JWT({ header: { alg }, privateKey: pair.privateKey });
+      const verifier = new JWT({ header: { alg }, publicKey: pair.publicKey });
+
+      const token = signer.generate(defaultPayload);
+      expect(verifier.verify(token)).toMatchObject(defaultPayload);
+    });
+
+    it("should accept PEM keys", () => {
+      const signer = new JWT({
+        header: { alg: "RS256" },
+        privateKey: rsa.privateKey.export({ type: "pkcs8", format: "pem" }).toString(),
+      });
+      const verifier = new JWT({
+        header: { alg: "RS256" },
+        publicKey: rsa.publicKey.export({ type: "spki", format: "pem" }).toString(),
+      });
+      expect(verifier.verify(signer.generate(defaultPayload))).toMatchObject(defaultPayload);
+    });
+
+    it("should reject algorithms that are not allowed", () => {
+      const token = new JWT({ header: { alg: "ES256" }, privateKey: ec.privateKey }).generate(defaultPayload);
+      const verifier = new JWT({ header: { alg: "RS256" }, publicKey: rsa.publicKey, keys: { ec: ec.publicKey } });
+      expect(verifier.verify(token)).toBeNull();
+    });
+
+    it("should reject alg none", () => {
+      const header = Buffer.from(JSON.stringify({ alg: "none", typ: "JWT" })).toString("base64url");
+      const payload = Buffer.from(JSON.stringify(defaultPayload)).toString("base64url");
+      expect(jwt.verify(`${header}.${payload}.`)).toBeNull();
+    });
+
+    it("should not verify HS256 tokens signed with a public key as secret", () => {
+      const pem = rsa.publicKey.export({ type: "spki", format: "pem" }).toString();
+      const forged = new JWT({ key: pem }).generate(defaultPayload);
+      const verifier = new JWT({ header: { alg: "RS256" }, publicKey: rsa.publicKey, key: secretKey, algorithms: ["RS256", "HS256"] });
+      expect(verifier.verify(forged)).toBeNull();
+    });
+
+    it("should not verify HS256 tokens forged with a well-known default secret", () => {
+      const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+      const payload = Buffer.from(JSON.stringify({ sub: "admin" })).toString("base64url");
+      const signature = createHmac("sha256", "your-256-bit-secret").update(`${header}.${payload}`).digest("base64url");
+      const forged = `${header}.${payload}.${signature}`;
+
+      // Sin HS256 en algorithms no se acepta; con HS256 hay que configurar una clave propia
+      expect(new JWT({ header: { alg: "RS256" }, publicKey: rsa.publicKey }).verify(forged)).toBeNull();
+      const verifier = new JWT({ header: { alg: "RS256" }, publicKey: rsa.publicKey, key: secretKey, algorithms: ["RS256", "HS256"] });
+      expect(() => verifier.verifyOrThrow(forged)).toThrow(InvalidSignatureError);
+    });
+
+    it("should select the key by kid", () => {
+      const other = generateKeyPairSync("rsa", { modulusLength: 2048 });
+      const signer = new JWT({ header: { alg: "RS256", kid: "2025-06" }, privateKey: rsa.privateKey });
+      const verifier = new JWT({
+        header: { alg: "RS256" },
+        keys: { "2025-05": other.publicKey, "2025-06": rsa.publicKey },
+      });
+      expect(verifier.verify(signer.generate(defaultPayload))).toMatchObject(defaultPayload);
+
+      const unknown = new JWT({ header: { alg: "RS256", kid: "2024-01" }, privateKey: rsa.privateKey });
+      expect(verifier.verify(unknown.generate(defaultPayload))).toBeNull();
+    });
+
+    it("should use HMAC keys by kid", () => {
+      const signer = new JWT({ key: secretKey, header: { kid: "hmac-1" } });
+      const verifier = new JWT({ key: "otra-clave-secreta-de-mas-de-32-caracteres", keys: { "hmac-1": createSecretKey(Buffer.from(secretKey)) } });
+      expect(verifier.verify(signer.generate(defaultPayload))).toMatchObject(defaultPayload);
+    });
+
+    it("should load public keys from a JWKS file", () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "whendy-jwks-")), "jwks.json");
+      fs.writeFileSync(file, JSON.stringify({
+        keys: [
+          { ...ec.publicKey.export({ format: "jwk" }), kid: "ec-1", use: "sig" },
+          { ...ed.publicKey.export({ format: "jwk" }) },
+        ],
+      }));
+
+      const keys = JWT.loadJwks(file);
+      expect(Object.keys(keys)).toEqual(["ec-1"]);
+
+      const signer = new JWT({ header: { alg: "ES256", kid: "ec-1" }, privateKey: ec.privateKey });
+      const verifier = new JWT({ header: { alg: "ES256" }, jwks: file });
+      expect(verifier.verify(signer.generate(defaultPayload))).toMatchObject(defaultPayload);
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it("should throw when signing without a private key", () => {
+      const verifier = new JWT({ header: { alg: "EdDSA" }, publicKey: ed.publicKey });
+      expect(() => verifier.generate(defaultPayload)).toThrow("Se requiere una clave privada");
+    });
+
+    it("should throw for unsupported algorithms", () => {
+      expect(() => new JWT({ key: secretKey, header: { alg: "HS512" } })).toThrow("Algoritmo JWT no soportado");
+    });
+  });
+
+  describe("verifyOrThrow", () => {
+    const now = 1750021744;
+
+    it("should throw MalformedTokenError for invalid formats", () => {
+      expect(() => jwt.verifyOrThrow("invalid")).toThrow(MalformedTokenError);
+      expect(() => jwt.verifyOrThrow("a.b.c")).toThrow(MalformedTokenError);
+    });
+
+    it("should throw InvalidSignatureError for a forged signature", () => {
+      const token = jwt.generate(defaultPayload);
+      const forged = token.split(".").slice(0, 2).join(".") + ".invalidSignature";
+      expect(() => jwt.verifyOrThrow(forged)).toThrow(InvalidSignatureError);
+    });
+
+    it("should throw TokenExpiredError with the expiration date", () => {
+      const jwtWithExp = new JWT({ key: secretKey, expiresIn: 60 });
+      const token = jwtWithExp.generate(defaultPayload);
+      (Date.now as jest.Mock).mockReturnValue((now + 61) * 1000);
+
+      try {
+        jwtWithExp.verifyOrThrow(token);
+        fail("Expected TokenExpiredError");
+      } catch (error) {
+        expect(error).toBeInstanceOf(TokenExpiredError);
+        expect((error as TokenExpiredError).expiredAt).toEqual(new Date((now + 60) * 1000));
+        expect((error as TokenExpiredError).reason).toBe("token_expired");
+      }
+    });
+
+    it("should accept an expired token within the leeway", () => {
+      const token = new JWT({ key: secretKey, expiresIn: 60 }).generate(defaultPayload);
+      (Date.now as jest.Mock).mockReturnValue((now + 65) * 1000);
+
+      expect(() => jwt.verifyOrThrow(token)).toThrow(TokenExpiredError);
+      expect(jwt.verifyOrThrow(token, { leeway: 10 })).toMatchObject(defaultPayload);
+      expect(new JWT({ key: secretKey, leeway: 10 }).verifyOrThrow(token)).toMatchObject(defaultPayload);
+    });
+
+    it("should throw NotBeforeError before nbf", () => {
+      const token = jwt.generate({ ...defaultPayload, nbf: now + 30 });
+      expect(() => jwt.verifyOrThrow(token)).toThrow(NotBeforeError);
+      expect(jwt.verifyOrThrow(token, { leeway: 30 })).toMatchObject(defaultPayload);
+    });
+
+    it("should throw ClaimMismatchError for missing required claims", () => {
+      const token = jwt.generate(defaultPayload);
+      expect(() => jwt.verifyOrThrow(token, { requiredClaims: ["sub", "jti"] })).toThrow(ClaimMismatchError);
+      expect(jwt.verifyOrThrow(jwt.generate({ sub: "42", jti: "a1" }), { requiredClaims: ["sub", "jti"] })).toMatchObject({ sub: "42" });
+    });
+
+    it("should reject an invalid jti", () => {
+      expect(() => jwt.verifyOrThrow(jwt.generate({ jti: 123 } as any))).toThrow(ClaimMismatchError);
+    });
+
+    it("should validate issuer and report the claim", () => {
+      const token = jwt.generate(defaultPayload);
+      try {
+        jwt.verifyOrThrow(token, { issuer: "test-issuer" });
+        fail("Expected ClaimMismatchError");
+      } catch (error) {
+        expect((error as ClaimMismatchError).claim).toBe("iss");
+      }
+    });
+
+    it("should accept array-valued audiences", () => {
+      const token = new JWT({ key: secretKey, audience: ["api", "admin"] }).generate(defaultPayload);
+      expect(jwt.verifyOrThrow(token, { audience: "admin" })).toMatchObject(defaultPayload);
+      expect(jwt.verifyOrThrow(token, { audience: ["web", "api"] })).toMatchObject(defaultPayload);
+      expect(() => jwt.verifyOrThrow(token, { audience: "web" })).toThrow(ClaimMismatchError);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { FileSink, JsonLogger, LogRecord, LogSink } from "./Logger";
+import { JWT } from "./JWT";
+
+class MemorySink implements LogSink {
+  records: LogRecord[] = [];
+  lines: string[] = [];
+
+  write(line: string, record: LogRecord): void {
+    this.lines.push(line);
+    this.records.push(record);
+  }
+}
+
+describe("Logger", () => {
+  it("should write one JSON line per record from the configured level", () => {
+    const sink = new MemorySink();
+    const logger = new JsonLogger({ level: "info", sinks: [sink] });
+
+    logger.debug("hidden");
+    logger.info("visible", { status: 200 });
+
+    expect(sink.records).toHaveLength(1);
+    expect(JSON.parse(sink.lines[0])).toMatchObject({ level: "info", msg: "visible", status: 200 });
+    expect(sink.records[0].time).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it("should carry the fields of child loggers", () => {
+    const sink = new MemorySink();
+    const logger = new JsonLogger({ sinks: [sink], fields: { app: "whendy" } });
+
+    logger.child({ requestId: "abc" }).warn("slow");
+
+    expect(sink.records[0]).toMatchObject({ app: "whendy", requestId: "abc", msg: "slow" });
+  });
+
+  it("should serialize errors with message and stack", () => {
+    const sink = new MemorySink();
+    new JsonLogger({ sinks: [sink] }).error("failed", { error: new Error("boom") });
+
+    const { error } = JSON.parse(sink.lines[0]);
+    expect(error).toMatchObject({ name: "Error", message: "boom" });
+    expect(error.stack).toContain("boom");
+  });
+
+  it("should not write anything when silent", () => {
+    const sink = new MemorySink();
+    new JsonLogger({ level: "silent", sinks: [sink] }).error("nothing");
+    expect(sink.records).toHaveLength(0);
+  });
+
+  describe("FileSink", () => {
+    let dir: string;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-log-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should rotate files when they exceed the maximum size", () => {
+      const file = path.join(dir, "access.log");
+      const sink = new FileSink({ file, maxSize: 100, maxFiles: 2 });
+      const logger = new JsonLogger({ sinks: [sink] });
+
+      for (let index = 0; index < 10; index++) {
+        logger.info(`line ${index}`);
+      }
+      sink.close();
+
+      expect(fs.existsSync(`${file}.1`)).toBe(true);
+      expect(fs.existsSync(`${file}.2`)).toBe(true);
+      expect(fs.existsSync(`${file}.3`)).toBe(false);
+
+      const last = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      expect(last[last.length - 1].msg).toBe("line 9");
+      expect(fs.statSync(file).size).toBeLessThanOrEqual(100);
+    });
+  });
+
+  it("should log rejected tokens through the JWT logger", () => {
+    const sink = new MemorySink();
+    const jwt = new JWT({ key: "una-clave-secreta-muy-larga-y-compleja", logger: new JsonLogger({ sinks: [sink] }) });
+
+    expect(jwt.verify("invalid")).toBeNull();
+    expect(sink.records[0]).toMatchObject({ level: "warn", msg: "JWT verification failed", reason: "malformed_token" });
+  });
+});
@@ -0,0 +1,62 @@
+import { MetricsRegistry } from "./Metrics";
+
+describe("MetricsRegistry", () => {
+  it("should render counters by label", async () => {
+    const registry = new MetricsRegistry();
+    const requests = registry.counter("requests_total", "Requests");
+
+    requests.inc({ module: "ventas", status: 200 });
+    requests.inc({ status: 200, module: "ventas" });
+    requests.inc({ module: "ventas", status: 500 });
+
+    expect(requests.get({ module: "ventas", status: 200 })).toBe(2);
+    expect(await registry.render()).toBe([
+      "# HELP requests_total Requests",
+      "# TYPE requests_total counter",
+      'requests_total{module="ventas",status="200"} 2',
+      'requests_total{module="ventas",status="500"} 1',
+      "",
+    ].join("\n"));
+  });
+
+  it("should render cumulative histogram buckets", async () => {
+    const registry = new MetricsRegistry();
+    const latency = registry.histogram("latency_seconds", "Latency", [0.1, 1]);
+
+    latency.observe({ module: "a" }, 0.05);
+    latency.observe({ module: "a" }, 0.5);
+    latency.observe({ module: "a" }, 3);
+
+    const text = await registry.render();
+    expect(text).toContain('latency_seconds_bucket{module="a",le="0.1"} 1');
+    expect(text).toContain('latency_seconds_bucket{module="a",le="1"} 2');
+    expect(text).toContain('latency_seconds_bucket{module="a",le="+Inf"} 3');
+    expect(text).toContain('latency_seconds_sum{module="a"} 3.55');
+    expect(text).toContain('latency_seconds_count{module="a"} 3');
+  });
+
+  it("should collect gauges when rendering and skip failing ones", async () => {
+    const registry = new MetricsRegistry();
+    let sessions = 3;
+    registry.gauge("sessions", "Sessions", async () => sessions);
+    registry.gauge("broken", "Broken", () => { throw new Error("unavailable"); });
+
+    expect(await registry.render()).toContain("sessions 3");
+    sessions = 4;
+    const text = await registry.render();
+    expect(text).toContain("sessions 4");
+    expect(text).not.toContain("broken");
+  });
+
+  it("should escape label values", async () => {
+    const registry = new MetricsRegistry();
+    registry.counter("errors_total", "Errors").inc({ category: 'a"b\\c' });
+    expect(await registry.render()).toContain('errors_total{category="a\\"b\\\\c"} 1');
+  });
+
+  it("should reject duplicated metric names", () => {
+    const registry = new MetricsRegistry();
+    registry.counter("x", "X");
+    expect(() => registry.counter("x", "X")).toThrow('Metric "x" already exists');
+  });
+});
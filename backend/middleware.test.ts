@@ -0,0 +1,46 @@
+import { Middleware, runMiddleware } from "./Middleware";
+
+describe("runMiddleware", () => {
+  it("should run middleware in order around the final handler", async () => {
+    const calls: string[] = [];
+    const stack: Middleware<string[]>[] = [
+      async (ctx, next) => { ctx.push("a:in"); await next(); ctx.push("a:out"); },
+      async (ctx, next) => { ctx.push("b:in"); await next(); ctx.push("b:out"); },
+    ];
+
+    const reached = await runMiddleware(stack, calls, () => { calls.push("final"); });
+
+    expect(reached).toBe(true);
+    expect(calls).toEqual(["a:in", "b:in", "final", "b:out", "a:out"]);
+  });
+
+  it("should stop the chain when a middleware does not call next", async () => {
+    const final = jest.fn();
+    const second = jest.fn();
+    const stack: Middleware[] = [() => undefined, second];
+
+    const reached = await runMiddleware(stack, {}, final);
+
+    expect(reached).toBe(false);
+    expect(second).not.toHaveBeenCalled();
+    expect(final).not.toHaveBeenCalled();
+  });
+
+  it("should let middleware rewrite the context", async () => {
+    const context = { url: "/old" };
+    await runMiddleware([async (ctx, next) => { ctx.url = "/new"; await next(); }], context, () => {
+      expect(context.url).toBe("/new");
+    });
+  });
+
+  it("should throw if next() is called twice", async () => {
+    const stack: Middleware[] = [async (_ctx, next) => { await next(); await next(); }];
+    await expect(runMiddleware(stack, {}, () => undefined)).rejects.toThrow("next() called multiple times");
+  });
+
+  it("should run the final handler with an empty stack", async () => {
+    const final = jest.fn();
+    expect(await runMiddleware([], {}, final)).toBe(true);
+    expect(final).toHaveBeenCalledTimes(1);
+  });
+});
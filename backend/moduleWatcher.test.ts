@@ -0,0 +1,81 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { ModuleWatcher } from "./ModuleWatcher";
+
+describe("ModuleWatcher", () => {
+  let dir: string;
+  let watcher: ModuleWatcher;
+
+  const nextChange = () =>
+    new Promise<string>((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("No change event")), 3000);
+      watcher.once("change", (modulePath: string) => {
+        clearTimeout(timer);
+        resolve(modulePath);
+      });
+    });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-modules-"));
+    fs.mkdirSync(path.join(dir, "ventas"));
+    fs.writeFileSync(path.join(dir, "ventas", "config.json"), "{}");
+    watcher = new ModuleWatcher(dir, { debounce: 20 });
+    watcher.start();
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should emit the module path when its config changes", async () => {
+    const change = nextChange();
+    fs.writeFileSync(path.join(dir, "ventas", "config.json"), '{"constants": {}}');
+
+    await expect(change).resolves.toBe("/ventas");
+  });
+
+  it("should emit once per module for a burst of events", async () => {
+    const events: string[] = [];
+    watcher.on("change", (modulePath: string) => events.push(modulePath));
+
+    const change = nextChange();
+    const file = path.join(dir, "ventas", "config.json");
+    fs.writeFileSync(file, "{");
+    fs.writeFileSync(file, "{}");
+    await change;
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    expect(events).toEqual(["/ventas"]);
+  });
+
+  it("should emit when the config is deleted", async () => {
+    const change = nextChange();
+    fs.rmSync(path.join(dir, "ventas", "config.json"));
+
+    await expect(change).resolves.toBe("/ventas");
+  });
+
+  it("should emit when an environment override changes", async () => {
+    const change = nextChange();
+    fs.writeFileSync(path.join(dir, "ventas", "config.production.json"), "{}");
+
+    await expect(change).resolves.toBe("/ventas");
+  });
+
+  it("should ignore files other than config.json", async () => {
+    const events: string[] = [];
+    watcher.on("change", (modulePath: string) => events.push(modulePath));
+
+    fs.writeFileSync(path.join(dir, "ventas", "notes.txt"), "x");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(events).toEqual([]);
+  });
+
+  it("should throw when the directory does not exist", () => {
+    const missing = new ModuleWatcher(path.join(dir, "missing"));
+    expect(() => missing.start()).toThrow();
+  });
+});
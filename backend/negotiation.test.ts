@@ -0,0 +1,104 @@
+import * as http from "http";
+import * as zlib from "zlib";
+import { AddressInfo } from "net";
+import { negotiateEncoding, negotiateFormat, parseQuality, sendCompressed, serialize } from "./Negotiation";
+
+describe("Negotiation", () => {
+  describe("parseQuality", () => {
+    it("should sort values by quality keeping their order", () => {
+      expect(parseQuality("gzip;q=0.5, br, deflate;q=0.5")).toEqual([
+        { value: "br", q: 1 },
+        { value: "gzip", q: 0.5 },
+        { value: "deflate", q: 0.5 },
+      ]);
+    });
+  });
+
+  describe("negotiateEncoding", () => {
+    it("should prefer the server order on equal quality", () => {
+      expect(negotiateEncoding("gzip, deflate, br")).toBe("br");
+      expect(negotiateEncoding("gzip, deflate, br", ["gzip", "br"])).toBe("gzip");
+    });
+
+    it("should respect q values, wildcards and exclusions", () => {
+      expect(negotiateEncoding("br;q=0.1, gzip")).toBe("gzip");
+      expect(negotiateEncoding("*, br;q=0")).toBe("gzip");
+      expect(negotiateEncoding("identity")).toBeNull();
+      expect(negotiateEncoding(undefined)).toBeNull();
+    });
+  });
+
+  describe("negotiateFormat", () => {
+    it("should choose the serializer from Accept", () => {
+      expect(negotiateFormat("application/x-ndjson")).toBe("ndjson");
+      expect(negotiateFormat("text/plain, application/json;q=0.5")).toBe("text");
+      expect(negotiateFormat("text/html, */*")).toBe("json");
+      expect(negotiateFormat()).toBe("json");
+    });
+  });
+
+  describe("serialize", () => {
+    it("should write one element per line in NDJSON", () => {
+      expect(serialize([{ a: 1 }, { b: 2 }], "ndjson")).toEqual({
+        body: '{"a":1}\n{"b":2}\n',
+        contentType: "application/x-ndjson; charset=utf-8",
+      });
+    });
+
+    it("should keep strings as they are", () => {
+      expect(serialize("hola", "json").body).toBe("hola");
+      expect(serialize({ a: 1 }, "text").body).toBe('{\n  "a": 1\n}');
+    });
+  });
+
+  describe("sendCompressed", () => {
+    let server: http.Server;
+    let port: number;
+    const large = JSON.stringify(Array.from({ length: 200 }, (_, id) => ({ id, name: "elemento" })));
+
+    function get(headers: http.OutgoingHttpHeaders): Promise<{ headers: http.IncomingHttpHeaders; body: Buffer }> {
+      return new Promise((resolve, reject) => {
+        http.get({ port, headers }, (res) => {
+          const chunks: Buffer[] = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => resolve({ headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on("error", reject);
+      });
+    }
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        res.setHeader("Vary", "Origin");
+        const body = req.headers["x-small"] ? "{}" : large;
+        sendCompressed(req, res, 200, { "Content-Type": "application/json" }, body, { threshold: 100 });
+      });
+      await new Promise<void>((resolve) => server.listen(0, resolve));
+      port = (server.address() as AddressInfo).port;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should compress large bodies with the negotiated encoding", async () => {
+      const br = await get({ "Accept-Encoding": "br" });
+      expect(br.headers["content-encoding"]).toBe("br");
+      expect(br.headers["content-length"]).toBeUndefined();
+      expect(br.headers["vary"]).toBe("Origin, Accept-Encoding");
+      expect(zlib.brotliDecompressSync(br.body).toString()).toBe(large);
+
+      const gzip = await get({ "Accept-Encoding": "gzip" });
+      expect(zlib.gunzipSync(gzip.body).toString()).toBe(large);
+    });
+
+    it("should send Content-Length when not compressing", async () => {
+      const plain = await get({});
+      expect(plain.headers["content-encoding"]).toBeUndefined();
+      expect(plain.headers["content-length"]).toBe(String(Buffer.byteLength(large)));
+
+      const small = await get({ "Accept-Encoding": "gzip", "X-Small": "1" });
+      expect(small.headers["content-encoding"]).toBeUndefined();
+      expect(small.headers["content-length"]).toBe("2");
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { IncomingMessage, ServerResponse } from "node:http";
+import { isRegistered as isMachineRegistered, Manager, register as registerMachine } from "./Manager";
+import { Memory } from "./Memory";
+import { clientIp, createStore, isRegistered, MemoryRateLimitStore, RateLimiter, register, takeTokens } from "./RateLimit";
+
+function mockRequest(remoteAddress: string, headers: { [key: string]: string } = {}): IncomingMessage {
+  return { headers, socket: { remoteAddress } } as unknown as IncomingMessage;
+}
+
+describe("RateLimit", () => {
+  let now = 1_000_000;
+
+  beforeEach(() => {
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("takeTokens", () => {
+    const spec = { capacity: 10, refillRate: 1, cost: 1 };
+
+    it("should refill tokens over time up to the capacity", () => {
+      expect(takeTokens(0, 5, spec).result).toMatchObject({ allowed: true, remaining: 4 });
+      expect(takeTokens(0, 500, spec).result).toMatchObject({ allowed: true, remaining: 9, reset: 1 });
+    });
+
+    it("should report when to retry a rejected request", () => {
+      expect(takeTokens(0.25, 0, { ...spec, refillRate: 0.5 }).result).toEqual({
+        allowed: false,
+        remaining: 0,
+        reset: 20,
+        retryAfter: 2,
+      });
+    });
+  });
+
+  describe("RateLimiter", () => {
+    it("should allow a burst up to the capacity and then reject", async () => {
+      const limiter = new RateLimiter({ capacity: 3, window: 60 }, new MemoryRateLimitStore());
+      const key = limiter.key(mockRequest("10.0.0.1"));
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await limiter.consume(key));
+      }
+
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+      expect(limiter.headers(results[3])).toEqual({
+        "RateLimit-Policy": "3;w=60",
+        "RateLimit-Limit": "3",
+        "RateLimit-Remaining": "0",
+        "RateLimit-Reset": "60",
+        "Retry-After": "20",
+      });
+
+      now += 20 * 1000;
+      expect((await limiter.consume(key)).allowed).toBe(true);
+    });
+
+    it("should keep separate buckets per client", async () => {
+      const limiter = new RateLimiter({ capacity: 1 }, new MemoryRateLimitStore());
+
+      expect((await limiter.consume(limiter.key(mockRequest("10.0.0.1")))).allowed).toBe(true);
+      expect((await limiter.consume(limiter.key(mockRequest("10.0.0.2")))).allowed).toBe(true);
+      expect((await limiter.consume(limiter.key(mockRequest("10.0.0.1")))).allowed).toBe(false);
+    });
+
+    it("should key by JWT subject, session or IP", () => {
+      const req = mockRequest("10.0.0.1");
+      const subject = new RateLimiter({ capacity: 1, key: "subject" }, new MemoryRateLimitStore(), "ventas");
+      const session = new RateLimiter({ capacity: 1, key: "session" }, new MemoryRateLimitStore());
+
+      expect(subject.key(req, { subject: "u1", sessionId: "s1" })).toBe("ventas:sub:u1");
+      expect(subject.key(req, { sessionId: "s1" })).toBe("ventas:sid:s1");
+      expect(session.key(req, { subject: "u1", sessionId: "s1" })).toBe("global:sid:s1");
+      expect(session.key(req)).toBe("global:ip:10.0.0.1");
+    });
+
+    it("should fall back to the IP for a request without a session", async () => {
+      if (!isMachineRegistered("memory")) registerMachine("memory", Memory);
+      const manager = new Manager({ cookieName: "whsessionid" });
+      const limiter = new RateLimiter({ capacity: 1, key: "session" }, new MemoryRateLimitStore());
+      const res = { setHeader: jest.fn(), getHeader: jest.fn() } as unknown as ServerResponse;
+
+      // Sin cookie (o con un ID inventado) no hay sesión: cada intento cuenta para la misma IP
+      for (const cookie of [undefined, "whsessionid=forged-1", "whsessionid=forged-2"]) {
+        const req = mockRequest("10.0.0.1", cookie ? { cookie } : {});
+        const sessionId = await manager.currentId(req, res);
+        expect(limiter.key(req, { sessionId })).toBe("global:ip:10.0.0.1");
+      }
+      expect(limiter.keyType).toBe("session");
+      expect(res.setHeader).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid capacity", () => {
+      expect(() => new RateLimiter({ capacity: 0 }, new MemoryRateLimitStore())).toThrow("capacity");
+    });
+  });
+
+  it("should read the client IP from X-Forwarded-For only when trusted", () => {
+    const req = mockRequest("10.0.0.1", { "x-forwarded-for": "203.0.113.5, 10.0.0.1" });
+    expect(clientIp(req)).toBe("10.0.0.1");
+    expect(clientIp(req, true)).toBe("203.0.113.5");
+  });
+
+  it("should forget buckets that are full again", () => {
+    const store = new MemoryRateLimitStore();
+    store.consume("a", { capacity: 2, refillRate: 1, cost: 1 }, now);
+    expect(store.size).toBe(1);
+
+    store.gc(now + 2000);
+    expect(store.size).toBe(0);
+  });
+
+  it("should create registered stores", () => {
+    class CustomStore extends MemoryRateLimitStore {}
+    if (!isRegistered("custom")) register("custom", CustomStore);
+
+    expect(createStore("custom")).toBeInstanceOf(CustomStore);
+    expect(() => register("memory", MemoryRateLimitStore)).toThrow('Rate limit store "memory" already exists');
+    expect(() => createStore("missing")).toThrow('Rate limit store "missing" not registered');
+  });
+});
@@ -0,0 +1,46 @@
+import { checkConnections, checkReadiness, runCheck } from "./Readiness";
+
+describe("Readiness", () => {
+  it("should report each check and be ready only if all pass", async () => {
+    const result = await checkReadiness({ accepting: () => true, database: async () => true, modules: () => false }, 100);
+    expect(result).toEqual({ ready: false, checks: { accepting: true, database: true, modules: false } });
+  });
+
+  it("should count errors and timeouts as not ready", async () => {
+    jest.useFakeTimers();
+    try {
+      const slow = runCheck(() => new Promise<boolean>(() => undefined), 50);
+      jest.advanceTimersByTime(50);
+      await expect(slow).resolves.toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+    await expect(runCheck(() => { throw new Error("down"); }, 50)).resolves.toBe(false);
+  });
+
+  describe("checkConnections", () => {
+    function stubAdmin(fail?: string) {
+      const query = jest.fn(async (sql: string) => {
+        if (fail) throw new Error(fail);
+        return [{ ok: sql }];
+      });
+      const get = jest.fn((name: string) => (name === "main" || name === "logs" ? { query } : undefined));
+      return { get, query };
+    }
+
+    it("should query every configured connection on the shared admin", async () => {
+      const admin = stubAdmin();
+
+      await expect(checkConnections(admin, ["main", "logs"])).resolves.toBe(true);
+      await expect(checkConnections(admin, ["main", "logs"])).resolves.toBe(true);
+      expect(admin.get).toHaveBeenCalledTimes(4);
+      expect(admin.query).toHaveBeenCalledWith("SELECT 1");
+    });
+
+    it("should fail for a missing connection or a failing query", async () => {
+      await expect(checkConnections(stubAdmin(), ["main", "other"])).resolves.toBe(false);
+      const result = await checkReadiness({ database: () => checkConnections(stubAdmin("ECONNREFUSED"), ["main"]) }, 100);
+      expect(result).toEqual({ ready: false, checks: { database: false } });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { Router, compilePattern } from "./Router";
+
+describe("Router", () => {
+  let router: Router;
+  const handler = jest.fn();
+
+  beforeEach(() => {
+    router = new Router();
+    router.get("/users/:id", handler);
+    router.put("/users/:id", handler);
+    router.get("/files/*", handler);
+    router.get("/", handler);
+  });
+
+  describe("match", () => {
+    it("should extract named params", () => {
+      const match = router.match("GET", "/users/42");
+      expect(match.handler).toBe(handler);
+      expect(match.params).toEqual({ id: "42" });
+    });
+
+    it("should decode params and tolerate a trailing slash", () => {
+      const match = router.match("get", "/users/juan%20perez/");
+      expect(match.params).toEqual({ id: "juan perez" });
+    });
+
+    it("should capture wildcard segments", () => {
+      expect(router.match("GET", "/files/a/b/c.txt").params).toEqual({ "*": "a/b/c.txt" });
+      expect(router.match("GET", "/files").params).toEqual({ "*": "" });
+    });
+
+    it("should match the root path", () => {
+      expect(router.match("GET", "/").handler).toBe(handler);
+    });
+
+    it("should report allowed methods when only the path matches", () => {
+      const match = router.match("DELETE", "/users/42");
+      expect(match.handler).toBeUndefined();
+      expect(match.allowed).toEqual(["GET", "PUT"]);
+    });
+
+    it("should return no handler and no allowed methods for unknown paths", () => {
+      const match = router.match("GET", "/unknown/path");
+      expect(match.handler).toBeUndefined();
+      expect(match.allowed).toEqual([]);
+    });
+  });
+
+  describe("compilePattern", () => {
+    it("should escape literal segments", () => {
+      const { regex } = compilePattern("/api/v1.0/items");
+      expect(regex.test("/api/v1.0/items")).toBe(true);
+      expect(regex.test("/api/v1x0/items")).toBe(false);
+    });
+
+    it("should throw if the wildcard is not the last segment", () => {
+      expect(() => compilePattern("/files/*/meta")).toThrow("Wildcard must be the last segment");
+    });
+  });
+});
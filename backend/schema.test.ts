@@ -0,0 +1,208 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { execSync, spawnSync } from "child_process";
+import * as ts from "typescript";
+import { ConfigValidationError, validate } from "./Schema";
+import { validateModuleConfig, validateModules, validateServerOptions } from "./ConfigSchema";
+import { loadJsonFile } from "./Tool";
+
+describe("Schema", () => {
+  it("should report every violation with its JSON pointer", () => {
+    const schema = {
+      type: "object" as const,
+      required: ["name"],
+      properties: {
+        port: { type: "integer" as const, minimum: 1 },
+        tags: { type: "array" as const, items: { type: "string" as const } },
+      },
+      additionalProperties: false,
+    };
+
+    const violations = validate(schema, { port: 0, tags: ["a", 2], "a/b": true });
+
+    expect(violations.map(({ pointer, keyword }) => [pointer, keyword])).toEqual([
+      ["", "required"],
+      ["/port", "minimum"],
+      ["/tags/1", "type"],
+      ["/a~1b", "additionalProperties"],
+    ]);
+  });
+
+  it("should resolve definitions and anyOf", () => {
+    const schema = {
+      definitions: { flag: { type: "boolean" as const } },
+      anyOf: [{ $ref: "#/definitions/flag" }, { enum: ["auto"] }],
+    };
+
+    expect(validate(schema, true)).toEqual([]);
+    expect(validate(schema, "auto")).toEqual([]);
+    expect(validate(schema, "other")).toHaveLength(1);
+  });
+});
+
+describe("Module config schema", () => {
+  it("should accept a complete module config", () => {
+    const config = {
+      constants: { title: "Ventas" },
+      db: [{ name: "main", driver: "mysql", host: "localhost", port: 3306, dbase: "ventas" }],
+      init: { shop: [{ api: "form", method: "load" }] },
+      middleware: ["audit"],
+      access: { default: "deny", rules: { "form.*": ["admin"], report: { permissions: ["read"] } } },
+      cors: { origin: "https://*.example.com", credentials: true },
+      rateLimit: { capacity: 10, window: 60, key: "subject" },
+    };
+
+    expect(validateModuleConfig(config)).toEqual([]);
+  });
+
+  it("should point at typos and wrong types", () => {
+    const violations = validateModuleConfig({
+      inti: {},
+      middleware: "audit",
+      db: ["mysql"],
+      rateLimit: { window: 60 },
+    });
+
+    expect(violations.map((violation) => violation.pointer)).toEqual([
+      "/inti",
+      "/middleware",
+      "/db/0",
+      "/rateLimit",
+    ]);
+  });
+
+  it("should accept connection fields and driver-specific options", () => {
+    expect(validateModuleConfig({
+      db: [
+        { name: "main", type: "postgres", ssl: { rejectUnauthorized: false }, pool: 10 },
+        { name: "local", driver: "sqlite", file: "data.db", options: { busyTimeout: 500 } },
+      ],
+    })).toEqual([]);
+  });
+
+  it("should point at misspelled or wrongly typed connection fields", () => {
+    const violations = validateModuleConfig({
+      appStore: {},
+      db: [
+        { name: "main", driver: "mysql", hots: "localhost", port: "3306" },
+        { name: "backup", dbase: "ventas" },
+      ],
+    });
+
+    expect(violations.map(({ pointer, keyword }) => [pointer, keyword])).toEqual([
+      ["/appStore", "additionalProperties"],
+      ["/db/0/hots", "additionalProperties"],
+      ["/db/0/port", "type"],
+      ["/db/1", "required"],
+    ]);
+  });
+
+  it("should throw a ConfigValidationError from loadJsonFile", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-schema-"));
+    const file = path.join(dir, "config.json");
+    fs.writeFileSync(file, JSON.stringify({ cache: "yes" }));
+
+    try {
+      const error = await loadJsonFile(file, { properties: { cache: { type: "boolean" } } }).catch((e) => e);
+      expect(error).toBeInstanceOf(ConfigValidationError);
+      expect(error.violations).toEqual([{ pointer: "/cache", keyword: "type", message: "must be boolean, got string" }]);
+      expect(error.message).toContain("/cache: must be boolean");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should validate every module of a directory", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-modules-"));
+    const write = (name: string, content: string) => {
+      fs.mkdirSync(path.join(dir, name));
+      fs.writeFileSync(path.join(dir, name, "config.json"), content);
+    };
+    write("compras", "{ broken");
+    write("ventas", JSON.stringify({ constants: {} }));
+    write("stock", JSON.stringify({ db: {} }));
+    fs.mkdirSync(path.join(dir, "empty"));
+
+    try {
+      const reports = await validateModules(dir);
+
+      expect(reports.map((report) => [path.basename(path.dirname(report.file)), report.violations.map((v) => v.pointer)])).toEqual([
+        ["compras", [""]],
+        ["stock", ["/db"]],
+        ["ventas", []],
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("Server options schema", () => {
+  it("should accept non-JSON values where options allow them", () => {
+    const options = {
+      port: 8080,
+      cors: { origin: /\.example\.com$/ },
+      logger: { info: () => undefined },
+      monitoring: { checks: { cache: () => true } },
+      rateLimit: { capacity: 100, store: "memory" },
+    };
+
+    expect(validateServerOptions(options)).toEqual([]);
+  });
+
+  it("should report unknown options and invalid values", () => {
+    const violations = validateServerOptions({ prot: 8080, authMode: "token", static: [{ path: "assets" }] });
+
+    expect(violations.map((violation) => violation.pointer)).toEqual([
+      "/prot",
+      "/authMode",
+      "/static/0",
+      "/static/0/path",
+    ]);
+  });
+});
+
+describe("validate:config", () => {
+  const root = path.join(__dirname, "..");
+  const scripts = JSON.parse(fs.readFileSync(path.join(root, "package.json"), "utf8")).scripts;
+
+  it("should run the compiled validator in a \"type\": \"module\" package", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-cli-"));
+    const out = path.join(dir, "dist", "backend");
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ type: "module" }));
+
+    // Lo que hace npm run build: tsc emite CommonJS en dist/ y postbuild lo marca como tal
+    for (const name of ["Schema", "Tool", "ConfigSchema"]) {
+      const source = fs.readFileSync(path.join(__dirname, `${name}.ts`), "utf8");
+      const { outputText } = ts.transpileModule(source, {
+        compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2022, esModuleInterop: true },
+      });
+      fs.writeFileSync(path.join(out, `${name}.js`), outputText);
+    }
+    execSync(scripts.postbuild, { cwd: dir });
+
+    const modules = path.join(dir, "modules");
+    fs.mkdirSync(path.join(modules, "ventas"), { recursive: true });
+    fs.writeFileSync(path.join(modules, "ventas", "config.json"), JSON.stringify({ constants: {}, middleware: ["audit"] }));
+
+    try {
+      const run = (...args: string[]) => spawnSync(`${scripts["validate:config"]} ${args.join(" ")}`, { cwd: dir, shell: true, encoding: "utf8" });
+
+      const valid = run(modules);
+      expect(valid.stderr).toBe("");
+      expect(valid.stdout).toBe("1 module config(s) checked, 0 invalid\n");
+      expect(valid.status).toBe(0);
+
+      fs.writeFileSync(path.join(modules, "ventas", "config.json"), JSON.stringify({ middleware: "audit" }));
+      const invalid = run(modules);
+      expect(invalid.stderr).toContain("/middleware");
+      expect(invalid.status).toBe(1);
+
+      expect(JSON.parse(run("--schema", "module").stdout).title).toBe("ModuleConfig");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,429 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { IncomingMessage, ServerResponse } from "node:http";
+import { Manager, mergeSessionData, register, isRegistered } from "./Manager";
+import { checkAccess, getSubject } from "./AccessControl";
+import { Memory } from "./Memory";
+import { FileMachine } from "./FileMachine";
+import { SQLiteMachine } from "./SQLiteMachine";
+
+const hasSqlite = (() => {
+  try {
+    require("node:sqlite");
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+function mockRequest(cookie?: string): IncomingMessage {
+  return { headers: cookie ? { cookie } : {} } as IncomingMessage;
+}
+
+function mockResponse(): ServerResponse & { headers: { [key: string]: any } } {
+  const headers: { [key: string]: any } = {};
+  return {
+    headers,
+    getHeader: (name: string) => headers[name.toLowerCase()],
+    setHeader: (name: string, value: any) => {
+      headers[name.toLowerCase()] = value;
+    },
+  } as any;
+}
+
+function sessionCookie(res: { headers: { [key: string]: any } }, name = "whsessionid"): string | undefined {
+  const cookies: string[] = res.headers["set-cookie"] ?? [];
+  const cookie = cookies.find((value) => value.startsWith(`${name}=`));
+  return cookie?.split(";")[0].slice(name.length + 1);
+}
+
+beforeAll(() => {
+  for (const [name, machine] of Object.entries({ memory: Memory, file: FileMachine, sqlite: SQLiteMachine })) {
+    if (!isRegistered(name)) register(name, machine);
+  }
+});
+
+describe("Manager", () => {
+  it("should throw when registering the same machine twice", () => {
+    expect(() => register("memory", Memory)).toThrow('Machine "memory" already exists');
+  });
+
+  it("should throw for an unknown machine type", () => {
+    expect(() => new Manager({ cookieName: "sid", machineType: "redis" })).toThrow('Machine type "redis" not registered');
+  });
+
+  it("should create a session and issue a cookie", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+
+    expect(session.getSessionId()).toBe(sessionCookie(res));
+  });
+
+  it("should count the sessions stored in the machine", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", machineType: "memory" });
+    expect(await manager.count()).toBe(0);
+
+    await manager.start(mockRequest(), mockResponse());
+    await manager.start(mockRequest(), mockResponse());
+    expect(await manager.count()).toBe(2);
+  });
+
+  it("should close the machine on shutdown", async () => {
+    const close = jest.fn();
+    class ClosableMachine extends Memory {
+      close = close;
+    }
+    if (!isRegistered("closable")) register("closable", ClosableMachine);
+
+    const manager = new Manager({ cookieName: "whsessionid", machineType: "closable", maxLifeTime: 60 });
+    await manager.shutdown();
+
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+
+  it("should reuse the session from the cookie", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+    session.set("user", "ana");
+
+    const again = await manager.start(mockRequest(`whsessionid=${sessionCookie(res)}`), mockResponse());
+    expect(again.get("user")).toBe("ana");
+  });
+
+  it("should read the current session ID without creating a session", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+
+    const probe = mockResponse();
+    expect(await manager.currentId(mockRequest(`whsessionid=${sessionCookie(res)}`), probe)).toBe(session.id);
+    expect(await manager.currentId(mockRequest(), probe)).toBeUndefined();
+    expect(await manager.currentId(mockRequest("whsessionid=unknown-id"), probe)).toBeUndefined();
+    expect(probe.headers["set-cookie"]).toBeUndefined();
+    expect(await manager.count()).toBe(1);
+  });
+});
+
+describe("FileMachine", () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-sessions-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should persist sessions across manager instances", async () => {
+    const config = { cookieName: "whsessionid", machineType: "file", machineOptions: { dir } };
+    const res = mockResponse();
+    const session = await new Manager(config).start(mockRequest(), res);
+    session.set("locale", "es");
+    await new Manager(config).save(session);
+
+    const restored = await new Manager(config).start(mockRequest(`whsessionid=${sessionCookie(res)}`), mockResponse());
+    expect(restored.get("locale")).toBe("es");
+  });
+
+  it("should destroy sessions", async () => {
+    const machine = new FileMachine({ dir });
+    await machine.init("abc");
+    expect(await machine.read("abc")).toBeDefined();
+
+    await machine.destroy("abc");
+    expect(await machine.read("abc")).toBeUndefined();
+    expect(await machine.count()).toBe(0);
+  });
+
+  it("should not read IDs that are not valid file names", async () => {
+    const machine = new FileMachine({ dir });
+    expect(await machine.read("../../etc/passwd")).toBeUndefined();
+    await expect(machine.init("../escape")).rejects.toThrow("Invalid session ID");
+  });
+});
+
+(hasSqlite ? it.skip : it)("should explain the Node requirement when node:sqlite is missing", () => {
+  expect(() => new SQLiteMachine({ file: ":memory:" })).toThrow(/requires node:sqlite \(Node 22\.13\+/);
+});
+
+(hasSqlite ? describe : describe.skip)("SQLiteMachine", () => {
+  it("should write, read and destroy sessions", async () => {
+    const machine = new SQLiteMachine({ file: ":memory:" });
+    const session = await machine.init("abc");
+    session.set("app", "ventas");
+    await machine.write(session);
+
+    expect((await machine.read("abc"))?.get("app")).toBe("ventas");
+    expect(await machine.count()).toBe(1);
+
+    await machine.destroy("abc");
+    expect(await machine.read("abc")).toBeUndefined();
+    machine.close();
+  });
+});
+
+describe("Session expiry", () => {
+  let now: number;
+  let dateNow: jest.SpyInstance;
+
+  beforeEach(() => {
+    now = 1750021744000;
+    dateNow = jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    dateNow.mockRestore();
+  });
+
+  it("should touch the session on every start", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", idleTimeout: 60 });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+
+    now += 30 * 1000;
+    await manager.start(mockRequest(`whsessionid=${sessionCookie(res)}`), mockResponse());
+    expect(session.lastAccess).toBe(now);
+    manager.close();
+  });
+
+  it("should issue a new ID and cookie for an idle session", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", idleTimeout: 60 });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+    session.set("user", "ana");
+
+    now += 61 * 1000;
+    const res2 = mockResponse();
+    const renewed = await manager.start(mockRequest(`whsessionid=${session.id}`), res2);
+
+    expect(renewed.id).not.toBe(session.id);
+    expect(renewed.get("user")).toBeUndefined();
+    expect(sessionCookie(res2)).toBe(renewed.id);
+    manager.close();
+  });
+
+  it("should expire sessions after maxLifeTime even if active", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", maxLifeTime: 120, idleTimeout: 60 });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+
+    for (let i = 0; i < 4; i++) {
+      now += 40 * 1000;
+      const current = await manager.start(mockRequest(`whsessionid=${session.id}`), mockResponse());
+      expect(current.id === session.id).toBe(i < 2);
+    }
+    manager.close();
+  });
+
+  it("should remove expired sessions when collecting garbage", async () => {
+    const machine = new Memory();
+    machine.init("old");
+    now += 100 * 1000;
+    machine.init("new");
+
+    expect(machine.gc({ idleTimeout: 60 })).toBe(1);
+    expect(Object.keys(machine.sessions)).toEqual(["new"]);
+  });
+
+  it("should run the sweeper periodically until closed", async () => {
+    jest.useFakeTimers({ doNotFake: ["Date"] });
+    const manager = new Manager({ cookieName: "whsessionid", idleTimeout: 60, gcInterval: 30 });
+    const gc = jest.spyOn(manager, "gc").mockResolvedValue(0);
+
+    jest.advanceTimersByTime(61 * 1000);
+    expect(gc).toHaveBeenCalledTimes(2);
+
+    manager.close();
+    jest.advanceTimersByTime(61 * 1000);
+    expect(gc).toHaveBeenCalledTimes(2);
+    jest.useRealTimers();
+  });
+
+  it("should report sweeper errors through the logger", async () => {
+    jest.useFakeTimers({ doNotFake: ["Date"] });
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), child: jest.fn() };
+    const manager = new Manager({ cookieName: "whsessionid", idleTimeout: 60, gcInterval: 30, logger });
+    const failure = new Error("disk full");
+    jest.spyOn(manager, "gc").mockRejectedValue(failure);
+
+    jest.advanceTimersByTime(31 * 1000);
+    manager.close();
+    jest.useRealTimers();
+    await Promise.resolve();
+
+    expect(logger.error).toHaveBeenCalledWith("Session GC error", { error: failure, machine: "memory" });
+  });
+
+  it("should collect expired sessions from a FileMachine", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-sessions-"));
+    const machine = new FileMachine({ dir });
+    await machine.init("old");
+    now += 100 * 1000;
+    await machine.init("new");
+
+    expect(await machine.gc({ idleTimeout: 60 })).toBe(1);
+    expect(await machine.read("old")).toBeUndefined();
+    expect(await machine.read("new")).toBeDefined();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  (hasSqlite ? it : it.skip)("should collect expired sessions from a SQLiteMachine", async () => {
+    const machine = new SQLiteMachine({ file: ":memory:" });
+    await machine.init("old");
+    now += 100 * 1000;
+    await machine.init("new");
+
+    expect(await machine.gc({ maxLifeTime: 60 })).toBe(1);
+    expect(await machine.read("new")).toBeDefined();
+    machine.close();
+  });
+});
+
+describe("Session fixation", () => {
+  it("should replace unknown IDs with a server-generated one", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest("whsessionid=attacker-chosen-id"), res);
+
+    expect(session.id).not.toBe("attacker-chosen-id");
+    expect(sessionCookie(res)).toBe(session.id);
+  });
+
+  it("should move the data to a new ID when regenerating", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const session = await manager.start(mockRequest(), mockResponse());
+    session.set("user", "ana");
+
+    const res = mockResponse();
+    const renewed = await manager.regenerate(mockRequest(`whsessionid=${session.id}`), res, session);
+
+    expect(renewed.id).not.toBe(session.id);
+    expect(renewed.get("user")).toBe("ana");
+    expect(sessionCookie(res)).toBe(renewed.id);
+
+    const current = await manager.start(mockRequest(`whsessionid=${renewed.id}`), mockResponse());
+    expect(current.id).toBe(renewed.id);
+  });
+
+  it("should reject replays of destroyed IDs", async () => {
+    const manager = new Manager({ cookieName: "whsessionid" });
+    const session = await manager.start(mockRequest(), mockResponse());
+    await manager.regenerate(mockRequest(), mockResponse(), session);
+
+    expect(manager.wasDestroyed(session.id)).toBe(true);
+    const replay = await manager.start(mockRequest(`whsessionid=${session.id}`), mockResponse());
+    expect(replay.id).not.toBe(session.id);
+    expect(await manager.create(session.id)).not.toHaveProperty("id", session.id);
+  });
+
+  it("should forget destroyed IDs after the replay window", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", replayWindow: 10 });
+    const session = await manager.start(mockRequest(), mockResponse());
+    await manager.destroy(mockRequest(), mockResponse(), session.id);
+    expect(manager.wasDestroyed(session.id)).toBe(true);
+
+    const dateNow = jest.spyOn(Date, "now").mockReturnValue(Date.now() + 11 * 1000);
+    expect(manager.wasDestroyed(session.id)).toBe(false);
+    dateNow.mockRestore();
+  });
+});
+
+describe("Signed session cookies", () => {
+  const secret = "una-clave-secreta-muy-larga-y-compleja";
+
+  it("should issue a signed cookie and accept it back", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", secret });
+    const res = mockResponse();
+    const session = await manager.start(mockRequest(), res);
+
+    const raw = decodeURIComponent(sessionCookie(res) ?? "");
+    expect(raw.startsWith(`s:${session.id}.`)).toBe(true);
+
+    const again = await manager.start(mockRequest(`whsessionid=${sessionCookie(res)}`), mockResponse());
+    expect(again.id).toBe(session.id);
+  });
+
+  it("should ignore an unsigned session cookie", async () => {
+    const manager = new Manager({ cookieName: "whsessionid", secret });
+    const session = await manager.start(mockRequest(), mockResponse());
+
+    const again = await manager.start(mockRequest(`whsessionid=${session.id}`), mockResponse());
+    expect(again.id).not.toBe(session.id);
+  });
+});
+
+describe("Session namespaces", () => {
+  it("should not accept the session of another app sharing the machine", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-apps-"));
+    const config = { machineType: "file", machineOptions: { dir } };
+    const ventas = new Manager({ ...config, cookieName: "whsessionid_ventas", namespace: "ventas" });
+    const compras = new Manager({ ...config, cookieName: "whsessionid_compras", namespace: "compras" });
+    const base = new Manager({ ...config, cookieName: "whsessionid" });
+
+    const res = mockResponse();
+    const login = await ventas.start(mockRequest(), res);
+    login.set("roles", ["admin"]);
+    await ventas.save(login);
+    const id = sessionCookie(res, "whsessionid_ventas");
+    expect(id).toMatch(/^ventas\./);
+
+    // El ID de ventas copiado en la cookie de otra aplicación no abre su sesión
+    const copied = mockResponse();
+    const session = await compras.start(mockRequest(`whsessionid_compras=${id}`), copied);
+    expect(session.id).not.toBe(login.id);
+    expect(session.id).toMatch(/^compras\./);
+    expect(session.get("roles")).toBeUndefined();
+    expect(sessionCookie(copied, "whsessionid_compras")).toBe(session.id);
+    expect(await base.currentId(mockRequest(`whsessionid=${id}`), mockResponse())).toBeUndefined();
+
+    expect((await ventas.start(mockRequest(`whsessionid_ventas=${id}`), mockResponse())).get("roles")).toEqual(["admin"]);
+    expect(() => new Manager({ cookieName: "x", namespace: "a/b" })).toThrow('Invalid session namespace "a/b"');
+
+    await Promise.all([ventas.shutdown(), compras.shutdown(), base.shutdown()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe("Session data in cookie mode", () => {
+  const access = { default: "deny" as const, rules: { "users.*": ["admin"] } };
+  const constants = { title: "Whendy", theme: "light" };
+
+  // Lo que hace Server en cada solicitud: iniciar la sesión y combinar las constantes
+  async function request(manager: Manager, res: ReturnType<typeof mockResponse>, cookie?: string) {
+    const session = await manager.start(mockRequest(cookie), res);
+    mergeSessionData(session, constants);
+    mergeSessionData(session, { theme: "dark" });
+    return session;
+  }
+
+  it("should keep the roles stored at login across requests", async () => {
+    for (const machineType of ["memory", "file"]) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-roles-"));
+      const manager = new Manager({ cookieName: "whsessionid", machineType, machineOptions: { dir } });
+
+      // Login: la aplicación guarda los roles en la sesión
+      const res = mockResponse();
+      const login = await request(manager, res);
+      login.set("roles", ["admin"]);
+      await manager.save(login);
+
+      const session = await request(manager, mockResponse(), `whsessionid=${sessionCookie(res)}`);
+      expect(session.id).toBe(login.id);
+      expect(session.getData()).toEqual({ title: "Whendy", theme: "dark", roles: ["admin"] });
+      expect(checkAccess(access, getSubject(session.getData(), access), "users", "list")).toBeNull();
+      expect(checkAccess(access, getSubject(constants, access), "users", "list")).not.toBeNull();
+
+      // Un __app_store del cliente no puede cambiar los roles
+      mergeSessionData(session, { roles: ["root"], page: 2 }, ["roles", "permissions"]);
+      expect(session.get("roles")).toEqual(["admin"]);
+      expect(session.get("page")).toBe(2);
+
+      await manager.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import { Drainer, listenSignals, runShutdownHooks } from "./Shutdown";
+
+function mockLogger() {
+  return { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), child: jest.fn() };
+}
+
+// Servidor cuyas respuestas quedan pendientes hasta llamar a release()
+async function startServer(drainer: Drainer) {
+  const pending: (() => void)[] = [];
+  const server = http.createServer((req, res) => {
+    if (!drainer.track(res)) return;
+    pending.push(() => res.end("done"));
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const port = (server.address() as AddressInfo).port;
+  const release = () => pending.splice(0).forEach((end) => end());
+  return { server, port, pending, release };
+}
+
+function get(port: number): Promise<{ status?: number; headers: http.IncomingHttpHeaders; body: string }> {
+  return new Promise((resolve, reject) => {
+    http.get({ host: "127.0.0.1", port, path: "/" }, (res) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on("error", reject);
+  });
+}
+
+async function waitFor(condition: () => boolean) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe("Shutdown", () => {
+  describe("Drainer", () => {
+    it("should let an in-flight request finish and refuse new connections", async () => {
+      const drainer = new Drainer();
+      const { server, port, pending, release } = await startServer(drainer);
+
+      const inFlight = get(port);
+      await waitFor(() => pending.length === 1);
+      expect(drainer.inFlight).toBe(1);
+
+      const drained = drainer.drain(server, { timeout: 5000 });
+      expect(drainer.isDraining).toBe(true);
+      await expect(get(port)).rejects.toMatchObject({ code: "ECONNREFUSED" });
+
+      release();
+      const response = await inFlight;
+      expect(response).toMatchObject({ status: 200, body: "done" });
+      expect(response.headers.connection).toBe("close");
+      await expect(drained).resolves.toBe(true);
+      expect(drainer.isDraining).toBe(false);
+      expect(drainer.inFlight).toBe(0);
+    });
+
+    it("should answer 503 to requests that arrive while draining", async () => {
+      const drainer = new Drainer();
+      const { server, port, pending, release } = await startServer(drainer);
+
+      const first = get(port);
+      await waitFor(() => pending.length === 1);
+      const drained = drainer.drain(server, { timeout: 5000 });
+
+      // Una respuesta creada durante el apagado se rechaza
+      const res = { writeHead: jest.fn(), end: jest.fn() } as unknown as http.ServerResponse;
+      expect(drainer.track(res)).toBe(false);
+      expect(res.writeHead).toHaveBeenCalledWith(503, { "Connection": "close", "Retry-After": "5" });
+
+      release();
+      await first;
+      await drained;
+    });
+
+    it("should close the remaining connections when the timeout expires", async () => {
+      const drainer = new Drainer();
+      const logger = mockLogger();
+      const { server, port, pending } = await startServer(drainer);
+
+      const stuck = get(port);
+      await waitFor(() => pending.length === 1);
+
+      await expect(drainer.drain(server, { timeout: 50, logger })).resolves.toBe(false);
+      await expect(stuck).rejects.toMatchObject({ code: "ECONNRESET" });
+      expect(logger.warn).toHaveBeenCalledWith("Shutdown deadline reached, closing connections", { inFlight: 1 });
+    });
+  });
+
+  it("should run every hook in order even if one fails", async () => {
+    const logger = mockLogger();
+    const calls: string[] = [];
+    const failure = new Error("pool closed");
+
+    await runShutdownHooks([
+      () => { calls.push("db"); },
+      async () => { calls.push("cache"); throw failure; },
+      async () => { calls.push("timers"); },
+    ], logger);
+
+    expect(calls).toEqual(["db", "cache", "timers"]);
+    expect(logger.error).toHaveBeenCalledWith("Shutdown hook failed", { error: failure });
+  });
+
+  it("should listen to the configured signals until unlistened", () => {
+    const handler = jest.fn();
+    const before = process.listenerCount("SIGUSR2");
+
+    const unlisten = listenSignals(["SIGUSR2"], handler);
+    expect(process.listenerCount("SIGUSR2")).toBe(before + 1);
+    process.emit("SIGUSR2", "SIGUSR2");
+    expect(handler).toHaveBeenCalledWith("SIGUSR2");
+    expect(process.listenerCount("SIGUSR2")).toBe(before);
+
+    listenSignals(["SIGUSR2"], handler)();
+    expect(process.listenerCount("SIGUSR2")).toBe(before);
+    unlisten();
+
+    const defaults = listenSignals(true, handler);
+    expect(process.listeners("SIGTERM")).toContain(handler);
+    expect(process.listeners("SIGINT")).toContain(handler);
+    defaults();
+    expect(process.listeners("SIGTERM")).not.toContain(handler);
+    expect(listenSignals(false, handler)).toEqual(expect.any(Function));
+  });
+});
@@ -0,0 +1,124 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as http from "http";
+import { AddressInfo } from "net";
+import { parseRange, resolveSafePath, serveStatic, StaticMount } from "./Static";
+
+interface Reply {
+  status: number;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+describe("Static", () => {
+  let root: string;
+  let server: http.Server;
+  let port: number;
+  const mount: StaticMount = { path: "/assets", root: "", fallback: "index.html", maxAge: 60 };
+
+  function request(pathname: string, headers: http.OutgoingHttpHeaders = {}, method = "GET"): Promise<Reply> {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ port, path: pathname, headers, method }, (res) => {
+        const chunks: Buffer[] = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ status: res.statusCode!, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+      });
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-static-"));
+    mount.root = root;
+    fs.writeFileSync(path.join(root, "index.html"), "<h1>app</h1>");
+    fs.writeFileSync(path.join(root, "app.js"), "console.log('hola');");
+    fs.writeFileSync(path.join(root, "app.js.gz"), "gzipped");
+    fs.writeFileSync(path.join(root, ".env"), "SECRET=1");
+    fs.writeFileSync(path.join(os.tmpdir(), "whendy-outside.txt"), "outside");
+
+    server = http.createServer(async (req, res) => {
+      if (!(await serveStatic(req, res, mount, req.url!.split("?")[0]))) {
+        res.writeHead(404);
+        res.end("not found");
+      }
+    });
+    await new Promise<void>((resolve) => server.listen(0, resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(path.join(os.tmpdir(), "whendy-outside.txt"), { force: true });
+  });
+
+  it("should serve files with MIME type and caching headers", async () => {
+    const reply = await request("/assets/app.js");
+    expect(reply.status).toBe(200);
+    expect(reply.body).toBe("console.log('hola');");
+    expect(reply.headers["content-type"]).toBe("text/javascript; charset=utf-8");
+    expect(reply.headers["cache-control"]).toBe("public, max-age=60");
+    expect(reply.headers["etag"]).toBeDefined();
+    expect(reply.headers["last-modified"]).toBeDefined();
+  });
+
+  it("should answer 304 when the ETag or date matches", async () => {
+    const { headers } = await request("/assets/app.js");
+    expect((await request("/assets/app.js", { "If-None-Match": headers.etag })).status).toBe(304);
+    expect((await request("/assets/app.js", { "If-Modified-Since": headers["last-modified"] })).status).toBe(304);
+  });
+
+  it("should serve byte ranges", async () => {
+    const reply = await request("/assets/app.js", { Range: "bytes=0-6" });
+    expect(reply.status).toBe(206);
+    expect(reply.body).toBe("console");
+    expect(reply.headers["content-range"]).toBe("bytes 0-6/20");
+
+    const unsatisfiable = await request("/assets/app.js", { Range: "bytes=100-" });
+    expect(unsatisfiable.status).toBe(416);
+    expect(unsatisfiable.headers["content-range"]).toBe("bytes */20");
+  });
+
+  it("should prefer precompressed variants", async () => {
+    const reply = await request("/assets/app.js", { "Accept-Encoding": "br, gzip" });
+    expect(reply.headers["content-encoding"]).toBe("gzip");
+    expect(reply.headers["content-type"]).toBe("text/javascript; charset=utf-8");
+    expect(reply.headers["vary"]).toBe("Accept-Encoding");
+    expect(reply.body).toBe("gzipped");
+  });
+
+  it("should fall back to the index file for SPA routes", async () => {
+    const reply = await request("/assets/users/42", { Accept: "text/html" });
+    expect(reply.status).toBe(200);
+    expect(reply.body).toBe("<h1>app</h1>");
+    expect(reply.headers["cache-control"]).toBe("no-cache");
+
+    expect((await request("/assets/missing.css")).status).toBe(404);
+  });
+
+  it("should not serve paths outside the root or hidden files", async () => {
+    expect((await request("/assets/%2e%2e/whendy-outside.txt")).status).toBe(403);
+    expect((await request("/assets/.env")).status).toBe(403);
+  });
+
+  it("should ignore paths outside the mount", async () => {
+    expect((await request("/other/app.js")).status).toBe(404);
+  });
+
+  describe("helpers", () => {
+    it("should parse ranges", () => {
+      expect(parseRange("bytes=-5", 20)).toEqual({ start: 15, end: 19 });
+      expect(parseRange("bytes=5-100", 20)).toEqual({ start: 5, end: 19 });
+      expect(parseRange("bytes=0-1,4-5", 20)).toBeNull();
+      expect(parseRange("bytes=30-", 20)).toBe("unsatisfiable");
+    });
+
+    it("should keep resolved paths inside the root", () => {
+      expect(resolveSafePath("/srv", "/a/b.js")).toBe(path.resolve("/srv/a/b.js"));
+      expect(resolveSafePath("/srv", "/../etc/passwd")).toBeNull();
+      expect(resolveSafePath("/srv", "/a%00.js")).toBeNull();
+    });
+  });
+});
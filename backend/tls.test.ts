@@ -0,0 +1,197 @@
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as http from "http";
+import * as https from "https";
+import * as http2 from "http2";
+import * as tls from "tls";
+import { execFileSync } from "child_process";
+import { AddressInfo } from "net";
+import { ConnectionTracker, createRedirectServer, createSecureServer, isHttp2Response, RequestListener, SecureServer } from "./Tls";
+import { resolveApp } from "./Apps";
+
+const hasOpenssl = (() => {
+  try {
+    execFileSync("openssl", ["version"], { stdio: "ignore" });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+// Certificado autofirmado para un host
+function selfSigned(dir: string, host: string): { key: string; cert: string } {
+  const key = path.join(dir, `${host}.key`);
+  const cert = path.join(dir, `${host}.crt`);
+  execFileSync("openssl", [
+    "req", "-x509", "-newkey", "ec", "-pkeyopt", "ec_paramgen_curve:prime256v1", "-nodes",
+    "-keyout", key, "-out", cert, "-days", "1", "-subj", `/CN=${host}`, "-addext", `subjectAltName=DNS:${host}`,
+  ], { stdio: "ignore" });
+  return { key, cert };
+}
+
+function listen(server: http.Server | SecureServer): Promise<number> {
+  return new Promise((resolve) => server.listen(0, () => resolve((server.address() as AddressInfo).port)));
+}
+
+function close(server: http.Server | SecureServer): Promise<void> {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+const echoVersion: RequestListener = (req, res) => {
+  res.writeHead(200, { "Content-Type": "text/plain", "X-Http2": String(isHttp2Response(res)) });
+  res.end(req.httpVersion);
+};
+
+(hasOpenssl ? describe : describe.skip)("Tls", () => {
+  let dir: string;
+  let localhost: { key: string; cert: string };
+  let other: { key: string; cert: string };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "whendy-tls-"));
+    localhost = selfSigned(dir, "localhost");
+    other = selfSigned(dir, "other.test");
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should serve HTTP/2 and fall back to HTTP/1.1", async () => {
+    const server = createSecureServer(localhost, echoVersion);
+    const port = await listen(server);
+    const ca = fs.readFileSync(localhost.cert);
+
+    try {
+      const h2 = await new Promise<{ body: string; headers: http2.IncomingHttpHeaders }>((resolve, reject) => {
+        const client = http2.connect(`https://localhost:${port}`, { ca });
+        client.on("error", reject);
+        const stream = client.request({ ":path": "/" });
+        let body = "";
+        let headers: http2.IncomingHttpHeaders = {};
+        stream.on("response", (value) => (headers = value));
+        stream.on("data", (chunk) => (body += chunk));
+        stream.on("end", () => {
+          client.close();
+          resolve({ body, headers });
+        });
+      });
+      expect(h2.body).toBe("2.0");
+      expect(h2.headers["x-http2"]).toBe("true");
+
+      const h1 = await new Promise<string>((resolve, reject) => {
+        https.get({ host: "localhost", port, ca, agent: false }, (res) => {
+          let body = "";
+          res.on("data", (chunk) => (body += chunk));
+          res.on("end", () => resolve(body));
+        }).on("error", reject);
+      });
+      expect(h1).toBe("1.1");
+    } finally {
+      await close(server);
+    }
+  });
+
+  it("should resolve apps by host over HTTP/2", async () => {
+    const apps = { compras: { hosts: ["localhost"] } };
+    const server = createSecureServer(localhost, (req, res) => {
+      res.end(resolveApp(req, apps, ["host"]) ?? "none");
+    });
+    const port = await listen(server);
+
+    try {
+      // HTTP/2 no envía Host: el host llega en :authority
+      const body = await new Promise<string>((resolve, reject) => {
+        const client = http2.connect(`https://localhost:${port}`, { ca: fs.readFileSync(localhost.cert) });
+        client.on("error", reject);
+        const stream = client.request({ ":path": "/" });
+        let data = "";
+        stream.on("data", (chunk) => (data += chunk));
+        stream.on("end", () => {
+          client.close();
+          resolve(data);
+        });
+      });
+      expect(body).toBe("compras");
+    } finally {
+      await close(server);
+    }
+  });
+
+  it("should choose the certificate by SNI", async () => {
+    const server = createSecureServer({ ...localhost, http2: false, sni: { "*.test": other } }, echoVersion);
+    const port = await listen(server);
+
+    const commonName = (servername: string, ca: Buffer) =>
+      new Promise<string>((resolve, reject) => {
+        const socket = tls.connect({ port, servername, ca }, () => {
+          const subject = socket.getPeerCertificate().subject;
+          socket.end();
+          resolve(String(subject.CN));
+        });
+        socket.on("error", reject);
+      });
+
+    try {
+      expect(await commonName("other.test", fs.readFileSync(other.cert))).toBe("other.test");
+      expect(await commonName("localhost", fs.readFileSync(localhost.cert))).toBe("localhost");
+    } finally {
+      await close(server);
+    }
+  });
+
+  it("should fail when the certificate files are missing", () => {
+    expect(() => createSecureServer({ key: path.join(dir, "missing.key"), cert: localhost.cert }, echoVersion)).toThrow(/missing\.key/);
+  });
+
+  it("should close idle HTTP/2 sessions on shutdown", async () => {
+    const server = createSecureServer(localhost, echoVersion) as http2.Http2SecureServer;
+    const tracker = new ConnectionTracker(server);
+    const port = await listen(server);
+
+    const client = http2.connect(`https://localhost:${port}`, { ca: fs.readFileSync(localhost.cert) });
+    await new Promise<void>((resolve, reject) => {
+      const stream = client.request({ ":path": "/" });
+      stream.on("error", reject);
+      stream.resume();
+      stream.on("end", () => resolve());
+    });
+
+    const closed = close(server);
+    tracker.closeIdle(new Set());
+    await closed;
+    client.destroy();
+  });
+});
+
+describe("Redirect server", () => {
+  let server: http.Server;
+  let port: number;
+
+  function get(host: string, pathname: string): Promise<{ status: number; location?: string }> {
+    return new Promise((resolve, reject) => {
+      http.get({ port, path: pathname, headers: { host }, agent: false }, (res) => {
+        res.resume();
+        resolve({ status: res.statusCode!, location: res.headers.location });
+      }).on("error", reject);
+    });
+  }
+
+  afterEach(() => close(server));
+
+  it("should redirect to HTTPS keeping host, path and query", async () => {
+    server = createRedirectServer(8443);
+    port = await listen(server);
+
+    expect(await get("Example.com:8080", "/ventas?page=2")).toEqual({ status: 308, location: "https://example.com:8443/ventas?page=2" });
+    expect(await get("evil.com@attacker", "/")).toEqual({ status: 400, location: undefined });
+  });
+
+  it("should omit the default HTTPS port", async () => {
+    server = createRedirectServer(443);
+    port = await listen(server);
+
+    expect(await get("example.com", "/")).toEqual({ status: 308, location: "https://example.com/" });
+  });
+});
@@ -0,0 +1,92 @@
+import { TokenService, TokenRevokedError } from "./TokenService";
+import { MemoryTokenStore, register, isRegistered } from "./TokenStore";
+import { ClaimMismatchError, TokenExpiredError } from "./JWT";
+
+describe("TokenService", () => {
+  const jwt = { key: "una-clave-secreta-muy-larga-y-compleja", issuer: "whendy" };
+  let service: TokenService;
+
+  beforeEach(() => {
+    service = new TokenService({ jwt, accessTTL: 60, refreshTTL: 3600 });
+  });
+
+  it("should issue an access/refresh pair", async () => {
+    const pair = await service.issue("42", { roles: ["admin"] });
+    expect(pair.expiresIn).toBe(60);
+    expect(pair.refreshExpiresIn).toBe(3600);
+
+    const payload = await service.verify(pair.accessToken);
+    expect(payload).toMatchObject({ sub: "42", roles: ["admin"], typ: "access", iss: "whendy" });
+  });
+
+  it("should not accept a refresh token as access token and vice versa", async () => {
+    const pair = await service.issue("42");
+    await expect(service.verify(pair.refreshToken)).rejects.toThrow(ClaimMismatchError);
+    await expect(service.refresh(pair.accessToken)).rejects.toThrow(ClaimMismatchError);
+  });
+
+  it("should rotate the refresh token and keep the claims", async () => {
+    const pair = await service.issue("42", { roles: ["admin"] });
+    const next = await service.refresh(pair.refreshToken);
+
+    expect(next.refreshToken).not.toBe(pair.refreshToken);
+    expect(await service.verify(next.accessToken)).toMatchObject({ sub: "42", roles: ["admin"] });
+  });
+
+  it("should revoke the whole family when an old refresh token is reused", async () => {
+    const pair = await service.issue("42");
+    const next = await service.refresh(pair.refreshToken);
+
+    await expect(service.refresh(pair.refreshToken)).rejects.toMatchObject({ reason: "refresh_token_reused" });
+    await expect(service.refresh(next.refreshToken)).rejects.toThrow(TokenRevokedError);
+    await expect(service.verify(next.accessToken)).rejects.toThrow(TokenRevokedError);
+  });
+
+  it("should log out a single session", async () => {
+    const phone = await service.issue("42");
+    const laptop = await service.issue("42");
+
+    await service.revoke(phone.accessToken);
+
+    await expect(service.verify(phone.accessToken)).rejects.toThrow(TokenRevokedError);
+    await expect(service.refresh(phone.refreshToken)).rejects.toThrow(TokenRevokedError);
+    expect(await service.verify(laptop.accessToken)).toMatchObject({ sub: "42" });
+  });
+
+  it("should sign out all devices of a user", async () => {
+    const phone = await service.issue("42");
+    const laptop = await service.issue("42");
+    const other = await service.issue("7");
+
+    expect(await service.revokeAll("42")).toBe(2);
+
+    await expect(service.verify(phone.accessToken)).rejects.toThrow(TokenRevokedError);
+    await expect(service.refresh(laptop.refreshToken)).rejects.toThrow(TokenRevokedError);
+    expect(await service.verify(other.accessToken)).toMatchObject({ sub: "7" });
+  });
+
+  it("should reject expired access tokens", async () => {
+    const pair = await service.issue("42");
+    const dateNow = jest.spyOn(Date, "now").mockReturnValue(Date.now() + 61 * 1000);
+    await expect(service.verify(pair.accessToken)).rejects.toThrow(TokenExpiredError);
+    dateNow.mockRestore();
+  });
+
+  it("should use registered stores", async () => {
+    class CountingStore extends MemoryTokenStore {
+      static saved = 0;
+      saveFamily(...args: Parameters<MemoryTokenStore["saveFamily"]>): void {
+        CountingStore.saved++;
+        super.saveFamily(...args);
+      }
+    }
+    if (!isRegistered("counting")) register("counting", CountingStore);
+
+    const counting = new TokenService({ jwt, store: "counting" });
+    await counting.issue("42");
+    expect(CountingStore.saved).toBe(1);
+
+    expect(() => register("memory", MemoryTokenStore)).toThrow('Token store "memory" already exists');
+    expect(() => new TokenService({ jwt, store: "redis" })).toThrow('Token store "redis" not registered');
+  });
+});